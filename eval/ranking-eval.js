@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * ranking-eval.js
+ * 오프라인 랭킹 평가 - 라벨링된 세션 fixture로 TF-IDF와 BM25를 비교
+ *
+ * 사용법:
+ *   node eval/ranking-eval.js [fixture.json] [--k1=1.2] [--b=0.75] [--check]
+ *
+ * 각 질의에 대해 두 가지 순위를 평가함
+ * - similarity: 유사도만으로 정렬 (랭커 자체의 품질)
+ * - combined:   실제 컨텍스트 주입과 같은 최종 점수 (유사도 + 시간 + 대화 보너스)
+ *
+ * --check: similarity 순위에서 관련 세션이 상위 K개 밖으로 밀려난 질의가 있거나
+ *          MRR이 fixture의 min_mrr보다 낮으면 실패 (종료 코드 1) - test/ranking-eval.test.js도 같은 검사
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { calculateRelevanceScores } = require('../plugin/scripts/utils');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'ranking-sessions.json');
+const RANKERS = ['tfidf', 'bm25'];
+const K = 3; // Precision@K, nDCG@K
+
+// ═══════════════════════════════════════════════════════════════
+// 지표
+// ═══════════════════════════════════════════════════════════════
+
+function precisionAtK(rankedIds, relevant, k) {
+  return rankedIds.slice(0, k).filter(id => relevant.has(id)).length / k;
+}
+
+function reciprocalRank(rankedIds, relevant) {
+  const rank = rankedIds.findIndex(id => relevant.has(id));
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+function ndcgAtK(rankedIds, relevant, k) {
+  const dcg = rankedIds.slice(0, k)
+    .reduce((sum, id, i) => sum + (relevant.has(id) ? 1 / Math.log2(i + 2) : 0), 0);
+  const idealHits = Math.min(relevant.size, k);
+  let idcg = 0;
+  for (let i = 0; i < idealHits; i++) idcg += 1 / Math.log2(i + 2);
+  return idcg === 0 ? 0 : dcg / idcg;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 평가
+// ═══════════════════════════════════════════════════════════════
+
+// fixture의 days_ago를 실제 날짜로 변환
+function loadFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const now = Date.now();
+  fixture.sessions = fixture.sessions.map(s => ({
+    ...s,
+    project_id: s.project,
+    date: new Date(now - s.days_ago * 24 * 60 * 60 * 1000).toISOString()
+  }));
+  return fixture;
+}
+
+function evaluate(fixture, ranker, params, mode) {
+  const totals = { precision: 0, mrr: 0, ndcg: 0 };
+  const perQuery = [];
+
+  fixture.queries.forEach(query => {
+    const scored = calculateRelevanceScores(query.context, fixture.sessions, { ranker, ...params });
+    const ordered = mode === 'similarity'
+      ? [...scored].sort((a, b) => b.similarity - a.similarity)
+      : scored;
+    const rankedIds = ordered.map(item => item.session.id);
+    const relevant = new Set(query.relevant);
+
+    const result = {
+      name: query.name,
+      top: rankedIds.slice(0, K),
+      precision: precisionAtK(rankedIds, relevant, K),
+      mrr: reciprocalRank(rankedIds, relevant),
+      ndcg: ndcgAtK(rankedIds, relevant, K)
+    };
+    totals.precision += result.precision;
+    totals.mrr += result.mrr;
+    totals.ndcg += result.ndcg;
+    perQuery.push(result);
+  });
+
+  const n = fixture.queries.length || 1;
+  return {
+    precision: totals.precision / n,
+    mrr: totals.mrr / n,
+    ndcg: totals.ndcg / n,
+    perQuery
+  };
+}
+
+// 회귀 검사 (similarity 순위, 랭커마다) → 실패 설명 목록 (비어 있으면 통과)
+// - 모든 질의: 관련 세션 중 하나 이상이 상위 K개 안
+// - fixture.min_mrr가 있으면 MRR이 그 이상
+function checkFixture(fixture, params = {}) {
+  const failures = [];
+  RANKERS.forEach(ranker => {
+    const result = evaluate(fixture, ranker, params, 'similarity');
+    result.perQuery.forEach(query => {
+      if (query.precision === 0) {
+        failures.push(`${ranker}: "${query.name}" - no relevant session in top ${K} (${query.top.join(', ')})`);
+      }
+    });
+    if (fixture.min_mrr !== undefined && result.mrr < fixture.min_mrr) {
+      failures.push(`${ranker}: MRR ${result.mrr.toFixed(3)} < min_mrr ${fixture.min_mrr}`);
+    }
+  });
+  return failures;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 메인
+// ═══════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const options = { fixture: DEFAULT_FIXTURE, params: {}, check: false };
+  argv.forEach(arg => {
+    const match = arg.match(/^--(k1|b)=(.+)$/);
+    if (arg === '--check') {
+      options.check = true;
+    } else if (match) {
+      options.params[match[1]] = parseFloat(match[2]);
+    } else {
+      options.fixture = path.resolve(arg);
+    }
+  });
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixture = loadFixture(options.fixture);
+  const fmt = v => v.toFixed(3);
+
+  console.log(`\n# Ranking evaluation (${fixture.sessions.length} sessions, ${fixture.queries.length} queries)\n`);
+
+  ['similarity', 'combined'].forEach(mode => {
+    console.log(`## ${mode}\n`);
+    console.log(`| ranker | P@${K} | MRR | nDCG@${K} |`);
+    console.log('|--------|-----|-----|--------|');
+
+    const results = {};
+    RANKERS.forEach(ranker => {
+      results[ranker] = evaluate(fixture, ranker, options.params, mode);
+      const r = results[ranker];
+      console.log(`| ${ranker} | ${fmt(r.precision)} | ${fmt(r.mrr)} | ${fmt(r.ndcg)} |`);
+    });
+
+    console.log('\n| query | ' + RANKERS.map(r => `${r} top ${K}`).join(' | ') + ' |');
+    console.log('|-------|' + RANKERS.map(() => '------').join('|') + '|');
+    fixture.queries.forEach((query, i) => {
+      const cells = RANKERS.map(r => results[r].perQuery[i].top.join(', '));
+      console.log(`| ${query.name} | ${cells.join(' | ')} |`);
+    });
+    console.log('');
+  });
+
+  if (options.check) {
+    const failures = checkFixture(fixture, options.params);
+    if (failures.length > 0) {
+      console.log(`## ❌ check failed\n`);
+      failures.forEach(f => console.log(`- ${f}`));
+      process.exitCode = 1;
+    } else {
+      console.log('## ✅ check passed\n');
+    }
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEFAULT_FIXTURE,
+  loadFixture,
+  evaluate,
+  checkFixture
+};
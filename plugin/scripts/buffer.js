@@ -0,0 +1,234 @@
+/**
+ * buffer.js
+ * 세션별 버퍼 관리 - hook payload의 session_id 기준으로 버퍼를 분리 저장
+ *
+ * 동시에 여러 Claude Code 세션을 실행해도 관찰/대화가 섞이지 않도록
+ * ~/.claude-simple-memory/buffers/<session_id>.json 에 각각 저장함
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJSON, writeJSON, updateJSON, removeJSON } = require('./storage');
+const { resolveProject } = require('./project');
+const { getConfig } = require('./config');
+
+// 설정
+const BUFFERS_DIR = path.join(DATA_DIR, 'buffers');
+const LEGACY_BUFFER_FILE = path.join(DATA_DIR, 'buffer.json'); // v4 이하의 단일 버퍼
+const DEFAULT_SESSION_ID = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// session_id를 파일명으로 쓸 수 있게 정리
+function normalizeSessionId(sessionId) {
+  const cleaned = String(sessionId || '').replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 128);
+  return cleaned || DEFAULT_SESSION_ID;
+}
+
+// 세션의 버퍼 파일 경로
+function getBufferFile(sessionId) {
+  return path.join(BUFFERS_DIR, `${normalizeSessionId(sessionId)}.json`);
+}
+
+// 버퍼에 프로젝트 식별 정보 기록 (git 조회는 버퍼당 한 번만)
+function assignProject(buffer, cwd) {
+  const identity = resolveProject(cwd);
+  buffer.cwd = cwd;
+  buffer.project = identity.alias;
+  buffer.project_id = identity.id;
+  return buffer;
+}
+
+// 빈 버퍼 생성
+function createBuffer(sessionId, cwd) {
+  const buffer = {
+    session_id: normalizeSessionId(sessionId),
+    cwd: null,
+    project: null,
+    project_id: null,
+    observations: [],
+    conversations: [],
+    session_start: new Date().toISOString()
+  };
+  return cwd ? assignProject(buffer, cwd) : buffer;
+}
+
+// 읽어온 버퍼의 누락 필드 보정
+function normalizeBuffer(buffer, sessionId, cwd) {
+  if (!buffer.session_id) buffer.session_id = normalizeSessionId(sessionId);
+  if (!buffer.observations) buffer.observations = [];
+  if (!buffer.conversations) buffer.conversations = [];
+  if (!buffer.project_id && cwd) {
+    assignProject(buffer, cwd);
+  }
+  return buffer;
+}
+
+// 버퍼 로드 (없으면 새 버퍼, 손상되면 백업에서 복구)
+function loadBuffer(sessionId, cwd) {
+  const buffer = readJSON(getBufferFile(sessionId), () => createBuffer(sessionId, cwd));
+  return normalizeBuffer(buffer, sessionId, cwd);
+}
+
+// 버퍼 저장
+function saveBuffer(buffer) {
+  buffer.updated_at = new Date().toISOString();
+  writeJSON(getBufferFile(buffer.session_id), buffer);
+}
+
+// 잠금 보호된 버퍼 read-modify-write
+function updateBuffer(sessionId, cwd, mutator) {
+  return updateJSON(getBufferFile(sessionId), () => createBuffer(sessionId, cwd), buffer => {
+    normalizeBuffer(buffer, sessionId, cwd);
+    mutator(buffer);
+    buffer.updated_at = new Date().toISOString();
+    return buffer;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 관찰 추가
+// ═══════════════════════════════════════════════════════════════
+
+// 가벼운 관찰 (Read, Grep 등 조사용 도구) - 같은 대상은 하나로 합치고 먼저 밀려남
+const isLowWeight = obs => obs.weight === 'low';
+
+// 개수 제한: 오래된 가벼운 관찰부터 버리고, 그래도 넘치면 오래된 순 (순서는 유지)
+function trimObservations(observations, max) {
+  if (observations.length <= max) return observations;
+
+  let excessLow = Math.min(observations.length - max, observations.filter(isLowWeight).length);
+  const kept = observations.filter(obs => {
+    if (excessLow > 0 && isLowWeight(obs)) {
+      excessLow--;
+      return false;
+    }
+    return true;
+  });
+  return kept.slice(-max);
+}
+
+// 관찰 추가 - dedupe_key가 같은 이전 관찰은 지우고 반복 횟수(count)를 이어받음
+function addObservation(buffer, observation, max) {
+  if (observation.dedupe_key) {
+    const previous = buffer.observations.find(o => o.dedupe_key === observation.dedupe_key);
+    if (previous) {
+      observation.count = (previous.count || 1) + 1;
+      buffer.observations = buffer.observations.filter(o => o !== previous);
+    }
+  }
+  buffer.observations.push(observation);
+  buffer.observations = trimObservations(buffer.observations, max);
+  return buffer;
+}
+
+// 요약이 끝난 항목만 버퍼에서 제거 (요약 중에 새로 들어온 항목은 유지)
+function clearBuffer(sessionId, cwd, before = new Date().toISOString()) {
+  return updateBuffer(sessionId, cwd, buffer => {
+    buffer.observations = buffer.observations.filter(o => o.timestamp > before);
+    buffer.conversations = buffer.conversations.filter(c => c.timestamp > before);
+    buffer.session_start = new Date().toISOString();
+  });
+}
+
+// 버퍼 파일 삭제
+function deleteBuffer(sessionId) {
+  return removeJSON(getBufferFile(sessionId));
+}
+
+// 살아있는 모든 버퍼 목록 (최근 갱신 순)
+function listBuffers() {
+  const buffers = [];
+  try {
+    if (!fs.existsSync(BUFFERS_DIR)) return buffers;
+
+    fs.readdirSync(BUFFERS_DIR).forEach(file => {
+      if (!file.endsWith('.json')) return;
+      const bufferFile = path.join(BUFFERS_DIR, file);
+      try {
+        const buffer = readJSON(bufferFile, null);
+        if (!buffer) return;
+        const mtime = fs.statSync(bufferFile).mtime.toISOString();
+        buffers.push({
+          ...buffer,
+          session_id: buffer.session_id || path.basename(file, '.json'),
+          observations: buffer.observations || [],
+          conversations: buffer.conversations || [],
+          updated_at: buffer.updated_at || mtime
+        });
+      } catch (e) {
+        // 개별 파일 에러 무시
+      }
+    });
+  } catch (e) {
+    // 디렉토리 읽기 에러
+  }
+  return buffers.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+}
+
+// session_id 또는 그 접두어로 버퍼 찾기
+function findBuffers(idPrefix) {
+  const prefix = String(idPrefix || '');
+  return listBuffers().filter(b => b.session_id.startsWith(prefix));
+}
+
+// 기존 단일 buffer.json을 buffers/ 아래로 이전
+function migrateLegacyBuffer() {
+  try {
+    if (!fs.existsSync(LEGACY_BUFFER_FILE)) return false;
+
+    const legacy = readJSON(LEGACY_BUFFER_FILE, null) || {};
+    const hasContent = (legacy.observations?.length || 0) + (legacy.conversations?.length || 0) > 0;
+    if (hasContent) {
+      saveBuffer({ ...legacy, session_id: 'legacy' });
+    }
+    fs.unlinkSync(LEGACY_BUFFER_FILE);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 버려진 버퍼 정리 - TTL 동안 갱신되지 않은 버퍼 파일(백업, 임시 파일 포함) 삭제
+// maxAgeMs를 주지 않으면 호출할 때의 설정(buffer.ttl_days, 기본 3일)을 읽음
+function gcBuffers(maxAgeMs = getConfig().buffer.ttl_days * DAY_MS) {
+  migrateLegacyBuffer();
+
+  const removed = [];
+  try {
+    if (!fs.existsSync(BUFFERS_DIR)) return removed;
+
+    const now = Date.now();
+    fs.readdirSync(BUFFERS_DIR).forEach(file => {
+      const bufferFile = path.join(BUFFERS_DIR, file);
+      try {
+        if (now - fs.statSync(bufferFile).mtimeMs > maxAgeMs) {
+          fs.unlinkSync(bufferFile);
+          if (file.endsWith('.json')) removed.push(path.basename(file, '.json'));
+        }
+      } catch (e) {
+        // 다른 프로세스가 먼저 지웠을 수 있음
+      }
+    });
+  } catch (e) {
+    // 디렉토리 읽기 에러
+  }
+  return removed;
+}
+
+module.exports = {
+  BUFFERS_DIR,
+  normalizeSessionId,
+  getBufferFile,
+  createBuffer,
+  loadBuffer,
+  saveBuffer,
+  updateBuffer,
+  clearBuffer,
+  deleteBuffer,
+  listBuffers,
+  findBuffers,
+  gcBuffers,
+  isLowWeight,
+  trimObservations,
+  addObservation
+};
@@ -0,0 +1,402 @@
+/**
+ * config.js
+ * 설정 - 기본값 → 사용자 설정 → 프로젝트 설정 → 환경 변수 순으로 덮어씀
+ *
+ * - 사용자 설정:   ~/.claude-simple-memory/config.json
+ * - 프로젝트 설정: <git 루트>/.claude-simple-memory.json (저장소에 커밋 가능)
+ * - 환경 변수:     CLAUDE_MEMORY_RANKER, CLAUDE_MEMORY_BM25_K1, CLAUDE_MEMORY_BM25_B, CLAUDE_MEMORY_LOCALE, CLAUDE_MEMORY_HANGUL_BIGRAMS 등 (스키마의 env)
+ *
+ * 잘못된 값은 무시하고 아래 단계의 값을 사용 (hook이 설정 오류로 멈추지 않도록)
+ * 각 값이 어디서 왔는지는 /mem-config 로 확인
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./storage');
+const { getGitRoot } = require('./git');
+
+const USER_CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+const PROJECT_CONFIG_NAME = '.claude-simple-memory.json';
+
+// ═══════════════════════════════════════════════════════════════
+// 스키마
+// ═══════════════════════════════════════════════════════════════
+
+// type이 있는 객체가 설정 값, 없으면 하위 그룹
+// project: false → 저장소의 설정 파일로는 바꿀 수 없음 (clone한 저장소가 민감 정보 제거를 끄지 못하도록)
+const SCHEMA = {
+  context: {
+    max_sessions: { type: 'integer', min: 1, default: 5, description: '세션 시작 시 표시할 최대 세션 수' },
+    max_observations_per_session: { type: 'integer', min: 0, default: 8, description: '세션당 표시할 최대 관찰 수' },
+    max_conversations_per_session: { type: 'integer', min: 0, default: 5, description: '세션당 표시할 최대 대화 수' },
+    min_relevance_score: { type: 'number', min: 0, max: 1, default: 0.1, description: '표시할 최소 관련성 점수' },
+    fallback_sessions: { type: 'integer', min: 0, default: 3, description: '관련 세션이 없을 때 대신 표시할 최근 세션 수' },
+    budget_chars: { type: 'integer', min: 0, default: 6000, description: '관련 세션 섹션 최대 글자 수 (넘으면 아래 순위부터 짧게 표시)' },
+    budget_tokens: { type: 'integer', min: 0, default: 0, description: '0보다 크면 글자 수 대신 추정 토큰 수로 예산 계산' },
+    pinned_budget_chars: { type: 'integer', min: 0, default: 1500, description: '고정된 기억(사실, 고정 세션) 섹션 최대 글자 수' }
+  },
+  ranking: {
+    ranker: { type: 'string', enum: ['tfidf', 'bm25'], default: 'tfidf', env: 'CLAUDE_MEMORY_RANKER', description: '랭킹 방식' },
+    bm25_k1: { type: 'number', min: 0, default: 1.2, env: 'CLAUDE_MEMORY_BM25_K1', description: 'BM25 단어 빈도 포화 정도' },
+    bm25_b: { type: 'number', min: 0, max: 1, default: 0.75, env: 'CLAUDE_MEMORY_BM25_B', description: 'BM25 문서 길이 정규화 정도' },
+    similarity_weight: { type: 'number', min: 0, max: 1, default: 0.4, description: '최종 점수에서 유사도 비중' },
+    time_weight: { type: 'number', min: 0, max: 1, default: 0.45, description: '최종 점수에서 시간 가중치 비중' },
+    conversation_bonus: { type: 'number', min: 0, max: 1, default: 0.15, description: '대화가 있는 세션 보너스' },
+    time_decay_days: { type: 'number', min: 0.1, default: 14, description: '시간 가중치 감쇠 기간 (일)' }
+  },
+  recall: {
+    enabled: { type: 'boolean', default: true, description: '프롬프트마다 관련 기억 주입' },
+    min_similarity: {
+      tfidf: { type: 'number', min: 0, max: 1, default: 0.2, description: 'TF-IDF 최소 유사도' },
+      bm25: { type: 'number', min: 0, max: 1, default: 0.1, description: 'BM25 최소 유사도' }
+    },
+    max_results: { type: 'integer', min: 1, default: 2, description: '한 번에 주입할 최대 세션 수' },
+    max_per_session: { type: 'integer', min: 0, default: 10, description: '세션당 최대 주입 횟수' },
+    cooldown_seconds: { type: 'number', min: 0, default: 60, description: '주입 사이 최소 간격 (초)' },
+    summary_length: { type: 'integer', min: 20, default: 200, description: '주입할 요약 최대 길이' }
+  },
+  buffer: {
+    max_observations: { type: 'integer', min: 1, default: 100, description: '버퍼에 유지할 최대 관찰 수' },
+    max_conversations: { type: 'integer', min: 1, default: 50, description: '버퍼에 유지할 최대 대화 수' },
+    max_message_length: { type: 'integer', min: 50, default: 500, description: '저장할 메시지 최대 길이' },
+    ttl_days: { type: 'number', min: 0.1, default: 3, description: '갱신 없는 버퍼를 지우기까지의 기간 (일)' }
+  },
+  storage: {
+    max_sessions_per_project: { type: 'integer', min: 1, default: 50, description: '프로젝트당 보관할 최대 세션 수' },
+    observations_per_session: { type: 'integer', min: 0, default: 20, description: '세션당 저장할 관찰 수' },
+    conversations_per_session: { type: 'integer', min: 0, default: 30, description: '세션당 저장할 대화 수' },
+    keywords_per_session: { type: 'integer', min: 1, default: 50, description: '세션당 키워드 수' },
+    keywords_per_project: { type: 'integer', min: 1, default: 200, description: '프로젝트 전체 키워드 수' }
+  },
+  summary: {
+    // 요약을 보낼 곳은 저장소 설정으로 바꿀 수 없음 (clone한 저장소가 세션 내용을 다른 서버로 보내지 못하도록)
+    provider: { type: 'string', enum: ['anthropic', 'openai', 'http', 'none'], default: 'anthropic', env: 'CLAUDE_MEMORY_SUMMARY_PROVIDER', project: false, description: 'AI 요약 백엔드 (none이면 로컬 요약만)' },
+    model: { type: 'string', default: 'claude-3-5-haiku-20241022', env: 'CLAUDE_MEMORY_SUMMARY_MODEL', description: 'AI 요약 모델' },
+    base_url: { type: 'string', default: '', env: 'CLAUDE_MEMORY_SUMMARY_BASE_URL', project: false, description: 'API 주소 (비우면 백엔드 기본값, http 백엔드는 필수)' },
+    api_key_env: { type: 'string', default: '', project: false, description: 'API 키를 읽을 환경 변수 이름 (비우면 ANTHROPIC_API_KEY / OPENAI_API_KEY)' },
+    prompt_template: { type: 'string', default: '', description: '요약 프롬프트 ({{project}}, {{conversations}}, {{observations}}), 비우면 기본값' },
+    timeout_seconds: { type: 'integer', min: 1, max: 50, default: 20, description: '요청 한 번의 제한 시간' },
+    max_retries: { type: 'integer', min: 0, max: 5, default: 2, description: '요청 제한/서버 오류/타임아웃 시 재시도 횟수' },
+    deadline_seconds: { type: 'integer', min: 5, max: 50, default: 40, description: '재시도 포함 전체 제한 시간 (Stop hook 제한 60초 이내)' },
+    max_tokens: { type: 'integer', min: 50, default: 600, description: 'AI 요약 최대 토큰' },
+    task_gap_minutes: { type: 'integer', min: 1, default: 10, description: '로컬 요약에서 이 시간(분)보다 오래 쉬면 새 작업으로 나눔' }
+  },
+  redaction: {
+    enabled: { type: 'boolean', default: true, project: false, description: '저장 전 민감 정보 제거' },
+    disabled: { type: 'string[]', default: [], project: false, description: '끌 기본 패턴 종류 (예: email)' },
+    patterns: { type: 'pattern[]', default: [], description: '추가 패턴 [{ name, pattern, flags }]' },
+    entropy: {
+      enabled: { type: 'boolean', default: true, project: false, description: '엔트로피 높은 문자열 제거' },
+      threshold: { type: 'number', min: 0, default: 4.0, description: '문자당 비트 기준' },
+      min_length: { type: 'integer', min: 8, default: 24, description: '검사할 최소 길이' }
+    }
+  },
+  tokenizer: {
+    korean_suffixes: { type: 'boolean', default: true, env: 'CLAUDE_MEMORY_KOREAN_SUFFIXES', project: false, description: '한국어 조사/어미를 떼고 색인 ("인증을" → "인증")' },
+    hangul_bigrams: { type: 'boolean', default: false, env: 'CLAUDE_MEMORY_HANGUL_BIGRAMS', project: false, description: '한글 단어의 2글자 조각도 색인 ("사용자인증" ↔ "인증")' }
+  },
+  ui: {
+    locale: { type: 'string', enum: ['auto', 'ko', 'en'], default: 'auto', env: 'CLAUDE_MEMORY_LOCALE', description: '출력 언어 (auto면 LANG 등 시스템 로캘, 알 수 없으면 ko)' }
+  }
+};
+
+const isLeaf = node => node && typeof node.type === 'string';
+
+// 스키마를 "a.b.c" → spec 목록으로 펼침
+function flattenSchema(schema = SCHEMA, prefix = '') {
+  const result = {};
+  Object.entries(schema).forEach(([key, node]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (isLeaf(node)) {
+      result[keyPath] = node;
+    } else {
+      Object.assign(result, flattenSchema(node, keyPath));
+    }
+  });
+  return result;
+}
+
+const FLAT_SCHEMA = flattenSchema();
+
+// ═══════════════════════════════════════════════════════════════
+// 검증
+// ═══════════════════════════════════════════════════════════════
+
+// 오류는 { where, key, params } 로 모아 두고 표시할 때 formatConfigError로 문장을 만듦
+// (i18n.js가 언어를 정하려고 설정을 읽으므로 설정을 읽는 중에는 번역하지 않음)
+const configError = (key, params = {}) => ({ key, params });
+
+// 값 하나 검증 → 오류 ({ key, params }) 또는 null
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return configError('config.error.not_number', { value: JSON.stringify(value) });
+      if (spec.type === 'integer' && !Number.isInteger(value)) return configError('config.error.not_integer', { value });
+      if (spec.min !== undefined && value < spec.min) return configError('config.error.below_min', { min: spec.min, value });
+      if (spec.max !== undefined && value > spec.max) return configError('config.error.above_max', { max: spec.max, value });
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : configError('config.error.not_boolean', { value: JSON.stringify(value) });
+    case 'string':
+      if (typeof value !== 'string') return configError('config.error.not_string', { value: JSON.stringify(value) });
+      if (spec.enum && !spec.enum.includes(value)) return configError('config.error.not_enum', { values: spec.enum.join(', '), value });
+      return null;
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string')
+        ? null
+        : configError('config.error.not_string_array');
+    case 'pattern[]': {
+      if (!Array.isArray(value)) return configError('config.error.not_pattern_array');
+      for (const [i, p] of value.entries()) {
+        if (!p || typeof p.pattern !== 'string') return configError('config.error.pattern_missing', { index: i });
+        try {
+          new RegExp(p.pattern, p.flags || 'g');
+        } catch (e) {
+          return configError('config.error.bad_regex', { index: i, pattern: p.pattern, message: e.message });
+        }
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+// 편집 거리 (알 수 없는 키에 대한 제안용)
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggestKey(keyPath) {
+  let best = null;
+  let bestDistance = Infinity;
+  Object.keys(FLAT_SCHEMA).forEach(candidate => {
+    const distance = editDistance(keyPath, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= 3 ? best : null;
+}
+
+// 설정 파일 하나를 검증 → 유효한 값만 { "a.b": value } 로
+function validateLayer(raw, layer, file, errors, schema = SCHEMA, prefix = '') {
+  const values = {};
+  const where = file || layer;
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push({ where, ...(prefix ? configError('config.error.not_object', { keyPath: prefix }) : configError('config.error.root_not_object')) });
+    return values;
+  }
+
+  Object.entries(raw).forEach(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const node = schema[key];
+
+    if (!node) {
+      const suggestion = suggestKey(keyPath);
+      errors.push({
+        where,
+        ...(suggestion
+          ? configError('config.error.unknown_key_suggest', { keyPath, suggestion })
+          : configError('config.error.unknown_key', { keyPath }))
+      });
+      return;
+    }
+
+    if (!isLeaf(node)) {
+      Object.assign(values, validateLayer(value, layer, file, errors, node, keyPath));
+      return;
+    }
+
+    if (layer === 'project' && node.project === false) {
+      errors.push({ where, ...configError('config.error.user_only', { keyPath }) });
+      return;
+    }
+
+    const error = checkValue(node, value);
+    if (error) {
+      errors.push({ where, key: error.key, params: { ...error.params, keyPath } });
+      return;
+    }
+    values[keyPath] = value;
+  });
+
+  return values;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 로드
+// ═══════════════════════════════════════════════════════════════
+
+// JSON 설정 파일 읽기 (없으면 null) - 사용자가 편집하는 파일이라 손상돼도 건드리지 않음
+function readConfigFile(file, errors) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    errors.push({ where: file, ...configError('config.error.bad_json', { message: e.message }) });
+    return null;
+  }
+}
+
+const ENV_BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+// 환경 변수 문자열 → 스키마 타입 (변환할 수 없으면 그대로 두어 checkValue가 오류로 보고)
+function parseEnvValue(spec, rawValue) {
+  if (spec.type === 'number' || spec.type === 'integer') return Number(rawValue);
+  if (spec.type === 'boolean') {
+    const key = rawValue.trim().toLowerCase();
+    return key in ENV_BOOLEANS ? ENV_BOOLEANS[key] : rawValue;
+  }
+  return rawValue;
+}
+
+// 환경 변수 값 → 스키마 타입
+function readEnvLayer(errors) {
+  const values = {};
+  Object.entries(FLAT_SCHEMA).forEach(([keyPath, spec]) => {
+    if (!spec.env || process.env[spec.env] === undefined || process.env[spec.env] === '') return;
+
+    const rawValue = process.env[spec.env];
+    const value = parseEnvValue(spec, rawValue);
+    const error = checkValue(spec, value);
+    if (error) {
+      errors.push({ where: spec.env, key: error.key, params: { ...error.params, keyPath } });
+      return;
+    }
+    values[keyPath] = value;
+  });
+  return values;
+}
+
+// "a.b.c" 값들을 중첩 객체로
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+// 기본값만으로 된 설정
+function buildDefaults() {
+  const values = {};
+  Object.entries(FLAT_SCHEMA).forEach(([keyPath, spec]) => {
+    setPath(values, keyPath, Array.isArray(spec.default) ? [...spec.default] : spec.default);
+  });
+  return values;
+}
+
+const DEFAULTS = buildDefaults();
+const cache = new Map();
+
+// cwd 기준 설정 전체 계산
+// → { values, sources: { "a.b": { layer, file } }, errors, files }
+function loadConfig(cwd = process.cwd()) {
+  const root = getGitRoot(cwd) || path.resolve(cwd);
+  if (cache.has(root)) return cache.get(root);
+
+  const errors = [];
+  const projectFile = path.join(root, PROJECT_CONFIG_NAME);
+  const layers = [
+    { layer: 'user', file: USER_CONFIG_FILE },
+    { layer: 'project', file: projectFile }
+  ].map(({ layer, file }) => {
+    const raw = readConfigFile(file, errors);
+    return { layer, file, exists: raw !== null, values: raw ? validateLayer(raw, layer, file, errors) : {} };
+  });
+  layers.push({ layer: 'env', file: null, exists: true, values: readEnvLayer(errors) });
+
+  const values = buildDefaults();
+  const sources = {};
+  Object.keys(FLAT_SCHEMA).forEach(keyPath => {
+    sources[keyPath] = { layer: 'default', file: null };
+  });
+
+  layers.forEach(({ layer, file, values: layerValues }) => {
+    Object.entries(layerValues).forEach(([keyPath, value]) => {
+      setPath(values, keyPath, value);
+      sources[keyPath] = { layer, file: layer === 'env' ? FLAT_SCHEMA[keyPath].env : file };
+    });
+  });
+
+  const config = {
+    values,
+    sources,
+    errors,
+    files: layers.filter(l => l.layer !== 'env').map(({ layer, file, exists }) => ({ layer, file, exists }))
+  };
+  cache.set(root, config);
+  return config;
+}
+
+// 설정 오류 → 출력 언어의 문장 ("<파일>: 알 수 없는 설정 'x'")
+// config.js → i18n.js 순환을 피하려고 처음 쓸 때 불러옴
+function formatConfigError(error) {
+  const { t } = require('./i18n');
+  return `${error.where}: ${t(error.key, error.params)}`;
+}
+
+// 이미 stderr로 알린 오류 (환경 변수 오류는 어느 저장소의 설정에도 똑같이 들어감)
+const reportedErrors = new Set();
+
+// hook에서 쓰는 설정 값 (오류는 stderr로만 알림)
+// 번역하면서 언어를 정하려고 getConfig를 다시 부르므로 알리기 전에 reported 표시
+function getConfig(cwd) {
+  const config = loadConfig(cwd);
+  if (config.errors.length > 0 && !config.reported) {
+    config.reported = true;
+    const { t } = require('./i18n');
+    config.errors.map(formatConfigError).forEach(message => {
+      if (reportedErrors.has(message)) return;
+      reportedErrors.add(message);
+      console.error(`[claude-simple-memory] ${t('config.error.stderr', { error: message })}`);
+    });
+  }
+  return config.values;
+}
+
+// calculateRelevanceScores에 넘길 랭킹 옵션
+function getRankingOptions(values) {
+  const ranking = values.ranking;
+  return {
+    ranker: ranking.ranker,
+    k1: ranking.bm25_k1,
+    b: ranking.bm25_b,
+    weights: {
+      similarity: ranking.similarity_weight,
+      time: ranking.time_weight,
+      conversation: ranking.conversation_bonus
+    },
+    timeDecayDays: ranking.time_decay_days
+  };
+}
+
+module.exports = {
+  USER_CONFIG_FILE,
+  PROJECT_CONFIG_NAME,
+  SCHEMA,
+  FLAT_SCHEMA,
+  DEFAULTS,
+  validateLayer,
+  loadConfig,
+  formatConfigError,
+  getConfig,
+  getRankingOptions
+};
@@ -4,134 +4,254 @@
  * SessionStart Hook - 세션 시작 시 관련 memories를 로드하여 컨텍스트로 주입
  *
  * Phase 1 업그레이드: TF-IDF 기반 관련성 필터링
+ * - ranking.ranker 설정 (또는 CLAUDE_MEMORY_RANKER=bm25) 으로 BM25 랭킹 선택 가능
  */
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const { calculateRelevanceScores, extractPathKeywords } = require('./utils');
-
-// 설정
-const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
-const MEMORIES_DIR = path.join(DATA_DIR, 'memories');
-const MAX_SESSIONS_TO_SHOW = 5;        // 최대 표시 세션 수
-const MAX_OBSERVATIONS_PER_SESSION = 8; // 세션당 최대 관찰 수
-const MIN_RELEVANCE_SCORE = 0.1;       // 최소 관련성 점수
-
-// 메모리 파일 로드
-function loadMemories(project) {
-  const memoryFile = path.join(MEMORIES_DIR, `${project}.json`);
-  try {
-    if (fs.existsSync(memoryFile)) {
-      return JSON.parse(fs.readFileSync(memoryFile, 'utf-8'));
-    }
-  } catch (e) {
-    // 파일이 없거나 손상되면 null 반환
+const { calculateRelevanceScores, sessionDocId, getSessionId } = require('./utils');
+const { gcBuffers, updateBuffer } = require('./buffer');
+const { loadAllSessions } = require('./storage');
+const { resolveProject, migrateLegacyMemories } = require('./project');
+const { getIndex } = require('./search-index');
+const { getGitContext } = require('./git');
+const { markRecalled } = require('./recall');
+const { getConfig, getRankingOptions } = require('./config');
+const { getPinnedMemories } = require('./pins');
+const { DIGEST_FIELDS, getDigestField } = require('./structured-summary');
+const { truncate } = require('./format-helpers');
+const { t, setLocale, formatDate } = require('./i18n');
+
+// 설정 (표시 개수, 최소 점수, 랭킹 방식은 config의 context/ranking 항목)
+const RANKER_LABELS = { tfidf: 'TF-IDF', bm25: 'BM25' };
+
+// 관련성 점수를 시각화
+function formatRelevanceBar(score) {
+  const filled = Math.round(score * 5);
+  return '●'.repeat(filled) + '○'.repeat(5 - filled);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 예산
+// ═══════════════════════════════════════════════════════════════
+
+// 대략적인 토큰 수 - ASCII는 4글자당 1토큰, 한글 등 그 외 문자는 글자당 1토큰
+function estimateTokens(text) {
+  let ascii = 0;
+  let other = 0;
+  for (const ch of text) {
+    if (ch.charCodeAt(0) < 128) ascii++;
+    else other++;
   }
-  return null;
+  return Math.ceil(ascii / 4) + other;
 }
 
-// 모든 프로젝트의 메모리 로드
-function loadAllMemories() {
-  const allMemories = [];
-  try {
-    if (!fs.existsSync(MEMORIES_DIR)) return allMemories;
-
-    const files = fs.readdirSync(MEMORIES_DIR);
-    files.forEach(file => {
-      if (file.endsWith('.json')) {
-        try {
-          const content = fs.readFileSync(path.join(MEMORIES_DIR, file), 'utf-8');
-          const memories = JSON.parse(content);
-          if (memories.sessions) {
-            memories.sessions.forEach(session => {
-              allMemories.push({
-                ...session,
-                project: memories.project
-              });
-            });
-          }
-        } catch (e) {
-          // 개별 파일 에러 무시
-        }
-      }
-    });
-  } catch (e) {
-    // 디렉토리 읽기 에러
+// context.budget_tokens가 0보다 크면 토큰 기준, 아니면 글자 수 기준
+function createBudget(contextSettings) {
+  if (contextSettings.budget_tokens > 0) {
+    return { limit: contextSettings.budget_tokens, unit: t('context.unit_tokens'), measure: estimateTokens };
   }
-  return allMemories;
+  return { limit: contextSettings.budget_chars, unit: t('context.unit_chars'), measure: text => text.length };
 }
 
-// 날짜 포맷팅
-function formatDate(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
+// ═══════════════════════════════════════════════════════════════
+// 세션 렌더링 (상세 → 요약+파일 → 한 줄)
+// ═══════════════════════════════════════════════════════════════
 
-  if (diffDays === 0) return '오늘';
-  if (diffDays === 1) return '어제';
-  if (diffDays < 7) return `${diffDays}일 전`;
+const DETAIL_LEVELS = ['full', 'files', 'line'];
+const MAX_DIGEST_ITEMS = 3; // 상세 보기에서 결정/문제/후속 작업을 필드마다 몇 개까지 보여줄지
 
-  return date.toLocaleDateString('ko-KR', {
-    month: 'short',
-    day: 'numeric'
+// 세션에서 다룬 파일 (구조화 요약의 변경 파일 + 관찰의 파일 + 저장 시점의 git 변경 파일)
+function getSessionFiles(session) {
+  const files = new Set();
+  getDigestField(session.digest, 'files_changed').forEach(file => files.add(path.basename(file)));
+  (session.observations || []).forEach(obs => {
+    if (obs.details?.file) files.add(path.basename(obs.details.file));
   });
+  [...(session.git?.staged_files || []), ...(session.git?.modified_files || [])]
+    .forEach(file => files.add(path.basename(file)));
+  return Array.from(files);
 }
 
-// 관련성 점수를 시각화
-function formatRelevanceBar(score) {
-  const filled = Math.round(score * 5);
-  return '●'.repeat(filled) + '○'.repeat(5 - filled);
+function formatSessionHeading(item, number, currentProject) {
+  const { session, score } = item;
+  const projectLabel = session.project_id !== currentProject.id ? ` (${session.project})` : '';
+  let text = `## ${number}. ${formatDate(session.date)}${projectLabel} · \`${getSessionId(session)}\`\n`;
+  text += `**${t('context.relevance')}:** ${formatRelevanceBar(score)} (${(score * 100).toFixed(0)}%)\n`;
+  text += `**${t('label.summary')}:** ${session.summary}\n`;
+  return text;
+}
+
+// 상세: 요약, 최근 대화, 작업 내역
+function formatSessionFull(item, number, currentProject, contextSettings) {
+  const { session } = item;
+  let text = formatSessionHeading(item, number, currentProject);
+
+  // 구조화 요약의 결정, 문제, 후속 작업
+  ['decisions', 'problems', 'follow_ups'].forEach(field => {
+    const items = getDigestField(session.digest, field);
+    if (items.length === 0) return;
+    const more = items.length > MAX_DIGEST_ITEMS ? t('common.more', { count: items.length - MAX_DIGEST_ITEMS }) : '';
+    text += `**${DIGEST_FIELDS[field].emoji} ${t(`digest.${field}`)}:** ${items.slice(0, MAX_DIGEST_ITEMS).join(' · ')}${more}\n`;
+  });
+
+  // 대화 내용 표시 (핵심!)
+  if (session.conversations && session.conversations.length > 0) {
+    const recentConvs = session.conversations.slice(-contextSettings.max_conversations_per_session);
+    text += `**💬 ${t('context.conversations')}:**\n`;
+    recentConvs.forEach(conv => {
+      const typeEmoji = conv.type === 'question' ? '❓' : conv.type === 'request' ? '📝' : '💬';
+      text += `- ${typeEmoji} "${conv.message}"\n`;
+    });
+  }
+
+  // 상세 관찰 (있으면)
+  if (session.observations && session.observations.length > 0) {
+    const recentObs = session.observations.slice(-contextSettings.max_observations_per_session);
+    text += `**🔧 ${t('context.observations')}:**\n`;
+    recentObs.forEach(obs => {
+      text += `- ${obs.summary}\n`;
+      if (obs.context?.lastUserMessage) {
+        text += `  💬 _"${obs.context.lastUserMessage}"_\n`;
+      }
+    });
+  }
+
+  return text + '\n';
+}
+
+// 요약 + 파일
+function formatSessionFiles(item, number, currentProject) {
+  let text = formatSessionHeading(item, number, currentProject);
+  const files = getSessionFiles(item.session);
+  if (files.length > 0) {
+    const more = files.length > 8 ? t('common.more', { count: files.length - 8 }) : '';
+    text += `**📁 ${t('context.files')}:** ${files.slice(0, 8).join(', ')}${more}\n`;
+  }
+  return text + '\n';
+}
+
+// 한 줄
+function formatSessionLine(item, number, currentProject) {
+  const { session, score } = item;
+  const projectLabel = session.project_id !== currentProject.id ? ` (${session.project})` : '';
+  return `- **${number}. ${formatDate(session.date)}${projectLabel}** \`${getSessionId(session)}\` (${(score * 100).toFixed(0)}%): ${truncate(session.summary, 120)}\n`;
+}
+
+function renderSession(level, item, number, currentProject, contextSettings) {
+  if (level === 'full') return formatSessionFull(item, number, currentProject, contextSettings);
+  if (level === 'files') return formatSessionFiles(item, number, currentProject);
+  return formatSessionLine(item, number, currentProject);
 }
 
 // 메모리를 컨텍스트 문자열로 변환
-function formatContext(rankedSessions, currentProject) {
+// 점수 순으로 예산을 채우면서, 예산이 모자라면 아래 순위 세션부터 단계적으로 짧게 표시
+// (앞 세션보다 자세하게 표시하지 않음), 그래도 모자라면 생략하고 개수를 알림
+// settings: { ranker, context } - config 값
+// → { text, shown: 표시한 항목, omitted: 생략한 항목 } 또는 null
+function formatContext(rankedSessions, currentProject, branch, settings) {
   if (!rankedSessions || rankedSessions.length === 0) {
     return null;
   }
 
-  let context = `# 📚 관련 세션 기록\n\n`;
-  context += `> 현재 프로젝트: **${currentProject}** | TF-IDF 기반 관련성 분석\n\n`;
-
-  rankedSessions.forEach((item, index) => {
-    const { session, score } = item;
-    const dateLabel = formatDate(session.date);
-    const relevanceBar = formatRelevanceBar(score);
-    const projectLabel = session.project !== currentProject ? ` (${session.project})` : '';
-
-    context += `## ${index + 1}. ${dateLabel}${projectLabel}\n`;
-    context += `**관련도:** ${relevanceBar} (${(score * 100).toFixed(0)}%)\n`;
-    context += `**요약:** ${session.summary}\n`;
-
-    // 대화 내용 표시 (핵심!)
-    if (session.conversations && session.conversations.length > 0) {
-      const recentConvs = session.conversations.slice(-5);
-      context += `**💬 대화 내용:**\n`;
-      recentConvs.forEach(conv => {
-        const typeEmoji = conv.type === 'question' ? '❓' : conv.type === 'request' ? '📝' : '💬';
-        context += `- ${typeEmoji} "${conv.message}"\n`;
-      });
+  const budget = createBudget(settings.context);
+
+  let header = `# 📚 ${t('context.title')}\n\n`;
+  const branchLabel = branch ? ` (\`${branch}\`)` : '';
+  header += `> ${t('context.project_line', { project: currentProject.alias, branch: branchLabel, ranker: RANKER_LABELS[settings.ranker] })}\n\n`;
+
+  let footer = `---\n`;
+  footer += `${t('context.footer')}\n`;
+
+  // 생략 안내 줄 자리까지 미리 빼둠
+  const budgetNote = (counts, omittedCount) => {
+    const note = t('context.budget_note', { limit: budget.limit, unit: budget.unit, ...counts });
+    return omittedCount > 0 ? `_${note} · ${t('context.budget_omitted', { count: omittedCount })}_\n\n` : `_${note}_\n\n`;
+  };
+  const reserved = budget.measure(header + footer) + budget.measure(budgetNote({ full: '00', files: '00', line: '00' }, '00'));
+  let remaining = budget.limit - reserved;
+
+  let body = '';
+  const shown = [];
+  const counts = { full: 0, files: 0, line: 0 };
+  let levelIndex = 0;
+
+  for (const item of rankedSessions) {
+    const number = shown.length + 1;
+    let rendered = null;
+    while (levelIndex < DETAIL_LEVELS.length) {
+      const text = renderSession(DETAIL_LEVELS[levelIndex], item, number, currentProject, settings.context);
+      const cost = budget.measure(text);
+      if (cost <= remaining) {
+        rendered = text;
+        remaining -= cost;
+        break;
+      }
+      levelIndex++;
     }
+    if (!rendered) break;
 
-    // 상세 관찰 (있으면)
-    if (session.observations && session.observations.length > 0) {
-      const recentObs = session.observations.slice(-MAX_OBSERVATIONS_PER_SESSION);
-      context += `**🔧 작업 내역:**\n`;
-      recentObs.forEach(obs => {
-        context += `- ${obs.summary}\n`;
-        if (obs.context?.lastUserMessage) {
-          context += `  💬 _"${obs.context.lastUserMessage}"_\n`;
-        }
-      });
-    }
+    body += rendered;
+    shown.push(item);
+    counts[DETAIL_LEVELS[levelIndex]]++;
+  }
+
+  const omitted = rankedSessions.slice(shown.length);
 
-    context += '\n';
+  // 한 줄 항목 뒤에는 빈 줄
+  if (body && !body.endsWith('\n\n')) body += '\n';
+
+  if (omitted.length > 0 || counts.files > 0 || counts.line > 0) {
+    body += budgetNote(counts, omitted.length);
+  }
+
+  return { text: header + body + footer, shown, omitted };
+}
+
+// 고정된 기억 섹션 - 전역 사실, 프로젝트 사실, 고정된 세션 순으로 예산(글자 수)까지
+// → { text, sessionIds: 표시한 고정 세션 }
+function formatPinnedContext(pinned, budgetChars) {
+  const lines = [
+    ...pinned.facts.map(fact => ({
+      text: `- 📌 ${fact.scope === 'global' ? `(${t('common.global')}) ` : ''}${fact.text}\n`
+    })),
+    ...pinned.sessions.map(session => ({
+      text: `- 📎 ${formatDate(session.date)} · \`${getSessionId(session)}\`: ${session.summary}\n`,
+      sessionId: sessionDocId(session)
+    }))
+  ];
+  if (lines.length === 0) return { text: null, sessionIds: [] };
+
+  let text = `# 📌 ${t('pinned.title')}\n\n`;
+  const sessionIds = [];
+  let used = 0;
+  let omitted = 0;
+  lines.forEach(line => {
+    if (omitted > 0 || used + line.text.length > budgetChars) {
+      omitted++;
+      return;
+    }
+    text += line.text;
+    used += line.text.length;
+    if (line.sessionId) sessionIds.push(line.sessionId);
   });
 
-  context += `---\n`;
-  context += `_claude-simple-memory v2.1 | TF-IDF 관련성 필터링 + 대화 컨텍스트 저장_\n`;
+  if (omitted > 0) {
+    text += `- ${t('pinned.omitted', { count: omitted })}\n`;
+  }
+  return { text: used > 0 || omitted > 0 ? text : null, sessionIds };
+}
 
-  return context;
+// Claude Code SessionStart hook 형식: hookSpecificOutput.additionalContext
+// 이 형식이 Claude에게 컨텍스트로 주입됨!
+function outputContext(context) {
+  console.log(JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'SessionStart',
+      additionalContext: context || ''
+    }
+  }));
+  process.exit(0);
 }
 
 // 메인 함수
@@ -148,71 +268,86 @@ async function main() {
       // stdin이 비어있을 수 있음
     }
 
-    // 프로젝트 이름 결정
     const cwd = hookData.cwd || process.cwd();
-    const currentProject = path.basename(cwd);
-
-    // 현재 프로젝트 메모리 로드
-    const projectMemories = loadMemories(currentProject);
-
-    // 모든 프로젝트 메모리도 로드 (교차 프로젝트 관련성 검색)
-    const allSessions = loadAllMemories();
-
-    if (allSessions.length === 0) {
-      // Claude Code SessionStart hook 형식: hookSpecificOutput.additionalContext
-      console.log(JSON.stringify({
-        hookSpecificOutput: {
-          hookEventName: 'SessionStart',
-          additionalContext: ''
-        }
-      }));
-      process.exit(0);
+    const config = getConfig(cwd);
+    setLocale(config.ui.locale);
+
+    // 오래 방치된 세션 버퍼 정리
+    gcBuffers(config.buffer.ttl_days * 24 * 60 * 60 * 1000);
+
+    // 프로젝트 식별 (git 루트/원격 URL 기반 고정 ID)
+    const currentProject = resolveProject(cwd);
+
+    // basename 기반의 기존 메모리 파일이 있으면 이전
+    migrateLegacyMemories(currentProject, cwd);
+
+    // 모든 프로젝트 메모리 로드 (교차 프로젝트 관련성 검색)
+    const allSessions = loadAllSessions();
+
+    // 관련성과 관계없이 항상 보여줄 기억 (사실, 고정된 세션)
+    const pinned = getPinnedMemories(currentProject.id, allSessions);
+    const pinnedContext = formatPinnedContext(pinned, config.context.pinned_budget_chars);
+
+    // 고정된 세션은 고정 섹션에만 표시
+    const pinnedIds = new Set(pinned.sessions.map(sessionDocId));
+    const rankableSessions = allSessions.filter(s => !pinnedIds.has(sessionDocId(s)));
+
+    if (rankableSessions.length === 0 && !pinnedContext.text) {
+      outputContext('');
     }
 
-    // 현재 컨텍스트 구성
+    // 현재 컨텍스트 구성 - git 저장소면 브랜치, 변경 중인 파일, 최근 커밋까지 반영
+    const gitContext = getGitContext(cwd);
     const currentContext = {
       cwd: cwd,
-      project: currentProject,
-      recentFiles: [] // 추후 확장 가능
+      project: currentProject.alias,
+      branch: gitContext?.branch || null,
+      recentFiles: gitContext
+        ? [...new Set([...gitContext.stagedFiles, ...gitContext.modifiedFiles])]
+        : [],
+      commitSubjects: gitContext ? gitContext.recentCommits.map(c => c.subject) : [],
+      commitFiles: gitContext ? [...new Set(gitContext.recentCommits.flatMap(c => c.files))] : []
     };
 
-    // TF-IDF 기반 관련성 점수 계산
-    const rankedSessions = calculateRelevanceScores(currentContext, allSessions);
+    // TF-IDF(또는 BM25) 기반 관련성 점수 계산 (저장된 역색인의 TF/DF 사용)
+    const rankedSessions = calculateRelevanceScores(currentContext, rankableSessions, {
+      ...getRankingOptions(config),
+      index: getIndex(allSessions)
+    });
 
-    // 관련성 높은 세션만 필터링
+    // 관련성 높은 세션만 필터링 (비교할 세션이 없으면 빈 목록)
     const relevantSessions = rankedSessions
-      .filter(item => item.score >= MIN_RELEVANCE_SCORE)
-      .slice(0, MAX_SESSIONS_TO_SHOW);
+      .filter(item => item.score >= config.context.min_relevance_score)
+      .slice(0, config.context.max_sessions);
 
     // 관련 세션이 없으면 최근 세션이라도 표시
     if (relevantSessions.length === 0 && rankedSessions.length > 0) {
-      relevantSessions.push(...rankedSessions.slice(0, 3));
-    }
-
-    if (relevantSessions.length === 0) {
-      // Claude Code SessionStart hook 형식: hookSpecificOutput.additionalContext
-      console.log(JSON.stringify({
-        hookSpecificOutput: {
-          hookEventName: 'SessionStart',
-          additionalContext: ''
-        }
-      }));
-      process.exit(0);
+      relevantSessions.push(...rankedSessions.slice(0, config.context.fallback_sessions));
     }
 
-    // 컨텍스트 생성
-    const context = formatContext(relevantSessions, currentProject);
+    // 컨텍스트 생성 (예산 안에서 점수 순으로)
+    const context = formatContext(relevantSessions, currentProject, currentContext.branch, {
+      ranker: config.ranking.ranker,
+      context: config.context
+    });
 
-    // Claude Code SessionStart hook 형식: hookSpecificOutput.additionalContext
-    // 이 형식이 Claude에게 컨텍스트로 주입됨!
-    console.log(JSON.stringify({
-      hookSpecificOutput: {
-        hookEventName: 'SessionStart',
-        additionalContext: context || ''
+    // 시작 시 보여준 세션은 프롬프트 회상에서 다시 주입하지 않도록 기록 (생략한 세션은 제외)
+    const shownIds = [
+      ...pinnedContext.sessionIds,
+      ...(context ? context.shown.map(item => sessionDocId(item.session)) : [])
+    ];
+    if (hookData.session_id && shownIds.length > 0) {
+      try {
+        updateBuffer(hookData.session_id, cwd, buffer => {
+          markRecalled(buffer, shownIds, { countAsInjection: false });
+        });
+      } catch (e) {
+        console.error('Recall state error:', e.message);
       }
-    }));
+    }
 
-    process.exit(0);
+    // 고정된 기억 → 관련 세션
+    outputContext([pinnedContext.text, context?.text].filter(Boolean).join('\n'));
 
   } catch (error) {
     console.error('Context hook error:', error.message);
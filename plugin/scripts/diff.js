@@ -0,0 +1,160 @@
+/**
+ * diff.js
+ * Edit/Write 변경 내용 요약 - 줄 단위 diff, 추가/삭제 줄 수, 파일 크기
+ *
+ * 저장용이라 diff는 짧게 자름 (줄 수와 줄 길이 제한), 줄 수 집계는 자르기 전 전체 기준
+ */
+
+const { t } = require('./i18n');
+
+const MAX_DIFF_LINES = 20;
+const MAX_LINE_LENGTH = 120;
+const MAX_LCS_CELLS = 250000; // 이보다 크면 LCS 대신 통째로 삭제/추가로 봄
+
+function splitLines(text) {
+  if (text === undefined || text === null || text === '') return [];
+  return String(text).replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+function clipLine(line) {
+  return line.length > MAX_LINE_LENGTH ? line.substring(0, MAX_LINE_LENGTH) + '…' : line;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 줄 단위 diff
+// ═══════════════════════════════════════════════════════════════
+
+// 공통 앞/뒤를 잘라낸 가운데 부분의 LCS → [{ op: ' '|'-'|'+', line }]
+function diffMiddle(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  if (n * m > MAX_LCS_CELLS) {
+    return [
+      ...oldLines.map(line => ({ op: '-', line })),
+      ...newLines.map(line => ({ op: '+', line }))
+    ];
+  }
+
+  // lcs[i][j] = oldLines[i..], newLines[j..]의 LCS 길이
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ op: ' ', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ op: '-', line: oldLines[i++] });
+    } else {
+      ops.push({ op: '+', line: newLines[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: oldLines[i++] });
+  while (j < m) ops.push({ op: '+', line: newLines[j++] });
+  return ops;
+}
+
+function diffLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let end = 0;
+  while (end < oldLines.length - start && end < newLines.length - start &&
+         oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) end++;
+
+  // 바뀐 부분 앞뒤로 한 줄씩만 문맥으로 남김
+  const before = start > 0 ? [{ op: ' ', line: oldLines[start - 1] }] : [];
+  const after = end > 0 ? [{ op: ' ', line: oldLines[oldLines.length - end] }] : [];
+  return [
+    ...before,
+    ...diffMiddle(oldLines.slice(start, oldLines.length - end), newLines.slice(start, newLines.length - end)),
+    ...after
+  ];
+}
+
+// ops → 잘린 diff 텍스트
+function renderDiff(ops) {
+  const lines = ops.map(({ op, line }) => `${op}${clipLine(line)}`);
+  if (lines.length <= MAX_DIFF_LINES) return lines.join('\n');
+  return [...lines.slice(0, MAX_DIFF_LINES), t('diff.more_lines', { count: lines.length - MAX_DIFF_LINES })].join('\n');
+}
+
+function countOps(ops) {
+  return {
+    added: ops.filter(o => o.op === '+').length,
+    removed: ops.filter(o => o.op === '-').length
+  };
+}
+
+// old → new 변경 요약 → { added, removed, diff }
+function summarizeChange(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  return { ...countOps(ops), diff: renderDiff(ops) };
+}
+
+// 여러 변경 (MultiEdit의 edits) → 하나의 요약, 변경마다 "@@"로 구분
+function summarizeChanges(pairs) {
+  const ops = [];
+  pairs.forEach(([oldText, newText], index) => {
+    if (index > 0) ops.push({ op: '@', line: '@' });
+    ops.push(...diffLines(oldText, newText));
+  });
+  return { ...countOps(ops), diff: renderDiff(ops) };
+}
+
+// Claude Code 도구 응답의 structuredPatch (hunk 목록) → { added, removed, diff }
+// replace_all처럼 여러 곳이 바뀐 경우도 정확하게 셀 수 있음
+function summarizeStructuredPatch(patch) {
+  if (!Array.isArray(patch) || patch.length === 0) return null;
+
+  const ops = [];
+  patch.forEach(hunk => {
+    // 여러 곳이 바뀌었으면 hunk 머리줄로 구분 ("@@ -10,3 +10,4 @@")
+    if (patch.length > 1) {
+      ops.push({ op: '@', line: `@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@` });
+    }
+    (hunk.lines || []).forEach(line => {
+      const op = line[0] === '+' || line[0] === '-' ? line[0] : ' ';
+      ops.push({ op, line: line.substring(1) });
+    });
+  });
+  return { ...countOps(ops), diff: renderDiff(ops) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 표시
+// ═══════════════════════════════════════════════════════════════
+
+// "+12/-3"
+function formatLineDelta(added, removed) {
+  return `+${added || 0}/-${removed || 0}`;
+}
+
+// 바이트 → "1.2 KB"
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+module.exports = {
+  MAX_DIFF_LINES,
+  splitLines,
+  summarizeChange,
+  summarizeChanges,
+  summarizeStructuredPatch,
+  formatLineDelta,
+  formatBytes
+};
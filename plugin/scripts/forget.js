@@ -0,0 +1,282 @@
+/**
+ * forget.js
+ * 기억 삭제 - 세션 ID, 날짜 범위, 키워드, 프로젝트로 저장된 세션을 지움
+ *
+ * - planForget(): 무엇이 지워질지 계산만 함 (미리보기)
+ * - applyForget(): 계획대로 삭제하고 프로젝트 keywords, 검색 인덱스를 다시 맞춤
+ *
+ * 삭제한 내용이 .bak 백업에 남지 않도록 메모리 파일과 인덱스의 백업도 새 내용으로 교체
+ * 이전 전 원본(.migrated)과 손상돼 옮겨 둔 파일(.corrupt-*)은 findLeftoverCopies 참고
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MEMORIES_DIR, loadAllProjects, updateMemories, getMemoryFile, removeJSON } = require('./storage');
+const { updateProjectIndex } = require('./search-index');
+const { findBuffers, deleteBuffer } = require('./buffer');
+const { getConfig } = require('./config');
+const { getSessionId, parseLocalDate } = require('./utils');
+const { DIGEST_FIELDS, getDigestField } = require('./structured-summary');
+const { t } = require('./i18n');
+
+// ═══════════════════════════════════════════════════════════════
+// 조건
+// ═══════════════════════════════════════════════════════════════
+
+function includesKeyword(text, keyword) {
+  return !!text && String(text).toLowerCase().includes(keyword);
+}
+
+function observationMatches(obs, keyword) {
+  return includesKeyword(obs.summary, keyword) ||
+    includesKeyword(JSON.stringify(obs.details || {}), keyword) ||
+    includesKeyword(obs.context?.lastUserMessage, keyword) ||
+    includesKeyword(obs.context?.lastAssistantMessage, keyword);
+}
+
+function conversationMatches(conv, keyword) {
+  return includesKeyword(conv.message, keyword);
+}
+
+// 키워드가 들어간 digest 항목 수 (topic도 한 항목)
+// 모든 필드를 봄 - 로컬 digest의 topic/actions에는 사용자 요청이 그대로 들어 있음
+function countDigestMatches(digest, keyword) {
+  return Object.keys(DIGEST_FIELDS).reduce((count, field) =>
+    count + [].concat(getDigestField(digest, field)).filter(value => includesKeyword(value, keyword)).length, 0);
+}
+
+function sessionMatchesKeyword(session, keyword) {
+  return includesKeyword(session.summary, keyword) ||
+    countDigestMatches(session.digest, keyword) > 0 ||
+    (session.keywords || []).some(k => includesKeyword(k, keyword)) ||
+    (session.observations || []).some(o => observationMatches(o, keyword)) ||
+    (session.conversations || []).some(c => conversationMatches(c, keyword));
+}
+
+// 프로젝트 필터: ID는 정확히, alias는 대소문자 무시
+function selectProjects(projects, projectFilter) {
+  if (!projectFilter) return projects;
+  const byId = projects.filter(p => p.project_id === projectFilter);
+  if (byId.length > 0) return byId;
+  const lower = projectFilter.toLowerCase();
+  return projects.filter(p => String(p.project || '').toLowerCase() === lower);
+}
+
+// 지울 세션이 남아 있을 수 있는 memories/ 의 사본
+// - <이름>.json.migrated: 프로젝트 ID 이전 전 원본. 이미 새 파일로 병합됐으므로 지울 세션이 하나라도 있으면 통째로 삭제
+// - <id>.json.corrupt-<시각>: 읽을 수 없어 일부만 지울 수 없음 → 프로젝트 전체 삭제일 때만 지우고 아니면 남겨 두고 알림
+// → [{ file, kind: 'migrated' | 'corrupt', action: 'delete' | 'keep' }]
+function findLeftoverCopies(targets, sessionDates) {
+  let files = [];
+  try {
+    files = fs.readdirSync(MEMORIES_DIR);
+  } catch (e) {
+    return [];
+  }
+
+  const copies = [];
+  files.filter(name => name.endsWith('.json.migrated')).forEach(name => {
+    const file = path.join(MEMORIES_DIR, name);
+    let legacy = null;
+    try {
+      legacy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      return;
+    }
+    if ((legacy.sessions || []).some(s => sessionDates.has(s.date))) {
+      copies.push({ file, kind: 'migrated', action: 'delete' });
+    }
+  });
+
+  targets.forEach(target => {
+    const prefix = `${path.basename(getMemoryFile(target.projectId))}.corrupt-`;
+    files.filter(name => name.startsWith(prefix)).forEach(name => {
+      copies.push({ file: path.join(MEMORIES_DIR, name), kind: 'corrupt', action: target.deleteProject ? 'delete' : 'keep' });
+    });
+  });
+  return copies;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 계획
+// ═══════════════════════════════════════════════════════════════
+
+// filters: { session, from, to, keyword, project, entries }
+// session: 세션 ID 또는 Claude 세션 ID의 앞부분
+// entries: 키워드와 일치하는 관찰/대화만 지우고 세션은 남김 (요약까지 일치하면 세션 삭제)
+// → { error } 또는 { projects: [...], buffers: [...], copies: [...] }
+function planForget(filters = {}) {
+  const { session: sessionPrefix, project, entries } = filters;
+  const keyword = filters.keyword ? String(filters.keyword).toLowerCase() : null;
+  const from = parseLocalDate(filters.from);
+  const to = parseLocalDate(filters.to, true);
+
+  if (!sessionPrefix && !filters.from && !filters.to && !keyword && !project) {
+    return { error: t('forget.no_conditions') };
+  }
+  if (from === undefined || to === undefined) {
+    return { error: t('forget.bad_date') };
+  }
+  if (entries && !keyword) {
+    return { error: t('forget.entries_needs_keyword') };
+  }
+
+  const projects = selectProjects(loadAllProjects(), project);
+  if (project && projects.length === 0) {
+    return { error: t('forget.project_not_found', { project }) };
+  }
+  if (project && new Set(projects.map(p => p.project_id)).size > 1) {
+    return { error: t('forget.project_ambiguous', { project, ids: projects.map(p => p.project_id).join(', ') }) };
+  }
+
+  // 프로젝트만 지정하면 프로젝트 전체 삭제
+  const wholeProject = !!project && !sessionPrefix && !filters.from && !filters.to && !keyword;
+
+  const plan = { projects: [], buffers: [], copies: [] };
+  const sessionDates = new Set();
+  projects.forEach(memories => {
+    const target = {
+      projectId: memories.project_id,
+      alias: memories.project,
+      deleteProject: wholeProject,
+      totalSessions: memories.sessions.length,
+      sessions: []
+    };
+
+    memories.sessions.forEach(session => {
+      if (sessionPrefix &&
+          !getSessionId({ ...session, project_id: memories.project_id }).startsWith(sessionPrefix) &&
+          !String(session.session_id || '').startsWith(sessionPrefix)) return;
+      const date = new Date(session.date);
+      if (from && date < from) return;
+      if (to && date > to) return;
+      if (keyword && !sessionMatchesKeyword(session, keyword)) return;
+
+      // 관찰/대화 단위 삭제 (요약이 일치하면 세션째 삭제)
+      if (entries && !includesKeyword(session.summary, keyword)) {
+        target.sessions.push({
+          session,
+          action: 'trim',
+          observations: (session.observations || []).filter(o => observationMatches(o, keyword)).length,
+          conversations: (session.conversations || []).filter(c => conversationMatches(c, keyword)).length,
+          digest: countDigestMatches(session.digest, keyword)
+        });
+        return;
+      }
+
+      target.sessions.push({ session, action: 'delete' });
+    });
+
+    if (target.deleteProject || target.sessions.length > 0) {
+      plan.projects.push(target);
+      (target.deleteProject ? memories.sessions : target.sessions.map(item => item.session))
+        .forEach(session => sessionDates.add(session.date));
+    }
+  });
+  plan.copies = findLeftoverCopies(plan.projects, sessionDates);
+
+  // 아직 저장되지 않은 진행 중 세션 버퍼
+  if (sessionPrefix) {
+    plan.buffers = findBuffers(sessionPrefix)
+      .filter(b => b.observations.length > 0 || b.conversations.length > 0);
+  }
+
+  plan.keyword = keyword;
+  return plan;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 실행
+// ═══════════════════════════════════════════════════════════════
+
+// 남은 세션들의 키워드로 프로젝트 keywords 재계산
+function rebuildProjectKeywords(sessions, limit) {
+  const allKeywords = new Set();
+  sessions.forEach(s => (s.keywords || []).forEach(k => allKeywords.add(k)));
+  return Array.from(allKeywords).slice(-limit);
+}
+
+// 세션 식별 (같은 프로젝트 안에서 date가 고유)
+const sessionKey = session => `${session.date}|${session.session_id || ''}`;
+
+// digest에서 키워드가 들어간 항목을 빼고, topic이 일치하면 비움 (예전 세션의 files 포함)
+function trimDigest(digest, keyword) {
+  if (!digest) return digest;
+  const trimmed = {};
+  Object.entries(digest).forEach(([field, value]) => {
+    if (Array.isArray(value)) {
+      trimmed[field] = value.filter(item => !includesKeyword(item, keyword));
+    } else {
+      trimmed[field] = includesKeyword(value, keyword) ? '' : value;
+    }
+  });
+  return trimmed;
+}
+
+function trimSession(session, keyword) {
+  const observations = (session.observations || []).filter(o => !observationMatches(o, keyword));
+  const conversations = (session.conversations || []).filter(c => !conversationMatches(c, keyword));
+  const removedObs = (session.observations || []).length - observations.length;
+  const removedConvs = (session.conversations || []).length - conversations.length;
+
+  return {
+    ...session,
+    observations,
+    conversations,
+    digest: trimDigest(session.digest, keyword),
+    observation_count: Math.max((session.observation_count || 0) - removedObs, observations.length),
+    conversation_count: Math.max((session.conversation_count || 0) - removedConvs, conversations.length),
+    keywords: (session.keywords || []).filter(k => !includesKeyword(k, keyword))
+  };
+}
+
+// 계획 실행 → { sessions, observations, conversations, projects, buffers, copies } 삭제 개수
+function applyForget(plan) {
+  const { storage } = getConfig();
+  const result = { sessions: 0, observations: 0, conversations: 0, projects: 0, buffers: 0, copies: 0 };
+
+  plan.projects.forEach(target => {
+    if (target.deleteProject) {
+      removeJSON(getMemoryFile(target.projectId));
+      updateProjectIndex(target.projectId, [], { purgeBackup: true });
+      result.projects++;
+      result.sessions += target.totalSessions;
+      return;
+    }
+
+    const actions = new Map(target.sessions.map(item => [sessionKey(item.session), item.action]));
+    const saved = updateMemories(target.projectId, memories => {
+      memories.sessions = memories.sessions
+        .filter(s => {
+          if (actions.get(sessionKey(s)) !== 'delete') return true;
+          result.sessions++;
+          return false;
+        })
+        .map(s => {
+          if (actions.get(sessionKey(s)) !== 'trim') return s;
+          const trimmed = trimSession(s, plan.keyword);
+          result.observations += (s.observations || []).length - trimmed.observations.length;
+          result.conversations += (s.conversations || []).length - trimmed.conversations.length;
+          return trimmed;
+        });
+      memories.keywords = rebuildProjectKeywords(memories.sessions, storage.keywords_per_project);
+    }, { purgeBackup: true });
+
+    updateProjectIndex(target.projectId, saved.sessions, { reindex: true, purgeBackup: true });
+  });
+
+  plan.buffers.forEach(buffer => {
+    if (deleteBuffer(buffer.session_id)) result.buffers++;
+  });
+
+  (plan.copies || []).filter(copy => copy.action === 'delete').forEach(copy => {
+    if (removeJSON(copy.file)) result.copies++;
+  });
+
+  return result;
+}
+
+module.exports = {
+  planForget,
+  applyForget
+};
@@ -0,0 +1,130 @@
+/**
+ * format-helpers.js
+ * 관찰 포맷 함수들이 같이 쓰는 작은 도우미
+ *
+ * 내장 포맷터는 require로, 사용자 포맷터는 format(toolData, helpers)의 두 번째 인자로 받음
+ */
+
+// 문자열을 최대 길이로 자르기
+function truncate(str, maxLen = 100) {
+  if (!str) return '';
+  str = String(str).trim();
+  return str.length > maxLen ? str.substring(0, maxLen) + '...' : str;
+}
+
+// 파일 경로에서 파일명만 추출 (짧게)
+function shortPath(filePath) {
+  if (!filePath) return 'unknown';
+  // 마지막 2단계만 유지: src/components/Button.js → components/Button.js
+  const parts = filePath.replace(/\\/g, '/').split('/');
+  return parts.slice(-2).join('/');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 실패 판별
+// ═══════════════════════════════════════════════════════════════
+// 응답 텍스트에 "error"가 있다고 실패로 보지 않음 (grep error, "0 failed" 같은 출력)
+// 구조화된 필드 → 도구별 규칙 → (문자열 응답만 있을 때) 좁은 텍스트 규칙 순으로 판단
+
+const EXIT_CODE_FIELDS = ['exit_code', 'exitCode', 'returnCode', 'return_code', 'status_code'];
+
+// Claude Code가 도구 오류를 문자열로 돌려줄 때의 형식
+const TOOL_ERROR_TEXT = /<tool_use_error>|^\s*(?:error|fatal)\s*:/i;
+
+// 셸 자체가 내는 실패 메시지 (명령 출력의 일부가 아니라 줄 전체가 이 형식일 때만)
+const SHELL_FAILURE_TEXT = /^(?:.*: )?(?:command not found|permission denied|no such file or directory)$|^(?:error|fatal|npm ERR!)(?:\[[^\]]*\])?\s*:?|exited with (?:exit )?code [1-9]\d*/i;
+
+function firstLine(text) {
+  return truncate(String(text).trim().split('\n')[0], 100);
+}
+
+// 셸 실패 메시지는 출력의 첫 줄이나 마지막 줄에만 나옴
+// 중간 줄은 명령 출력이라 보지 않음 ("PASS 12 tests / error: expected log line / 0 failed")
+function findShellFailure(text) {
+  const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+  const edges = lines.length > 1 ? [lines[0], lines[lines.length - 1]] : lines;
+  for (const line of edges) {
+    if (line.match(SHELL_FAILURE_TEXT)) return firstLine(line);
+  }
+  return null;
+}
+
+function getExitCode(response) {
+  for (const field of EXIT_CODE_FIELDS) {
+    if (typeof response[field] === 'number') return response[field];
+  }
+  return null;
+}
+
+// 구조화된 응답 (객체) 판별 → { failed, reason } 또는 null (판단할 근거 없음)
+function detectStructuredFailure(toolName, response) {
+  if (response.is_error === true || response.isError === true) {
+    return { failed: true, reason: firstLine(response.error || response.content || 'is_error') };
+  }
+  if (response.error) {
+    return { failed: true, reason: firstLine(typeof response.error === 'string' ? response.error : JSON.stringify(response.error)) };
+  }
+  if (response.interrupted === true) {
+    return { failed: true, reason: 'interrupted' };
+  }
+  if (response.success === false) {
+    return { failed: true, reason: firstLine(response.message || 'success: false') };
+  }
+
+  const exitCode = getExitCode(response);
+  if (exitCode !== null) {
+    return exitCode === 0
+      ? { failed: false }
+      : { failed: true, reason: `exit code ${exitCode}${response.stderr ? `: ${firstLine(response.stderr)}` : ''}` };
+  }
+
+  // Bash: 종료 코드가 없으면 stdout은 보지 않고 stderr만 좁게 검사
+  if (toolName === 'Bash' && (typeof response.stdout === 'string' || typeof response.stderr === 'string')) {
+    const reason = findShellFailure(response.stderr || '');
+    return reason ? { failed: true, reason } : { failed: false };
+  }
+
+  return null;
+}
+
+// 도구 응답 → { failed, reason }
+function detectFailure(toolName, response) {
+  if (response === undefined || response === null || response === '') return { failed: false };
+
+  if (typeof response === 'object' && !Array.isArray(response)) {
+    return detectStructuredFailure(toolName, response) || { failed: false };
+  }
+
+  // 문자열 응답 (예전 payload 형식)
+  const text = String(response);
+  if (TOOL_ERROR_TEXT.test(text)) {
+    return { failed: true, reason: firstLine(text.replace(/<\/?tool_use_error>/g, '')) };
+  }
+  const reason = toolName === 'Bash' ? findShellFailure(text) : null;
+  return reason ? { failed: true, reason } : { failed: false };
+}
+
+// 에러 응답인지 확인 (사용자 포맷터 호환용 - toolName을 주면 도구별 규칙 적용)
+function isError(response, toolName) {
+  return detectFailure(toolName, response).failed;
+}
+
+// 도구 응답에 오류가 명시되어 있는지
+function hasErrorFlag(response) {
+  return !!response && typeof response === 'object' && !!detectStructuredFailure(null, response)?.failed;
+}
+
+// 짧은 값 미리보기 (MCP 도구 입력 등)
+function previewValue(value, maxLen = 80) {
+  if (value === undefined || value === null) return '';
+  return truncate(typeof value === 'string' ? value : JSON.stringify(value), maxLen);
+}
+
+module.exports = {
+  truncate,
+  shortPath,
+  detectFailure,
+  isError,
+  hasErrorFlag,
+  previewValue
+};
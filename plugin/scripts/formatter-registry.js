@@ -0,0 +1,202 @@
+/**
+ * formatter-registry.js
+ * 관찰 포맷터 레지스트리 - 도구 호출을 관찰(summary, details, keywords)로 바꾸는 모듈들을 불러와 고름
+ *
+ * 포맷터 위치 (사용자 포맷터가 먼저):
+ * - ~/.claude-simple-memory/formatters/*.js
+ * - plugin/scripts/formatters/*.js (내장)
+ *
+ * 포맷터 모듈 형식:
+ *   module.exports = {
+ *     name: 'my-cli',
+ *     tools: ['Bash', /^mcp__jira__/],          // 도구 이름 (문자열 또는 정규식)
+ *     match: toolData => ...,                     // 선택 - 입력 모양으로 추가 판별
+ *     priority: 0,                                // 선택 - 높을수록 먼저
+ *     commandCategories: { mycli: '🛠️' },         // 선택 - Bash 명령어 이모지 추가
+ *     format: (toolData, helpers) => ({ summary, details, keywords, weight, dedupe_key }) 또는 null
+ *   };
+ *
+ * format이 null을 돌려주면 기록하지 않음, 예외를 던지거나 summary가 없으면 공통 포맷으로 대신함
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./storage');
+const helpers = require('./format-helpers');
+const { t } = require('./i18n');
+
+const BUILTIN_FORMATTERS_DIR = path.join(__dirname, 'formatters');
+const USER_FORMATTERS_DIR = path.join(DATA_DIR, 'formatters');
+
+const MAX_KEYWORDS = 10;
+
+// ═══════════════════════════════════════════════════════════════
+// 불러오기
+// ═══════════════════════════════════════════════════════════════
+
+function isValidFormatter(formatter) {
+  return !!formatter && typeof formatter.format === 'function' &&
+    (Array.isArray(formatter.tools) || typeof formatter.match === 'function');
+}
+
+// 디렉토리의 .js 모듈을 포맷터로 불러옴 (잘못된 모듈은 경고만 하고 건너뜀)
+function loadFormattersFrom(dir, source) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  } catch (e) {
+    return []; // 디렉토리 없음
+  }
+
+  const formatters = [];
+  files.forEach(file => {
+    const filePath = path.join(dir, file);
+    try {
+      const formatter = require(filePath);
+      if (!isValidFormatter(formatter)) {
+        console.error(`[claude-simple-memory] ${t('formatter.invalid', { file: filePath })}`);
+        return;
+      }
+      formatters.push({ ...formatter, name: formatter.name || path.basename(file, '.js'), source, file: filePath });
+    } catch (e) {
+      console.error(`[claude-simple-memory] ${t('formatter.load_failed', { file: filePath, message: e.message })}`);
+    }
+  });
+  return formatters;
+}
+
+let cachedFormatters = null;
+
+// 사용자 포맷터 → 내장 포맷터 순, 그 안에서는 priority가 높은 것부터
+function loadFormatters() {
+  if (cachedFormatters) return cachedFormatters;
+
+  const all = [
+    ...loadFormattersFrom(USER_FORMATTERS_DIR, 'user'),
+    ...loadFormattersFrom(BUILTIN_FORMATTERS_DIR, 'builtin')
+  ];
+  // sort는 안정 정렬이라 priority가 같으면 사용자 포맷터가 앞에 남음
+  cachedFormatters = all.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  return cachedFormatters;
+}
+
+// 모든 포맷터의 commandCategories 합치기 (앞의 포맷터가 우선)
+function getCommandCategories(formatters) {
+  const categories = {};
+  [...formatters].reverse().forEach(f => Object.assign(categories, f.commandCategories || {}));
+  return categories;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 고르기
+// ═══════════════════════════════════════════════════════════════
+
+function matchesToolName(formatter, toolName) {
+  if (!Array.isArray(formatter.tools)) return true;
+  return formatter.tools.some(t => (t instanceof RegExp ? t.test(toolName) : t === toolName));
+}
+
+// 도구 이름과 입력 모양이 맞는 포맷터 목록 (먼저 것이 우선)
+function findFormatters(toolData, formatters = loadFormatters()) {
+  return formatters.filter(f => {
+    if (!matchesToolName(f, toolData.tool_name)) return false;
+    if (typeof f.match !== 'function') return true;
+    try {
+      return !!f.match(toolData);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 공통 포맷 (MCP 도구, 모르는 도구, 포맷터 실패 시)
+// ═══════════════════════════════════════════════════════════════
+
+// mcp__<server>__<tool> → server.tool, 그 외는 도구 이름 그대로
+function formatGeneric({ tool_name, tool_input, tool_response }) {
+  const name = String(tool_name || 'unknown');
+  const failure = helpers.detectFailure(name, tool_response);
+  const hasError = failure.failed;
+  let label = name;
+  let details = {};
+
+  if (name.startsWith('mcp__')) {
+    const [, server = 'unknown', ...rest] = name.split('__');
+    const tool = rest.join('__') || 'unknown';
+    label = `${server}.${tool}`;
+    details = { server: server, tool: tool };
+  }
+
+  // 입력 중 처음 몇 개 값만 미리보기
+  const args = Object.entries(tool_input && typeof tool_input === 'object' ? tool_input : {})
+    .slice(0, 3)
+    .map(([key, value]) => `${key}=${helpers.previewValue(value, 40)}`)
+    .join(', ');
+
+  return {
+    summary: hasError
+      ? `❌ ${label} failed${args ? `: ${args}` : ''}`
+      : `🔌 ${label}${args ? `: ${args}` : ''}`,
+    details: {
+      ...details,
+      input: helpers.previewValue(tool_input, 200),
+      success: !hasError,
+      error: failure.reason
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 포맷
+// ═══════════════════════════════════════════════════════════════
+
+// 포맷터 결과 정리 - summary가 없으면 잘못된 결과
+function normalizeResult(result) {
+  if (typeof result?.summary !== 'string' || !result.summary.trim()) return null;
+
+  const observation = {
+    summary: result.summary,
+    details: result.details && typeof result.details === 'object' ? result.details : {}
+  };
+  if (Array.isArray(result.keywords)) {
+    const keywords = result.keywords
+      .filter(k => typeof k === 'string' && k.trim())
+      .map(k => k.trim().toLowerCase())
+      .slice(0, MAX_KEYWORDS);
+    if (keywords.length > 0) observation.keywords = keywords;
+  }
+  if (result.weight === 'low') observation.weight = 'low';
+  if (result.dedupe_key) observation.dedupe_key = String(result.dedupe_key);
+  return observation;
+}
+
+// 도구 호출 → 관찰 (기록하지 않을 도구면 null)
+function formatObservation(toolData, formatters = loadFormatters()) {
+  const formatter = findFormatters(toolData, formatters)[0];
+  if (!formatter) return normalizeResult(formatGeneric(toolData));
+
+  try {
+    const result = formatter.format(toolData, {
+      ...helpers,
+      commandCategories: getCommandCategories(formatters)
+    });
+    if (result === null) return null;
+
+    const observation = normalizeResult(result);
+    if (observation) return observation;
+    console.error(`[claude-simple-memory] ${t('formatter.no_summary', { name: formatter.name })}`);
+  } catch (e) {
+    console.error(`[claude-simple-memory] ${t('formatter.error', { name: formatter.name, message: e.message })}`);
+  }
+  return normalizeResult(formatGeneric(toolData));
+}
+
+module.exports = {
+  BUILTIN_FORMATTERS_DIR,
+  USER_FORMATTERS_DIR,
+  loadFormatters,
+  findFormatters,
+  formatGeneric,
+  formatObservation
+};
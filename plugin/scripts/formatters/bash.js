@@ -0,0 +1,65 @@
+/**
+ * Bash 도구: 명령어 실행
+ *
+ * 명령어별 이모지는 다른 포맷터 모듈의 commandCategories로 추가할 수 있음
+ * (helpers.commandCategories로 합쳐서 전달됨)
+ */
+
+const { truncate, detectFailure } = require('../format-helpers');
+
+// 중요한 명령어 카테고리 분류
+const COMMAND_CATEGORIES = {
+  git: '🔀',      // 버전 관리
+  npm: '📦',      // Node.js 패키지
+  yarn: '📦',
+  pnpm: '📦',
+  pip: '🐍',      // Python 패키지
+  python: '🐍',
+  docker: '🐳',   // 컨테이너
+  kubectl: '☸️',  // Kubernetes
+  make: '🔨',     // 빌드
+  cargo: '🦀',    // Rust
+  go: '🐹',       // Go
+};
+
+module.exports = {
+  name: 'bash',
+  tools: ['Bash'],
+  commandCategories: COMMAND_CATEGORIES,
+
+  format({ tool_name, tool_input, tool_response }, helpers = {}) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const command = tool_input?.command || '';
+    const firstWord = command.split(/\s+/)[0] || 'unknown';
+
+    const cmdCategories = helpers.commandCategories || COMMAND_CATEGORIES;
+    const emoji = cmdCategories[firstWord] || '💻';
+    const shortCmd = truncate(command, 80);
+    // 구조화된 응답이면 stdout (없으면 stderr)
+    const output = truncate(
+      tool_response && typeof tool_response === 'object'
+        ? tool_response.stdout || tool_response.stderr
+        : tool_response,
+      50
+    );
+
+    // git 명령어는 서브커맨드도 포함 (git commit, git push 등)
+    let cmdLabel = firstWord;
+    if (firstWord === 'git' && command.split(/\s+/)[1]) {
+      cmdLabel = `git ${command.split(/\s+/)[1]}`;
+    }
+
+    return {
+      summary: hasError
+        ? `❌ ${cmdLabel} failed: ${shortCmd}`
+        : `${emoji} Ran ${cmdLabel}: ${shortCmd}`,
+      details: {
+        command: command,
+        success: !hasError,
+        error: failure.reason,
+        output: output
+      }
+    };
+  }
+};
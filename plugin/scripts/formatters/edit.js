@@ -0,0 +1,44 @@
+/**
+ * Edit / MultiEdit 도구: 파일 수정
+ *
+ * 추가/삭제 줄 수와 짧은 diff를 기록 ("+12/-3 lines in auth/session.ts")
+ * 응답에 structuredPatch가 있으면 그것으로 (replace_all도 정확), 없으면 old/new 문자열로 계산
+ */
+
+const { truncate, shortPath, detectFailure } = require('../format-helpers');
+const { summarizeChanges, summarizeStructuredPatch, formatLineDelta } = require('../diff');
+
+module.exports = {
+  name: 'edit',
+  tools: ['Edit', 'MultiEdit'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const file = shortPath(tool_input?.file_path);
+
+    const edits = tool_name === 'MultiEdit'
+      ? tool_input?.edits || []
+      : [{ old_string: tool_input?.old_string, new_string: tool_input?.new_string }];
+    const newCode = truncate(edits[0]?.new_string, 100);
+    const change = summarizeStructuredPatch(tool_response?.structuredPatch) ||
+      summarizeChanges(edits.map(e => [e.old_string, e.new_string]));
+    const editCount = tool_name === 'MultiEdit' ? `, ${edits.length} edits` : '';
+
+    return {
+      summary: hasError
+        ? `❌ Failed to edit ${file}`
+        : `✏️ ${formatLineDelta(change.added, change.removed)} lines in ${file}${editCount}: ${newCode}`,
+      details: {
+        file: tool_input?.file_path,
+        success: !hasError,
+        error: failure.reason,
+        edits: tool_name === 'MultiEdit' ? edits.length : undefined,
+        lines_added: change.added,
+        lines_removed: change.removed,
+        diff: hasError ? undefined : change.diff,
+        preview: newCode
+      }
+    };
+  }
+};
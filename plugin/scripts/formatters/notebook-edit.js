@@ -0,0 +1,32 @@
+/**
+ * NotebookEdit 도구: Jupyter 셀 수정
+ */
+
+const { truncate, shortPath, detectFailure } = require('../format-helpers');
+
+module.exports = {
+  name: 'notebook-edit',
+  tools: ['NotebookEdit'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const file = shortPath(tool_input?.notebook_path);
+    const mode = tool_input?.edit_mode || 'replace';
+    const source = truncate(tool_input?.new_source, 100);
+
+    return {
+      summary: hasError
+        ? `❌ Failed to edit notebook ${file}`
+        : `📓 Notebook ${file} (${mode}${tool_input?.cell_id ? ` ${tool_input.cell_id}` : ''}): ${source}`,
+      details: {
+        file: tool_input?.notebook_path,
+        cell_id: tool_input?.cell_id,
+        edit_mode: mode,
+        success: !hasError,
+        error: failure.reason,
+        preview: source
+      }
+    };
+  }
+};
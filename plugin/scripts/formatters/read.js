@@ -0,0 +1,30 @@
+/**
+ * Read 도구: 파일 조사 (가벼운 관찰, 파일별로 합침)
+ */
+
+const { shortPath, detectFailure } = require('../format-helpers');
+
+module.exports = {
+  name: 'read',
+  tools: ['Read'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const file = shortPath(tool_input?.file_path);
+    const range = tool_input?.offset || tool_input?.limit
+      ? ` (${tool_input.offset || 1}~${tool_input.limit ? (tool_input.offset || 1) + tool_input.limit - 1 : ''})`
+      : '';
+
+    return {
+      summary: hasError ? `❌ Failed to read ${file}` : `📖 Read ${file}${range}`,
+      details: {
+        file: tool_input?.file_path,
+        success: !hasError,
+        error: failure.reason
+      },
+      weight: 'low',
+      dedupe_key: `Read:${tool_input?.file_path}`
+    };
+  }
+};
@@ -0,0 +1,48 @@
+/**
+ * Grep / Glob 도구: 코드 검색, 파일 찾기 (가벼운 관찰, 같은 검색은 합침)
+ */
+
+const { truncate, shortPath, detectFailure } = require('../format-helpers');
+
+module.exports = {
+  name: 'search',
+  tools: ['Grep', 'Glob'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const pattern = truncate(tool_input?.pattern, 60);
+
+    if (tool_name === 'Glob') {
+      const where = tool_input?.path ? ` in ${shortPath(tool_input.path)}` : '';
+      return {
+        summary: hasError ? `❌ File search failed: ${pattern}` : `🗂️ Listed ${pattern}${where}`,
+        details: {
+          pattern: tool_input?.pattern,
+          path: tool_input?.path,
+          success: !hasError,
+          error: failure.reason
+        },
+        weight: 'low',
+        dedupe_key: `Glob:${tool_input?.pattern}:${tool_input?.path || ''}`
+      };
+    }
+
+    const where = [tool_input?.path && shortPath(tool_input.path), tool_input?.glob || tool_input?.type]
+      .filter(Boolean).join(' ');
+    return {
+      summary: hasError
+        ? `❌ Search failed: "${pattern}"`
+        : `🔎 Searched "${pattern}"${where ? ` in ${where}` : ''}`,
+      details: {
+        pattern: tool_input?.pattern,
+        path: tool_input?.path,
+        glob: tool_input?.glob,
+        success: !hasError,
+        error: failure.reason
+      },
+      weight: 'low',
+      dedupe_key: `Grep:${tool_input?.pattern}:${tool_input?.path || ''}:${tool_input?.glob || ''}`
+    };
+  }
+};
@@ -0,0 +1,39 @@
+/**
+ * Task 도구: 서브에이전트 실행
+ */
+
+const { truncate, detectFailure } = require('../format-helpers');
+
+// 에이전트 타입별 이모지
+const AGENT_EMOJIS = {
+  'Explore': '🔍',
+  'Plan': '📋',
+  'Bash': '💻',
+  'general-purpose': '🤖',
+};
+
+module.exports = {
+  name: 'task',
+  tools: ['Task'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const agentType = tool_input?.subagent_type || 'unknown';
+    const description = tool_input?.description || '';
+    const prompt = truncate(tool_input?.prompt, 80);
+    const emoji = AGENT_EMOJIS[agentType] || '🤖';
+
+    return {
+      summary: hasError
+        ? `❌ Agent ${agentType} failed: ${description}`
+        : `${emoji} Agent ${agentType}: ${description || prompt}`,
+      details: {
+        agent_type: agentType,
+        description: description,
+        success: !hasError,
+        error: failure.reason
+      }
+    };
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * WebFetch / WebSearch 도구: 문서 가져오기, 웹 검색
+ */
+
+const { truncate, detectFailure } = require('../format-helpers');
+
+module.exports = {
+  name: 'web',
+  tools: ['WebFetch', 'WebSearch'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+
+    if (tool_name === 'WebSearch') {
+      const query = truncate(tool_input?.query, 100);
+      return {
+        summary: hasError ? `❌ Web search failed: ${query}` : `🔍 Web search: ${query}`,
+        details: {
+          query: tool_input?.query,
+          success: !hasError,
+          error: failure.reason
+        },
+        dedupe_key: `WebSearch:${tool_input?.query}`
+      };
+    }
+
+    const url = tool_input?.url || '';
+    const prompt = truncate(tool_input?.prompt, 80);
+    return {
+      summary: hasError
+        ? `❌ Failed to fetch ${truncate(url, 100)}`
+        : `🌐 Fetched ${truncate(url, 100)}${prompt ? `: ${prompt}` : ''}`,
+      details: {
+        url: url,
+        prompt: prompt,
+        success: !hasError,
+        error: failure.reason
+      },
+      dedupe_key: `WebFetch:${url}`
+    };
+  }
+};
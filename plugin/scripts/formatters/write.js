@@ -0,0 +1,58 @@
+/**
+ * Write 도구: 파일 생성 / 덮어쓰기
+ *
+ * 크기와 줄 수, 새 파일인지 덮어쓴 것인지 기록 (응답의 type: create | update)
+ * 덮어쓴 경우 structuredPatch(또는 originalFile)로 추가/삭제 줄 수와 diff
+ */
+
+const { truncate, shortPath, detectFailure } = require('../format-helpers');
+const { splitLines, summarizeChange, summarizeStructuredPatch, formatLineDelta, formatBytes } = require('../diff');
+
+module.exports = {
+  name: 'write',
+  tools: ['Write'],
+
+  format({ tool_name, tool_input, tool_response }) {
+    const failure = detectFailure(tool_name, tool_response);
+    const hasError = failure.failed;
+    const file = shortPath(tool_input?.file_path);
+    const content = truncate(tool_input?.content, 100);
+
+    const text = String(tool_input?.content || '');
+    const size = Buffer.byteLength(text, 'utf-8');
+    const lines = splitLines(text).length;
+    const mode = tool_response?.type === 'create' || tool_response?.type === 'update' ? tool_response.type : null;
+
+    let change = null;
+    if (mode === 'update') {
+      change = summarizeStructuredPatch(tool_response.structuredPatch) ||
+        (typeof tool_response.originalFile === 'string' ? summarizeChange(tool_response.originalFile, text) : null);
+    }
+
+    let summary;
+    if (hasError) {
+      summary = `❌ Failed to write ${file}`;
+    } else if (mode === 'update') {
+      const delta = change ? `${formatLineDelta(change.added, change.removed)} lines, ` : '';
+      summary = `📝 Overwrote ${file} (${delta}${formatBytes(size)})`;
+    } else {
+      summary = `📝 ${mode === 'create' ? 'Created' : 'Wrote'} ${file} (${lines} lines, ${formatBytes(size)}): ${content}`;
+    }
+
+    return {
+      summary,
+      details: {
+        file: tool_input?.file_path,
+        success: !hasError,
+        error: failure.reason,
+        mode: mode || undefined,
+        size: size,
+        lines: lines,
+        lines_added: change ? change.added : mode === 'create' ? lines : undefined,
+        lines_removed: change ? change.removed : mode === 'create' ? 0 : undefined,
+        diff: change && !hasError ? change.diff : undefined,
+        preview: content
+      }
+    };
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * git.js
+ * 로컬 git 조회 헬퍼 - git이 없거나 저장소가 아니어도 null을 반환하고 넘어감
+ */
+
+const { execFileSync } = require('child_process');
+
+// 설정
+const GIT_TIMEOUT_MS = 2000; // hook 타임아웃을 넘지 않도록 짧게
+const MAX_CHANGED_FILES = 30;  // 작업 트리 변경 파일 최대 수
+const MAX_RECENT_COMMITS = 5;  // 최근 커밋 수
+const MAX_FILES_PER_COMMIT = 10;
+
+// git 명령 실행 (실패 시 null)
+// raw: 앞 공백이 의미 있는 출력(status --porcelain)은 trim하지 않음
+function runGit(args, cwd, { raw = false } = {}) {
+  try {
+    const output = execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: GIT_TIMEOUT_MS
+    });
+    return raw ? output : output.trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// 저장소 루트 경로
+function getGitRoot(cwd) {
+  return runGit(['rev-parse', '--show-toplevel'], cwd) || null;
+}
+
+// 원격 저장소 URL (origin 우선, 없으면 첫 번째 remote)
+function getRemoteUrl(cwd) {
+  const origin = runGit(['config', '--get', 'remote.origin.url'], cwd);
+  if (origin) return origin;
+
+  const firstRemote = (runGit(['remote'], cwd) || '').split('\n')[0];
+  if (!firstRemote) return null;
+  return runGit(['config', '--get', `remote.${firstRemote}.url`], cwd) || null;
+}
+
+// 현재 브랜치 (detached HEAD면 null)
+function getBranch(cwd) {
+  const branch = runGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  return branch && branch !== 'HEAD' ? branch : null;
+}
+
+// 현재 커밋 (짧은 해시)
+function getHeadCommit(cwd) {
+  return runGit(['rev-parse', '--short', 'HEAD'], cwd) || null;
+}
+
+// git status --porcelain 파싱: 스테이징된 파일, 수정된 파일, 추적 안 되는 파일
+function getWorkingTreeFiles(cwd) {
+  const result = { staged: [], modified: [], untracked: [] };
+  const output = runGit(['status', '--porcelain'], cwd, { raw: true });
+  if (!output) return result;
+
+  output.split('\n').forEach(line => {
+    if (line.length < 4) return;
+    const x = line[0];
+    const y = line[1];
+    // 이름 변경은 "old -> new" 형식 → 새 경로 사용
+    const file = line.substring(3).split(' -> ').pop().replace(/^"|"$/g, '');
+
+    if (x === '?' && y === '?') {
+      result.untracked.push(file);
+      return;
+    }
+    if (x !== ' ') result.staged.push(file);
+    if (y !== ' ') result.modified.push(file);
+  });
+
+  Object.keys(result).forEach(key => {
+    result[key] = result[key].slice(0, MAX_CHANGED_FILES);
+  });
+  return result;
+}
+
+// 최근 커밋의 제목과 변경 파일
+function getRecentCommits(cwd, count = MAX_RECENT_COMMITS) {
+  const output = runGit(['log', `-n${count}`, '--name-only', '--pretty=format:%x1e%s'], cwd);
+  if (!output) return [];
+
+  return output.split('\x1e')
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => {
+      const [subject, ...files] = chunk.split('\n').map(l => l.trim()).filter(Boolean);
+      return { subject, files: files.slice(0, MAX_FILES_PER_COMMIT) };
+    });
+}
+
+// 현재 작업 상태 요약 - 저장소가 아니면 null
+function getGitContext(cwd) {
+  const root = getGitRoot(cwd);
+  if (!root) return null;
+
+  const files = getWorkingTreeFiles(root);
+  return {
+    root,
+    branch: getBranch(root),
+    stagedFiles: files.staged,
+    modifiedFiles: files.modified,
+    untrackedFiles: files.untracked,
+    recentCommits: getRecentCommits(root)
+  };
+}
+
+module.exports = {
+  runGit,
+  getGitRoot,
+  getRemoteUrl,
+  getBranch,
+  getHeadCommit,
+  getWorkingTreeFiles,
+  getRecentCommits,
+  getGitContext
+};
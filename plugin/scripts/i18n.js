@@ -0,0 +1,114 @@
+/**
+ * i18n.js
+ * 메시지 카탈로그 - 명령어 출력, 세션 시작/회상 컨텍스트, 로컬 요약 문구의 언어 선택
+ *
+ * - 카탈로그: plugin/scripts/locales/<언어>.js (키 → 문자열 또는 함수)
+ * - 언어: config의 ui.locale (또는 CLAUDE_MEMORY_LOCALE), auto면 LC_ALL / LC_MESSAGES / LANG 으로 판단
+ * - 없는 키는 한국어 카탈로그 → 키 이름 순으로 대신함
+ */
+
+const { getConfig } = require('./config');
+
+const CATALOGS = {
+  ko: require('./locales/ko'),
+  en: require('./locales/en')
+};
+const DEFAULT_LOCALE = 'ko'; // 환경 변수로도 알 수 없을 때 (기존 동작)
+
+// ═══════════════════════════════════════════════════════════════
+// 언어 선택
+// ═══════════════════════════════════════════════════════════════
+
+// 시스템 로캘 → 카탈로그 이름 (ko_KR.UTF-8 → ko, en_US.UTF-8 / de_DE → en)
+function detectLocale(env = process.env) {
+  const value = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+  const language = value.split(/[_.@-]/)[0].toLowerCase();
+  if (!language || language === 'c' || language === 'posix') return DEFAULT_LOCALE;
+  return CATALOGS[language] ? language : 'en';
+}
+
+// ui.locale 설정 값 → 카탈로그 이름
+function resolveLocale(setting, env = process.env) {
+  if (setting && setting !== 'auto' && CATALOGS[setting]) return setting;
+  return detectLocale(env);
+}
+
+let currentLocale = null;
+
+// hook은 hook 데이터의 cwd로 읽은 설정으로 먼저 지정 (지정 전에 쓰면 현재 디렉토리 설정 사용)
+function setLocale(setting) {
+  currentLocale = resolveLocale(setting);
+  return currentLocale;
+}
+
+function getLocale() {
+  if (!currentLocale) {
+    try {
+      currentLocale = resolveLocale(getConfig(process.cwd()).ui.locale);
+    } catch (e) {
+      currentLocale = resolveLocale('auto');
+    }
+  }
+  return currentLocale;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 번역
+// ═══════════════════════════════════════════════════════════════
+
+// 키 → 문장, {name} 자리에 params 값 (함수 항목은 params를 받아 문장을 돌려줌)
+function t(key, params = {}) {
+  const catalog = CATALOGS[getLocale()];
+  const entry = catalog[key] !== undefined ? catalog[key] : CATALOGS[DEFAULT_LOCALE][key];
+  if (entry === undefined) return key;
+  if (typeof entry === 'function') return entry(params);
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 날짜
+// ═══════════════════════════════════════════════════════════════
+
+function dateLocale() {
+  return t('meta.date_locale');
+}
+
+// 오늘 / 어제 / N일 전 / 3월 5일
+function formatDate(isoString) {
+  const date = new Date(isoString);
+  const diffDays = Math.floor((Date.now() - date) / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) return t('date.today');
+  if (diffDays === 1) return t('date.yesterday');
+  if (diffDays < 7) return t('date.days_ago', { days: diffDays });
+  return formatShortDate(isoString);
+}
+
+function formatShortDate(isoString) {
+  return new Date(isoString).toLocaleDateString(dateLocale(), { month: 'short', day: 'numeric' });
+}
+
+function formatTime(isoString, { seconds = false } = {}) {
+  return new Date(isoString).toLocaleTimeString(dateLocale(), {
+    hour: '2-digit',
+    minute: '2-digit',
+    ...(seconds ? { second: '2-digit' } : {})
+  });
+}
+
+function formatDateTime(isoString) {
+  return new Date(isoString).toLocaleString(dateLocale());
+}
+
+module.exports = {
+  LOCALES: Object.keys(CATALOGS),
+  detectLocale,
+  resolveLocale,
+  setLocale,
+  getLocale,
+  t,
+  formatDate,
+  formatShortDate,
+  formatTime,
+  formatDateTime
+};
@@ -0,0 +1,328 @@
+/**
+ * local-summarizer.js
+ * 로컬 요약 - API 키 없이 관찰과 대화로 세션을 서술형으로 요약
+ *
+ * 1. 관찰과 대화를 시간순으로 놓고 작업(task) 단위로 묶음
+ *    - 새 사용자 요청(대화, context.lastUserMessage)이 오면 새 작업
+ *    - 시간 간격이 summary.task_gap_minutes보다 크면 새 작업
+ *    - 요청을 알 수 없는 작업은 디렉토리가 바뀌면 새 작업 (파일 묶음)
+ * 2. 작업마다 무엇을 했는지 (수정/생성한 파일, 조사, 실행한 명령)
+ * 3. 결과 (테스트 통과, 커밋, push, 빌드)와 해결되지 않은 오류
+ *
+ * → { summary: 한 줄 서술, digest: { topic, actions, outcomes, open_issues, files_changed } }
+ */
+
+const path = require('path');
+const { DEFAULTS } = require('./config');
+const { truncate, shortPath } = require('./format-helpers');
+const { formatLineDelta } = require('./diff');
+const { isLowWeight } = require('./buffer');
+const { t } = require('./i18n');
+
+const MAX_TASKS_IN_SUMMARY = 4;
+const MAX_SUMMARY_LENGTH = 600;
+
+// ═══════════════════════════════════════════════════════════════
+// 명령어 분류
+// ═══════════════════════════════════════════════════════════════
+
+const COMMAND_KINDS = [
+  { kind: 'test', regex: /\b(?:npm|yarn|pnpm|bun)\s+(?:run\s+)?test\b|\b(?:jest|vitest|mocha|pytest|phpunit|rspec|ctest)\b|\b(?:go|cargo|deno|dotnet)\s+test\b|\bnode\s+--test\b|\bmake\s+(?:test|check)\b/ },
+  { kind: 'build', regex: /\b(?:npm|yarn|pnpm|bun)\s+run\s+build\b|\btsc\b|\b(?:go|cargo|dotnet)\s+build\b|\bgradlew?\s+build\b|\bmvn\b.*\bpackage\b|^make\b/ },
+  { kind: 'lint', regex: /\b(?:npm|yarn|pnpm|bun)\s+run\s+lint\b|\b(?:eslint|ruff|flake8|golangci-lint|clippy)\b/ },
+  { kind: 'commit', regex: /\bgit\s+commit\b/ },
+  { kind: 'push', regex: /\bgit\s+push\b/ },
+  { kind: 'install', regex: /\b(?:npm|yarn|pnpm|bun|pip3?)\s+(?:install|add|i)\b/ }
+];
+
+function classifyCommand(command) {
+  const match = COMMAND_KINDS.find(({ regex }) => regex.test(command || ''));
+  return match ? match.kind : 'other';
+}
+
+// git commit -m "메시지" → 메시지
+function extractCommitMessage(command) {
+  const match = String(command || '').match(/-m\s+(?:"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+))/);
+  if (!match) return null;
+  return truncate((match[1] || match[2] || match[3] || '').split('\n')[0], 60);
+}
+
+// 명령어 라벨 - 앞의 두 단어 (npm test, git commit), run/exec이면 세 단어 (npm run build)
+function commandLabel(command) {
+  const words = String(command || '').trim().split(/\s+/);
+  return words.slice(0, ['run', 'exec', 'x'].includes(words[1]) ? 3 : 2).join(' ');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 작업 묶기
+// ═══════════════════════════════════════════════════════════════
+
+const FILE_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+function getTime(item) {
+  const time = new Date(item.timestamp || 0).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// 요청 비교용 (버퍼마다 잘린 길이가 달라서 앞부분만)
+function requestKey(text) {
+  return text ? String(text).replace(/\.\.\.$/, '').replace(/\s+/g, ' ').trim().substring(0, 80) : null;
+}
+
+function fileCluster(filePath) {
+  return path.dirname(String(filePath).replace(/\\/g, '/'));
+}
+
+function createTask(request, time) {
+  return { request, start: time, end: time, observations: [], clusters: new Set() };
+}
+
+// 관찰/대화 → 작업 목록
+function groupTasks(observations, conversations, gapMs) {
+  const events = [
+    ...(conversations || []).map(c => ({ kind: 'conversation', item: c, time: getTime(c) })),
+    ...(observations || []).map(o => ({ kind: 'observation', item: o, time: getTime(o) }))
+  ].sort((a, b) => a.time - b.time);
+
+  const tasks = [];
+  let current = null;
+
+  events.forEach(({ kind, item, time }) => {
+    if (kind === 'conversation') {
+      current = createTask({ text: item.message, type: item.type }, time);
+      tasks.push(current);
+      return;
+    }
+
+    const trigger = item.context?.lastUserMessage;
+    const file = item.details?.file;
+    const newRequest = trigger && (!current?.request || requestKey(trigger) !== requestKey(current.request.text));
+    const gap = current && time - current.end > gapMs;
+    const movedCluster = current && !current.request && file && current.clusters.size > 0 &&
+      !current.clusters.has(fileCluster(file));
+
+    if (!current || newRequest || gap || movedCluster) {
+      // 요청이 바뀌지 않은 채로 나뉘면 같은 요청을 이어받음
+      const request = newRequest ? { text: trigger, type: null } : current?.request || null;
+      current = createTask(request, time);
+      tasks.push(current);
+    }
+
+    current.observations.push(item);
+    current.end = time;
+    if (file) current.clusters.add(fileCluster(file));
+  });
+
+  return tasks;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 작업 분석
+// ═══════════════════════════════════════════════════════════════
+
+// 관찰 하나의 결과 키 (같은 키의 나중 성공이 이전 실패를 해결함)
+function outcomeKey(obs) {
+  if (obs.tool === 'Bash') {
+    const kind = classifyCommand(obs.details?.command);
+    return kind === 'other' ? `bash:${commandLabel(obs.details?.command)}` : `bash:${kind}`;
+  }
+  if (obs.details?.file) return `file:${obs.details.file}`;
+  return `tool:${obs.tool}`;
+}
+
+function failureLabel(obs) {
+  const target = obs.tool === 'Bash'
+    ? truncate(obs.details?.command, 40)
+    : obs.details?.file ? shortPath(obs.details.file) : obs.tool;
+  const reason = obs.details?.error ? ` (${truncate(obs.details.error, 60)})` : '';
+  return t('local.failed', { target, reason });
+}
+
+// 작업 하나 → { changed: {file: {added, removed, created}}, reads, searches, commands, web, agents, tools }
+function analyzeTask(task) {
+  const result = { changed: {}, reads: new Set(), searches: 0, commands: [], web: 0, agents: [], tools: [] };
+
+  task.observations.forEach(obs => {
+    const d = obs.details || {};
+    if (FILE_TOOLS.has(obs.tool) && d.file && d.success !== false) {
+      const change = result.changed[d.file] || (result.changed[d.file] = { added: 0, removed: 0, created: false, known: false });
+      if (d.lines_added !== undefined || d.lines_removed !== undefined) {
+        change.added += d.lines_added || 0;
+        change.removed += d.lines_removed || 0;
+        change.known = true;
+      }
+      if (d.mode === 'create') change.created = true;
+    } else if (obs.tool === 'Read' && d.file) {
+      result.reads.add(d.file);
+    } else if (obs.tool === 'Grep' || obs.tool === 'Glob') {
+      result.searches += obs.count || 1;
+    } else if (obs.tool === 'Bash' && d.command) {
+      result.commands.push(obs);
+    } else if (obs.tool === 'WebFetch' || obs.tool === 'WebSearch') {
+      result.web++;
+    } else if (obs.tool === 'Task') {
+      result.agents.push(d.agent_type || 'agent');
+    } else if (!isLowWeight(obs) && obs.tool) {
+      result.tools.push(d.server && d.tool ? `${d.server}.${d.tool}` : obs.tool);
+    }
+  });
+
+  return result;
+}
+
+function uniq(list) {
+  return Array.from(new Set(list));
+}
+
+function describeFiles(changed) {
+  const entries = Object.entries(changed)
+    .sort(([, a], [, b]) => (b.added + b.removed) - (a.added + a.removed));
+  return entries.slice(0, 3).map(([file, c]) => {
+    const delta = c.known ? `(${formatLineDelta(c.added, c.removed)})` : '';
+    return `${shortPath(file)}${delta}`;
+  }).join(', ') + (entries.length > 3 ? t('common.more', { count: entries.length - 3 }) : '');
+}
+
+// 작업 한 줄 설명 - "요청" → 수정 a.ts(+12/-3), 실행 npm test
+function describeTask(task, analysis) {
+  const parts = [];
+
+  const created = Object.fromEntries(Object.entries(analysis.changed).filter(([, c]) => c.created));
+  const modified = Object.fromEntries(Object.entries(analysis.changed).filter(([, c]) => !c.created));
+  if (Object.keys(modified).length > 0) parts.push(t('local.modified', { files: describeFiles(modified) }));
+  if (Object.keys(created).length > 0) parts.push(t('local.created', { files: describeFiles(created) }));
+
+  if (analysis.commands.length > 0) {
+    parts.push(t('local.ran', { commands: uniq(analysis.commands.map(o => commandLabel(o.details.command))).slice(0, 3).join(', ') }));
+  }
+  if (analysis.reads.size > 0 || analysis.searches > 0) {
+    const investigated = [
+      analysis.reads.size > 0 ? t('local.read_files', { count: analysis.reads.size }) : null,
+      analysis.searches > 0 ? t('local.searches', { count: analysis.searches }) : null
+    ].filter(Boolean).join(', ');
+    parts.push(t('local.investigated', { what: investigated }));
+  }
+  if (analysis.web > 0) parts.push(t('local.web', { count: analysis.web }));
+  if (analysis.agents.length > 0) parts.push(t('local.agents', { agents: uniq(analysis.agents).join(', ') }));
+  if (analysis.tools.length > 0) parts.push(t('local.tools', { tools: uniq(analysis.tools).slice(0, 3).join(', ') }));
+
+  const request = task.request
+    ? `${task.request.type === 'question' ? '❓' : ''}"${truncate(task.request.text, 60)}"`
+    : null;
+  if (!request) return parts.join(', ') || null;
+  return parts.length > 0 ? `${request} → ${parts.join(', ')}` : request;
+}
+
+// 세션 전체 결과와 미해결 오류
+function collectOutcomes(observations) {
+  const outcomes = [];
+  const lastByKey = new Map();
+
+  const sorted = [...(observations || [])].sort((a, b) => getTime(a) - getTime(b));
+  sorted.forEach(obs => {
+    lastByKey.set(outcomeKey(obs), obs);
+    if (obs.tool !== 'Bash' || obs.details?.success === false) return;
+
+    const command = obs.details?.command;
+    const kind = classifyCommand(command);
+    if (kind === 'commit') {
+      const message = extractCommitMessage(command);
+      outcomes.push(message ? t('local.commit_message', { message }) : t('local.commit'));
+    } else if (kind === 'push') {
+      outcomes.push('push');
+    }
+  });
+
+  // 테스트/빌드/린트는 마지막 실행 결과만
+  ['test', 'build', 'lint'].forEach(kind => {
+    const last = lastByKey.get(`bash:${kind}`);
+    if (last && last.details?.success !== false) outcomes.unshift(t(`local.passed.${kind}`));
+  });
+
+  // 마지막 시도가 실패로 끝난 것만 미해결
+  const openIssues = Array.from(lastByKey.values())
+    .filter(obs => obs.details?.success === false)
+    .map(failureLabel);
+
+  return { outcomes: uniq(outcomes), open_issues: uniq(openIssues) };
+}
+
+// 주제 - 첫 요청 (없으면 첫 질문, 그것도 없으면 가장 많이 바뀐 파일)
+function pickTopic(conversations, tasks, files) {
+  const convs = conversations || [];
+  const first = convs.find(c => c.type === 'request') || convs[0];
+  const text = first?.message || tasks.find(t => t.request)?.request.text;
+  if (text) return truncate(text, 80);
+  if (files.length > 0) return t('local.file_topic', { file: shortPath(files[0]) });
+  return t('local.misc_topic');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 요약
+// ═══════════════════════════════════════════════════════════════
+
+// options.taskGapMinutes: 이 시간보다 오래 쉬면 새 작업 (config: summary.task_gap_minutes)
+function summarizeSession(observations, conversations, options = {}) {
+  const gapMinutes = options.taskGapMinutes ?? DEFAULTS.summary.task_gap_minutes;
+  const tasks = groupTasks(observations, conversations, gapMinutes * 60 * 1000);
+
+  const allChanged = {};
+  const actions = [];
+  tasks.forEach(task => {
+    const analysis = analyzeTask(task);
+    Object.entries(analysis.changed).forEach(([file, c]) => {
+      const total = allChanged[file] || (allChanged[file] = { added: 0, removed: 0 });
+      total.added += c.added;
+      total.removed += c.removed;
+    });
+    const line = describeTask(task, analysis);
+    // 같은 요청에 대한 연속된 같은 설명은 한 번만
+    if (line && actions[actions.length - 1] !== line) actions.push(line);
+  });
+
+  const files = Object.entries(allChanged)
+    .sort(([, a], [, b]) => (b.added + b.removed) - (a.added + a.removed))
+    .map(([file]) => file);
+  const { outcomes, open_issues } = collectOutcomes(observations);
+  const topic = pickTopic(conversations, tasks, files);
+
+  const digest = {
+    topic,
+    actions,
+    outcomes,
+    open_issues,
+    files_changed: files.map(shortPath)
+  };
+
+  return { summary: formatDigest(digest), digest };
+}
+
+// digest → 한 줄 서술형 요약
+function formatDigest(digest) {
+  let summary = t('local.summary_topic', { topic: digest.topic });
+
+  // 주제와 같은 요청만 있고 한 일이 없는 작업은 생략
+  const actions = digest.actions.filter(a => a !== `"${truncate(digest.topic, 60)}"`);
+  if (actions.length > 0) {
+    const shown = actions.slice(0, MAX_TASKS_IN_SUMMARY).map((a, i) => `${i + 1}) ${a}`).join(' ');
+    const more = actions.length > MAX_TASKS_IN_SUMMARY ? t('local.more_tasks', { count: actions.length - MAX_TASKS_IN_SUMMARY }) : '';
+    summary += ` | ${t('local.summary_actions', { actions: shown + more })}`;
+  }
+  if (digest.outcomes.length > 0) {
+    summary += ` | ${t('local.summary_outcomes', { outcomes: digest.outcomes.join(', ') })}`;
+  }
+  if (digest.open_issues.length > 0) {
+    summary += ` | ⚠️ ${t('local.summary_open_issues', { issues: digest.open_issues.slice(0, 3).join(', ') })}`;
+  }
+
+  return truncate(summary, MAX_SUMMARY_LENGTH);
+}
+
+module.exports = {
+  classifyCommand,
+  extractCommitMessage,
+  groupTasks,
+  collectOutcomes,
+  summarizeSession,
+  formatDigest
+};
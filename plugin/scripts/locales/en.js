@@ -0,0 +1,337 @@
+/**
+ * locales/en.js
+ * 영어 메시지 카탈로그 - ko.js와 같은 키 (없는 키는 한국어로 표시됨)
+ *
+ * 개수에 따라 단수/복수가 바뀌는 항목은 params를 받는 함수
+ */
+
+// 1 session / 2 sessions
+const plural = (count, one, many = `${one}s`) => `${count} ${Number(count) === 1 ? one : many}`;
+
+module.exports = {
+  'meta.date_locale': 'en-US',
+
+  // ── common
+  'date.today': 'today',
+  'date.yesterday': 'yesterday',
+  'date.days_ago': ({ days }) => `${plural(days, 'day')} ago`,
+  'common.count': '{count}',
+  'common.more': ' +{count} more',
+  'common.global': 'global',
+  'common.none': '_none_',
+  'common.unknown': 'unknown',
+  'label.summary': 'Summary',
+  'label.project': 'Project',
+  'label.projects': 'Projects',
+  'label.session': 'Session',
+  'label.sessions': 'Sessions',
+  'label.observations': 'Observations',
+  'label.conversations': 'Conversations',
+  'label.date': 'Date',
+  'label.redacted': 'Redacted secrets',
+  'table.item': 'Item',
+  'table.value': 'Value',
+
+  // ── structured summary fields
+  'digest.topic': 'Topic',
+  'digest.decisions': 'Decisions',
+  'digest.files_changed': 'Files changed',
+  'digest.problems': 'Problems',
+  'digest.follow_ups': 'Follow-ups',
+  'digest.tags': 'Tags',
+  'digest.actions': 'Tasks',
+  'digest.outcomes': 'Outcomes',
+  'digest.open_issues': 'Open issues',
+
+  // ── session-start context
+  'context.title': 'Related sessions',
+  'context.project_line': 'Current project: **{project}**{branch} | {ranker} relevance',
+  'context.footer': '_claude-simple-memory v2.1 | TF-IDF relevance filtering + conversation context_',
+  'context.relevance': 'Relevance',
+  'context.conversations': 'Conversation',
+  'context.observations': 'Actions',
+  'context.files': 'Files',
+  'context.unit_chars': ' chars',
+  'context.unit_tokens': ' tokens',
+  'context.budget_note': 'Budget {limit}{unit}: full {full} · summary {files} · one-line {line}',
+  'context.budget_omitted': 'omitted {count} (find with /mem-search)',
+  'pinned.title': 'Pinned memories',
+  'pinned.omitted': '_… {count} omitted over budget (see all with /mem-pin)_',
+
+  // ── prompt recall
+  'recall.title': 'Related memories',
+  'recall.similarity': 'similarity {percent}%',
+
+  // ── local summary
+  'local.failed': '{target} failed{reason}',
+  'local.modified': 'modified {files}',
+  'local.created': 'created {files}',
+  'local.ran': 'ran {commands}',
+  'local.read_files': ({ count }) => plural(count, 'file'),
+  'local.searches': ({ count }) => plural(count, 'search', 'searches'),
+  'local.investigated': 'explored {what}',
+  'local.web': ({ count }) => `consulted ${plural(count, 'doc')}`,
+  'local.agents': 'agents {agents}',
+  'local.tools': 'tools {tools}',
+  'local.commit': 'commit',
+  'local.commit_message': 'commit "{message}"',
+  'local.passed.test': 'tests passed',
+  'local.passed.build': 'build passed',
+  'local.passed.lint': 'lint passed',
+  'local.file_topic': 'work on {file}',
+  'local.misc_topic': 'misc work',
+  'local.summary_topic': 'Topic: {topic}',
+  'local.summary_actions': 'Tasks: {actions}',
+  'local.more_tasks': ({ count }) => ` +${plural(count, 'more task')}`,
+  'local.summary_outcomes': 'Outcomes: {outcomes}',
+  'local.summary_open_issues': 'Open: {issues}',
+
+  // ── AI summary prompt values
+  'summary.user_request': 'User request',
+  'summary.no_conversations': '(no conversation)',
+  'summary.no_observations': '(no actions)',
+
+  // ── AI summary errors (hook stderr)
+  'summary.error.attempts': ({ error, count }) => `${error} (${plural(count, 'attempt')})`,
+  'summary.error.timeout': 'timeout ({seconds}s)',
+  'summary.error.deadline': 'deadline exceeded',
+  'summary.error.empty_response': 'response has no summary text',
+  'summary.skip.unknown_provider': 'unknown provider: {provider}',
+  'summary.skip.missing_key': '{env} is not set',
+  'summary.skip.needs_base_url': '{provider}: base_url is required',
+
+  'diff.more_lines': ({ count }) => `… (${plural(count, 'more line')})`,
+
+  // ── search
+  'search.no_query': '❌ Enter a search term: /memory search <keyword>',
+  'search.unknown_field': '❌ Unknown field: {field} ({fields})',
+  'search.bad_date': '❌ Dates must be YYYY-MM-DD or 7d (7 days ago): {value}',
+  'search.unknown_ranker': '❌ Unknown ranker: {ranker} (tfidf or bm25)',
+  'search.bad_k1': '❌ --k1 must be a number of 0 or more: {value}',
+  'search.bad_b': '❌ --b must be a number between 0 and 1: {value}',
+  'search.no_results': '🔍 No results for "{keyword}"',
+  'search.title': ({ keyword, count, extra }) => `🔍 Results for "${keyword}" (${plural(count, 'match', 'matches')}${extra})`,
+  'search.ranked_by': 'by {ranker} relevance',
+  'search.field_only': '{field} field',
+  'search.matched_fields': 'Matched fields',
+  'search.matched_observations': 'Matched actions',
+  'search.matched_conversations': 'Matched conversation',
+  'search.matched_in': 'Found in',
+  'search.field.commands': 'Commands',
+  'search.field.tool': 'Tool',
+  'search.explain': '🔎 score {score} = similarity {similarity} ({ranker}) × {similarityWeight} + time weight {time} × {timeWeight} + conversation bonus {bonus}',
+  'search.explain_terms': '🔤 Terms: {terms}',
+  'search.more': '_... {count} more_',
+
+  // ── timeline
+  'timeline.empty': '📅 No saved sessions.',
+  'timeline.title': '📅 Session timeline (latest {count})',
+  'timeline.conversations': ({ count }) => `💬 ${plural(count, 'message')}`,
+  'timeline.observations': ({ count }) => plural(count, 'action'),
+  'timeline.footer': ({ count }) => `_${plural(count, 'session')} saved · details: /mem-show <session ID>_`,
+
+  // ── show
+  'show.matching_sessions': 'Sessions matching "{id}"',
+  'show.matching_buffers': 'Buffers matching "{id}"',
+  'show.not_found': '❌ No session or session buffer matches "{id}".',
+  'show.empty': '📋 Nothing has been recorded in the current session yet.',
+  'show.active_buffers': 'Active session buffers',
+  'buffer.title': 'Session buffer',
+  'buffer.table_header': 'Session ID | Project | Started | Updated | Conversations | Observations',
+  'buffer.list_footer': '_Show one buffer: /mem-show <session ID prefix>_',
+  'buffer.started': 'Session started',
+  'buffer.conversation_count': 'Conversations',
+  'buffer.observation_count': 'Observations',
+  'buffer.empty': '_This buffer is empty._',
+  'buffer.conversations': 'Conversation log',
+  'buffer.observations': 'Action log',
+  'buffer.footer': '_Saved to memories automatically when the session ends_',
+  'session.table_header': 'Session ID | Project | Date | Summary',
+  'session.ambiguous_footer': '_Use a longer ID._',
+  'session.summary_type': 'Summary type',
+  'session.summary_local': 'local',
+  'session.claude_session': 'Claude session',
+  'session.git_title': 'git state (at save time)',
+  'session.git_branch': 'Branch',
+  'session.git_staged': 'Staged',
+  'session.git_modified': 'Modified',
+  'session.git_untracked': 'Untracked',
+  'session.digest_title': 'Work analysis',
+  'session.action': 'Task {number}',
+  'session.open_issues': 'Open issues',
+  'session.conversations': 'Conversation ({count}{total})',
+  'session.observations': 'Actions ({count}{total})',
+  'session.of_total': ' of {total}',
+  'session.keywords': 'Keywords',
+
+  // ── stats
+  'stats.title': 'Memory statistics',
+  'stats.sessions': 'Sessions',
+  'stats.projects': 'Projects',
+  'stats.buffers': 'Active buffers',
+  'stats.buffers_value': ({ buffers, conversations, observations }) =>
+    `${plural(buffers, 'session')}, 💬 ${plural(conversations, 'message')}, 🔧 ${plural(observations, 'observation')}`,
+  'stats.conversations': 'Conversations',
+  'stats.observations': 'Observations',
+  'stats.summary_types': '🤖 AI {ai}, 📝 local {local}',
+  'stats.structured': 'Structured summaries',
+  'stats.top_tags': 'Top tags',
+  'stats.by_project': 'By project',
+  'stats.project_header': 'Project | Sessions | Observations',
+
+  // ── rebuild-index
+  'rebuild.title': 'Search index rebuilt',
+  'rebuild.docs': 'Sessions (documents)',
+  'rebuild.terms': 'Terms',
+  'rebuild.tokenizer': 'Tokenizer',
+  'rebuild.elapsed': 'Elapsed',
+
+  // ── config
+  'config.title': 'Configuration',
+  'config.source.default': 'default',
+  'config.source.user': 'user',
+  'config.source.project': 'project',
+  'config.source.env': 'environment',
+  'config.missing': 'missing',
+  'config.errors': 'Config errors (these values are ignored)',
+  'config.error.stderr': 'Config error: {error}',
+  'config.error.root_not_object': 'the top level must be an object',
+  'config.error.not_object': "'{keyPath}' must be an object",
+  'config.error.unknown_key': "unknown setting '{keyPath}'",
+  'config.error.unknown_key_suggest': "unknown setting '{keyPath}' (did you mean '{suggestion}'?)",
+  'config.error.user_only': "'{keyPath}' can't be set in a project config (set it in ~/.claude-simple-memory/config.json)",
+  'config.error.bad_json': 'invalid JSON - {message}',
+  'config.error.not_number': "'{keyPath}' must be a number (got {value})",
+  'config.error.not_integer': "'{keyPath}' must be an integer (got {value})",
+  'config.error.below_min': "'{keyPath}' must be at least {min} (got {value})",
+  'config.error.above_max': "'{keyPath}' must be at most {max} (got {value})",
+  'config.error.not_boolean': "'{keyPath}' must be true or false (got {value})",
+  'config.error.not_string': "'{keyPath}' must be a string (got {value})",
+  'config.error.not_enum': "'{keyPath}' must be one of {values} (got \"{value}\")",
+  'config.error.not_string_array': "'{keyPath}' must be an array of strings",
+  'config.error.not_pattern_array': "'{keyPath}' must be an array of [{ name, pattern, flags }]",
+  'config.error.pattern_missing': "'{keyPath}' [{index}] has no pattern string",
+  'config.error.bad_regex': "'{keyPath}' [{index}] invalid regular expression \"{pattern}\" - {message}",
+  'config.table_header': 'Setting | Value | Source | Description',
+  'config.unknown_section': '❌ Unknown config section: {section} ({sections})',
+  'config.description.context.max_sessions': 'Max sessions shown at session start',
+  'config.description.context.max_observations_per_session': 'Max observations shown per session',
+  'config.description.context.max_conversations_per_session': 'Max conversation messages shown per session',
+  'config.description.context.min_relevance_score': 'Minimum relevance score to show a session',
+  'config.description.context.fallback_sessions': 'Recent sessions shown when none are relevant',
+  'config.description.context.budget_chars': 'Max characters for the related-sessions section (lower-ranked sessions are shortened first)',
+  'config.description.context.budget_tokens': 'If above 0, budget by estimated tokens instead of characters',
+  'config.description.context.pinned_budget_chars': 'Max characters for the pinned memories section (facts, pinned sessions)',
+  'config.description.ranking.ranker': 'Ranking method',
+  'config.description.ranking.bm25_k1': 'BM25 term frequency saturation',
+  'config.description.ranking.bm25_b': 'BM25 document length normalization',
+  'config.description.ranking.similarity_weight': 'Weight of similarity in the final score',
+  'config.description.ranking.time_weight': 'Weight of recency in the final score',
+  'config.description.ranking.conversation_bonus': 'Bonus for sessions with conversation',
+  'config.description.ranking.time_decay_days': 'Recency decay period (days)',
+  'config.description.recall.enabled': 'Inject related memories on every prompt',
+  'config.description.recall.min_similarity.tfidf': 'Minimum TF-IDF similarity',
+  'config.description.recall.min_similarity.bm25': 'Minimum BM25 similarity',
+  'config.description.recall.max_results': 'Max sessions injected at once',
+  'config.description.recall.max_per_session': 'Max injections per session',
+  'config.description.recall.cooldown_seconds': 'Minimum interval between injections (seconds)',
+  'config.description.recall.summary_length': 'Max length of an injected summary',
+  'config.description.buffer.max_observations': 'Max observations kept in a buffer',
+  'config.description.buffer.max_conversations': 'Max conversation messages kept in a buffer',
+  'config.description.buffer.max_message_length': 'Max length of a stored message',
+  'config.description.buffer.ttl_days': 'Days before an untouched buffer is removed',
+  'config.description.storage.max_sessions_per_project': 'Max sessions kept per project',
+  'config.description.storage.observations_per_session': 'Observations stored per session',
+  'config.description.storage.conversations_per_session': 'Conversation messages stored per session',
+  'config.description.storage.keywords_per_session': 'Keywords per session',
+  'config.description.storage.keywords_per_project': 'Keywords per project',
+  'config.description.summary.provider': 'AI summary backend (none = local summary only)',
+  'config.description.summary.model': 'AI summary model',
+  'config.description.summary.base_url': 'API URL (empty = backend default, required for http)',
+  'config.description.summary.api_key_env': 'Environment variable holding the API key (empty = ANTHROPIC_API_KEY / OPENAI_API_KEY)',
+  'config.description.summary.prompt_template': 'Summary prompt ({{project}}, {{conversations}}, {{observations}}), empty = default',
+  'config.description.summary.timeout_seconds': 'Time limit for one request',
+  'config.description.summary.max_retries': 'Retries on rate limits, server errors and timeouts',
+  'config.description.summary.deadline_seconds': 'Overall time limit including retries (within the 60s Stop hook limit)',
+  'config.description.summary.max_tokens': 'Max tokens for an AI summary',
+  'config.description.summary.task_gap_minutes': 'Local summary starts a new task after a pause longer than this (minutes)',
+  'config.description.redaction.enabled': 'Remove secrets before saving',
+  'config.description.redaction.disabled': 'Built-in detectors to turn off (e.g. email)',
+  'config.description.redaction.patterns': 'Extra patterns [{ name, pattern, flags }]',
+  'config.description.redaction.entropy.enabled': 'Remove high-entropy strings',
+  'config.description.redaction.entropy.threshold': 'Bits per character threshold',
+  'config.description.redaction.entropy.min_length': 'Minimum length to check',
+  'config.description.tokenizer.korean_suffixes': 'Strip Korean particles and endings before indexing ("인증을" → "인증")',
+  'config.description.tokenizer.hangul_bigrams': 'Also index two-syllable pieces of Hangul words ("사용자인증" ↔ "인증")',
+  'config.description.ui.locale': 'Output language (auto = system locale such as LANG, ko if unknown)',
+
+  // ── forget
+  'forget.no_conditions': 'No conditions given (use at least one of --session, --from/--to, --keyword, --project)',
+  'forget.bad_date': 'Dates must be real dates in YYYY-MM-DD format',
+  'forget.entries_needs_keyword': '--entries requires --keyword',
+  'forget.project_not_found': 'Project "{project}" not found',
+  'forget.project_ambiguous': 'Several projects are named "{project}". Use an ID: {ids}',
+  'forget.nothing': '🔍 No memories match these conditions.',
+  'forget.title': 'Forget memories',
+  'forget.preview_title': 'Forget preview (nothing deleted yet)',
+  'forget.whole_project': ({ count }) => `whole project (${plural(count, 'session')})`,
+  'forget.delete_session': 'delete session',
+  'forget.delete_entries': ({ observations, conversations }) =>
+    `delete ${plural(observations, 'observation')}, ${plural(conversations, 'message')}`,
+  'forget.delete_digest': ({ count }) => ` · delete ${plural(count, 'summary item')}`,
+  'forget.confirm_hint': '_Run the same command again with `--yes` to delete._',
+  'forget.deleted': 'Deleted',
+  'forget.buffers': 'Active buffers',
+  'forget.copies': 'Leftover copies',
+  'forget.copy_migrated': 'original from before the project ID migration (already merged)',
+  'forget.copy_corrupt': 'unreadable file set aside as corrupt',
+  'forget.copy_kept': 'kept. It can\'t be read, so the matching sessions can\'t be removed from it alone and may still be in it. Delete it by hand if needed: {file}',
+  'forget.done_footer': '_Project keywords and the search index were updated too._',
+
+  // ── pin / unpin / remember
+  'pins.not_found': 'No session matches "{id}"',
+  'pins.ambiguous': 'Several sessions match "{id}": {ids}',
+  'pin.empty': '_No pinned memories. Add some with /mem-remember <text> or /mem-pin <session ID>._',
+  'pin.facts': 'Facts',
+  'pin.sessions': 'Pinned sessions',
+  'pin.unpin_hint': '_Remove: /mem-unpin <ID>_',
+  'pin.pinned': '📌 Pinned session `{id}` ({project}) - it is shown at every session start and never removed by the retention limit.',
+  'unpin.no_id': '❌ Enter the session ID or fact ID to remove: /mem-unpin <ID>',
+  'unpin.fact_removed': '🗑️ Removed fact `{id}`: {text}',
+  'unpin.not_found': '❌ No fact or session matches "{id}".',
+  'unpin.unpinned': '📎 Unpinned session `{id}`',
+  'remember.no_text': '❌ Enter something to remember: /mem-remember [--global] <text>',
+  'remember.project_scope': 'project {project}',
+  'remember.saved': '📌 Remembered ({scope}) `{id}`: {text}',
+
+  help: `
+# 📚 Memory commands
+
+Available commands:
+
+- **/memory search [--ranker=tfidf|bm25] [--field=<field>] [--explain] <query>** - Search memories (AND, OR, -exclude, "phrase", project: file: cmd: tool: type: before: after:)
+- **/memory timeline [count]** - Recent session timeline (10 by default)
+- **/memory show [session ID]** - Saved session details, or the active session buffers
+- **/memory stats** - Memory statistics
+- **/memory rebuild-index** - Rebuild the search index
+- **/memory config [section]** - Effective settings and where they come from
+- **/memory forget [conditions] [--yes]** - Delete sessions/observations/projects (preview by default)
+- **/memory pin [session ID]** - Pin a session (without an ID, list pinned memories)
+- **/memory unpin <ID>** - Unpin a session or remove a fact
+- **/memory remember [--global] <text>** - Add a fact that is always injected
+
+Examples:
+  /memory search jwt
+  /memory timeline 20
+  /memory show
+`,
+
+  // ── hook stderr (formatters, redaction patterns, corrupt files)
+  'formatter.invalid': '{file}: a formatter needs a format function and tools (or match)',
+  'formatter.load_failed': 'Could not load formatter {file}: {message}',
+  'formatter.no_summary': 'Formatter "{name}" returned a result without a summary',
+  'formatter.error': 'Formatter "{name}" failed: {message}',
+  'redaction.bad_pattern': 'redaction.patterns: invalid regular expression "{pattern}" - {message}',
+  'storage.restored_backup': '{file} is corrupt → restored from backup (original kept as {corrupt})',
+  'storage.no_backup': '{file} is corrupt and has no backup (original kept as {corrupt})'
+};
@@ -0,0 +1,282 @@
+/**
+ * locales/ko.js
+ * 한국어 메시지 카탈로그 (기본) - 키 목록의 기준, 다른 언어에 없는 키는 여기서 가져감
+ *
+ * {name} 자리에 t(key, params)의 값이 들어감
+ */
+
+module.exports = {
+  'meta.date_locale': 'ko-KR',
+
+  // ── 공통
+  'date.today': '오늘',
+  'date.yesterday': '어제',
+  'date.days_ago': '{days}일 전',
+  'common.count': '{count}개',
+  'common.more': ' 외 {count}개',
+  'common.global': '전역',
+  'common.none': '_없음_',
+  'common.unknown': '알 수 없음',
+  'label.summary': '요약',
+  'label.project': '프로젝트',
+  'label.projects': '프로젝트',
+  'label.session': '세션',
+  'label.sessions': '세션',
+  'label.observations': '관찰',
+  'label.conversations': '대화',
+  'label.date': '날짜',
+  'label.redacted': '가린 민감 정보',
+  'table.item': '항목',
+  'table.value': '값',
+
+  // ── 구조화 요약 필드
+  'digest.topic': '주제',
+  'digest.decisions': '결정',
+  'digest.files_changed': '변경 파일',
+  'digest.problems': '문제',
+  'digest.follow_ups': '후속 작업',
+  'digest.tags': '태그',
+  'digest.actions': '작업',
+  'digest.outcomes': '결과',
+  'digest.open_issues': '미해결 오류',
+
+  // ── 세션 시작 컨텍스트
+  'context.title': '관련 세션 기록',
+  'context.project_line': '현재 프로젝트: **{project}**{branch} | {ranker} 기반 관련성 분석',
+  'context.footer': '_claude-simple-memory v2.1 | TF-IDF 관련성 필터링 + 대화 컨텍스트 저장_',
+  'context.relevance': '관련도',
+  'context.conversations': '대화 내용',
+  'context.observations': '작업 내역',
+  'context.files': '파일',
+  'context.unit_chars': '자',
+  'context.unit_tokens': '토큰',
+  'context.budget_note': '예산 {limit}{unit}: 상세 {full} · 요약 {files} · 한 줄 {line}',
+  'context.budget_omitted': '생략 {count}개 (/mem-search 로 찾기)',
+  'pinned.title': '고정된 기억',
+  'pinned.omitted': '_… 예산 초과로 {count}개 생략 (/mem-pin 으로 전체 보기)_',
+
+  // ── 프롬프트 회상
+  'recall.title': '관련 기억',
+  'recall.similarity': '유사도 {percent}%',
+
+  // ── 로컬 요약
+  'local.failed': '{target} 실패{reason}',
+  'local.modified': '수정 {files}',
+  'local.created': '생성 {files}',
+  'local.ran': '실행 {commands}',
+  'local.read_files': '파일 {count}개',
+  'local.searches': '검색 {count}회',
+  'local.investigated': '조사 {what}',
+  'local.web': '문서 {count}개 참고',
+  'local.agents': '에이전트 {agents}',
+  'local.tools': '도구 {tools}',
+  'local.commit': '커밋',
+  'local.commit_message': '커밋 "{message}"',
+  'local.passed.test': '테스트 통과',
+  'local.passed.build': '빌드 통과',
+  'local.passed.lint': '린트 통과',
+  'local.file_topic': '{file} 작업',
+  'local.misc_topic': '기타 작업',
+  'local.summary_topic': '주제: {topic}',
+  'local.summary_actions': '작업: {actions}',
+  'local.more_tasks': ' 외 {count}개 작업',
+  'local.summary_outcomes': '결과: {outcomes}',
+  'local.summary_open_issues': '미해결: {issues}',
+
+  // ── AI 요약 프롬프트 값
+  'summary.user_request': '사용자 요청',
+  'summary.no_conversations': '(대화 없음)',
+  'summary.no_observations': '(작업 없음)',
+
+  // ── AI 요약 오류 (hook stderr)
+  'summary.error.attempts': '{error} ({count}회 시도)',
+  'summary.error.timeout': '시간 초과 ({seconds}초)',
+  'summary.error.deadline': '마감 시간 초과',
+  'summary.error.empty_response': '응답에 요약 텍스트가 없습니다',
+  'summary.skip.unknown_provider': '알 수 없는 provider: {provider}',
+  'summary.skip.missing_key': '{env} 없음',
+  'summary.skip.needs_base_url': '{provider}: base_url이 필요합니다',
+
+  'diff.more_lines': '… ({count}줄 더)',
+
+  // ── search
+  'search.no_query': '❌ 검색어를 입력해주세요: /memory search <키워드>',
+  'search.unknown_field': '❌ 알 수 없는 필드: {field} ({fields})',
+  'search.bad_date': '❌ 날짜는 YYYY-MM-DD 또는 7d(7일 전) 형식이어야 합니다: {value}',
+  'search.unknown_ranker': '❌ 알 수 없는 랭킹 방식: {ranker} (tfidf 또는 bm25)',
+  'search.bad_k1': '❌ --k1은 0 이상의 숫자여야 합니다: {value}',
+  'search.bad_b': '❌ --b는 0에서 1 사이의 숫자여야 합니다: {value}',
+  'search.no_results': '🔍 "{keyword}" 검색 결과: 없음',
+  'search.title': '🔍 "{keyword}" 검색 결과 ({count}건{extra})',
+  'search.ranked_by': '{ranker} 관련성 순',
+  'search.field_only': '{field} 필드',
+  'search.matched_fields': '매칭된 항목',
+  'search.matched_observations': '매칭된 작업',
+  'search.matched_conversations': '매칭된 대화',
+  'search.matched_in': '매칭 위치',
+  'search.field.commands': '명령',
+  'search.field.tool': '도구',
+  'search.explain': '🔎 점수 {score} = 유사도 {similarity} ({ranker}) × {similarityWeight} + 시간 가중치 {time} × {timeWeight} + 대화 보너스 {bonus}',
+  'search.explain_terms': '🔤 검색어: {terms}',
+  'search.more': '_... 외 {count}건 더 있음_',
+
+  // ── timeline
+  'timeline.empty': '📅 저장된 세션이 없습니다.',
+  'timeline.title': '📅 세션 타임라인 (최근 {count}개)',
+  'timeline.conversations': '💬 {count}개 대화',
+  'timeline.observations': '{count}개 작업',
+  'timeline.footer': '_전체 {count}개 세션 저장됨 · 상세 보기: /mem-show <세션 ID>_',
+
+  // ── show
+  'show.matching_sessions': '"{id}"와 일치하는 세션',
+  'show.matching_buffers': '"{id}"와 일치하는 버퍼',
+  'show.not_found': '❌ "{id}"에 해당하는 세션이나 세션 버퍼가 없습니다.',
+  'show.empty': '📋 현재 세션에 저장된 내용이 없습니다.',
+  'show.active_buffers': '진행 중인 세션 버퍼',
+  'buffer.title': '세션 버퍼',
+  'buffer.table_header': '세션 ID | 프로젝트 | 시작 | 최근 갱신 | 대화 | 관찰',
+  'buffer.list_footer': '_특정 버퍼 보기: /mem-show <세션 ID 앞부분>_',
+  'buffer.started': '세션 시작',
+  'buffer.conversation_count': '대화 수',
+  'buffer.observation_count': '관찰 수',
+  'buffer.empty': '_이 버퍼는 비어 있습니다._',
+  'buffer.conversations': '대화 기록',
+  'buffer.observations': '작업 기록',
+  'buffer.footer': '_세션 종료 시 자동으로 memories에 저장됩니다_',
+  'session.table_header': '세션 ID | 프로젝트 | 날짜 | 요약',
+  'session.ambiguous_footer': '_더 긴 ID로 다시 지정해주세요._',
+  'session.summary_type': '요약 방식',
+  'session.summary_local': '로컬',
+  'session.claude_session': 'Claude 세션',
+  'session.git_title': 'git 상태 (저장 시점)',
+  'session.git_branch': '브랜치',
+  'session.git_staged': '스테이징',
+  'session.git_modified': '수정',
+  'session.git_untracked': '추적 안 됨',
+  'session.digest_title': '작업 분석',
+  'session.action': '작업 {number}',
+  'session.open_issues': '미해결',
+  'session.conversations': '대화 ({count}{total}개)',
+  'session.observations': '작업 ({count}{total}개)',
+  'session.of_total': ' / 전체 {total}',
+  'session.keywords': '키워드',
+
+  // ── stats
+  'stats.title': '메모리 통계',
+  'stats.sessions': '전체 세션',
+  'stats.projects': '프로젝트 수',
+  'stats.buffers': '현재 버퍼',
+  'stats.buffers_value': '{buffers}개 세션, 💬 {conversations}개 대화, 🔧 {observations}개 관찰',
+  'stats.conversations': '전체 대화',
+  'stats.observations': '전체 관찰',
+  'stats.summary_types': '🤖 AI {ai}개, 📝 로컬 {local}개',
+  'stats.structured': '구조화 요약',
+  'stats.top_tags': '자주 쓰인 태그',
+  'stats.by_project': '프로젝트별 통계',
+  'stats.project_header': '프로젝트 | 세션 수 | 관찰 수',
+
+  // ── rebuild-index
+  'rebuild.title': '검색 인덱스 재생성 완료',
+  'rebuild.docs': '세션(문서)',
+  'rebuild.terms': '색인어',
+  'rebuild.tokenizer': '토큰화',
+  'rebuild.elapsed': '소요 시간',
+
+  // ── config (설정 설명은 스키마의 description)
+  'config.title': '설정',
+  'config.source.default': '기본값',
+  'config.source.user': '사용자',
+  'config.source.project': '프로젝트',
+  'config.source.env': '환경 변수',
+  'config.missing': '없음',
+  'config.errors': '설정 오류 (해당 값은 무시됨)',
+  'config.error.stderr': '설정 오류: {error}',
+  'config.error.root_not_object': '최상위는 객체여야 합니다',
+  'config.error.not_object': "'{keyPath}'는 객체여야 합니다",
+  'config.error.unknown_key': "알 수 없는 설정 '{keyPath}'",
+  'config.error.unknown_key_suggest': "알 수 없는 설정 '{keyPath}' (혹시 '{suggestion}'?)",
+  'config.error.user_only': "'{keyPath}'는 프로젝트 설정에서 바꿀 수 없습니다 (~/.claude-simple-memory/config.json 에서 설정)",
+  'config.error.bad_json': 'JSON 파싱 실패 - {message}',
+  'config.error.not_number': "'{keyPath}' 숫자여야 합니다 (받은 값: {value})",
+  'config.error.not_integer': "'{keyPath}' 정수여야 합니다 (받은 값: {value})",
+  'config.error.below_min': "'{keyPath}' {min} 이상이어야 합니다 (받은 값: {value})",
+  'config.error.above_max': "'{keyPath}' {max} 이하여야 합니다 (받은 값: {value})",
+  'config.error.not_boolean': "'{keyPath}' true 또는 false여야 합니다 (받은 값: {value})",
+  'config.error.not_string': "'{keyPath}' 문자열이어야 합니다 (받은 값: {value})",
+  'config.error.not_enum': "'{keyPath}' {values} 중 하나여야 합니다 (받은 값: \"{value}\")",
+  'config.error.not_string_array': "'{keyPath}' 문자열 배열이어야 합니다",
+  'config.error.not_pattern_array': "'{keyPath}' [{ name, pattern, flags }] 형식의 배열이어야 합니다",
+  'config.error.pattern_missing': "'{keyPath}' [{index}]에 pattern 문자열이 없습니다",
+  'config.error.bad_regex': "'{keyPath}' [{index}] 잘못된 정규식 \"{pattern}\" - {message}",
+  'config.table_header': '설정 | 값 | 출처 | 설명',
+  'config.unknown_section': '❌ 알 수 없는 설정 항목: {section} ({sections})',
+
+  // ── forget
+  'forget.no_conditions': '삭제 조건이 없습니다 (--session, --from/--to, --keyword, --project 중 하나 이상)',
+  'forget.bad_date': '날짜는 YYYY-MM-DD 형식의 실제 날짜여야 합니다',
+  'forget.entries_needs_keyword': '--entries는 --keyword와 함께 사용해야 합니다',
+  'forget.project_not_found': '"{project}" 프로젝트를 찾을 수 없습니다',
+  'forget.project_ambiguous': '"{project}" 이름의 프로젝트가 여러 개입니다. ID로 지정해주세요: {ids}',
+  'forget.nothing': '🔍 조건에 맞는 기억이 없습니다.',
+  'forget.title': '기억 삭제',
+  'forget.preview_title': '기억 삭제 미리보기 (아직 지우지 않음)',
+  'forget.whole_project': '프로젝트 전체 ({count}개 세션)',
+  'forget.delete_session': '세션 삭제',
+  'forget.delete_entries': '관찰 {observations}개, 대화 {conversations}개 삭제',
+  'forget.delete_digest': ' · 요약 항목 {count}개 삭제',
+  'forget.confirm_hint': '_실제로 삭제하려면 같은 명령에 `--yes`를 붙여 다시 실행하세요._',
+  'forget.deleted': '삭제',
+  'forget.buffers': '진행 중 버퍼',
+  'forget.copies': '남은 사본',
+  'forget.copy_migrated': '프로젝트 ID 이전 전 원본 (이미 병합됨)',
+  'forget.copy_corrupt': '손상돼 옮겨 둔 파일',
+  'forget.copy_kept': '남겨 둠. 읽을 수 없어 해당 세션만 지울 수 없으므로 내용이 남아 있을 수 있습니다. 필요하면 직접 삭제하세요: {file}',
+  'forget.done_footer': '_프로젝트 키워드와 검색 인덱스도 갱신했습니다._',
+
+  // ── pin / unpin / remember
+  'pins.not_found': '"{id}"에 해당하는 세션이 없습니다',
+  'pins.ambiguous': '"{id}"와 일치하는 세션이 여러 개입니다: {ids}',
+  'pin.empty': '_고정된 기억이 없습니다. /mem-remember <내용> 또는 /mem-pin <세션 ID>로 추가하세요._',
+  'pin.facts': '사실',
+  'pin.sessions': '고정된 세션',
+  'pin.unpin_hint': '_해제: /mem-unpin <ID>_',
+  'pin.pinned': '📌 세션 `{id}` ({project}) 고정됨 - 새 세션을 시작할 때마다 항상 표시되고 보존 한도로 지워지지 않습니다.',
+  'unpin.no_id': '❌ 해제할 세션 ID 또는 사실 ID를 입력해주세요: /mem-unpin <ID>',
+  'unpin.fact_removed': '🗑️ 사실 `{id}` 삭제됨: {text}',
+  'unpin.not_found': '❌ "{id}"에 해당하는 사실이나 세션이 없습니다.',
+  'unpin.unpinned': '📎 세션 `{id}` 고정 해제됨',
+  'remember.no_text': '❌ 기억할 내용을 입력해주세요: /mem-remember [--global] <내용>',
+  'remember.project_scope': '프로젝트 {project}',
+  'remember.saved': '📌 기억함 ({scope}) `{id}`: {text}',
+
+  help: `
+# 📚 Memory 명령어
+
+사용 가능한 명령어:
+
+- **/memory search [--ranker=tfidf|bm25] [--field=<필드>] [--explain] <질의>** - 메모리 검색 (AND, OR, -제외, "구문", project: file: cmd: tool: type: before: after:)
+- **/memory timeline [개수]** - 최근 세션 타임라인 (기본 10개)
+- **/memory show [세션 ID]** - 저장된 세션 상세, 또는 진행 중인 세션 버퍼 목록/내용
+- **/memory stats** - 메모리 통계
+- **/memory rebuild-index** - 검색 인덱스 재생성
+- **/memory config [항목]** - 적용 중인 설정 값과 출처
+- **/memory forget [조건] [--yes]** - 세션/관찰/프로젝트 삭제 (기본은 미리보기)
+- **/memory pin [세션 ID]** - 세션 고정 (ID 없으면 고정된 기억 목록)
+- **/memory unpin <ID>** - 세션 고정 해제 또는 사실 삭제
+- **/memory remember [--global] <내용>** - 항상 주입할 사실 추가
+
+예시:
+  /memory search jwt
+  /memory timeline 20
+  /memory show
+`,
+
+  // ── hook stderr (포맷터, 민감 정보 패턴, 손상된 파일)
+  'formatter.invalid': '{file}: format 함수와 tools(또는 match)가 필요합니다',
+  'formatter.load_failed': '포맷터를 불러오지 못했습니다 {file}: {message}',
+  'formatter.no_summary': '포맷터 "{name}"가 summary 없는 결과를 돌려줬습니다',
+  'formatter.error': '포맷터 "{name}" 오류: {message}',
+  'redaction.bad_pattern': 'redaction.patterns: 잘못된 정규식 "{pattern}" - {message}',
+  'storage.restored_backup': '{file} 손상 → 백업에서 복구 (원본: {corrupt})',
+  'storage.no_backup': '{file} 손상, 백업 없음 (원본: {corrupt})'
+};
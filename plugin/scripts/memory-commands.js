@@ -4,164 +4,241 @@
  * /memory 명령어 처리 스크립트
  *
  * 사용법:
- *   node memory-commands.js search <keyword>
+ *   node memory-commands.js search [--ranker=tfidf|bm25] [--field=<digest 필드>] [--explain] <query>   (문법은 search-query.js)
  *   node memory-commands.js timeline [count]
- *   node memory-commands.js show
+ *   node memory-commands.js show [session-id]   (저장된 세션 ID 또는 진행 중 버퍼의 세션 ID)
+ *   node memory-commands.js rebuild-index
+ *   node memory-commands.js config [section]
+ *   node memory-commands.js pin [session-id]
+ *   node memory-commands.js unpin <session-id|fact-id>
+ *   node memory-commands.js remember [--global] <text>
+ *   node memory-commands.js forget [--session=<id>] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD]
+ *                                  [--keyword=<text> [--entries]] [--project=<alias|id>] [--yes]
  */
 
-const fs = require('fs');
 const path = require('path');
-const os = require('os');
-
-// 설정
-const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
-const BUFFER_FILE = path.join(DATA_DIR, 'buffer.json');
-const MEMORIES_DIR = path.join(DATA_DIR, 'memories');
+const { listBuffers, findBuffers } = require('./buffer');
+const { loadAllSessions, findSessions } = require('./storage');
+const { getSessionId, calculateRelevanceScores } = require('./utils');
+const { truncate } = require('./format-helpers');
+const { getIndex, rebuildIndex } = require('./search-index');
+const {
+  DIGEST_QUERY_FIELDS, parseQuery, compileQuery, matchesQuery, rankingKeywords, highlightTerms,
+  observationMatchesField, conversationMatchesField, makeSnippet, hasHighlight, findMatchedFields, describeExpansions
+} = require('./search-query');
+const { createRedactor, mergeRedactionCounts } = require('./redact');
+const { FLAT_SCHEMA, loadConfig, formatConfigError, getConfig, getRankingOptions } = require('./config');
+const { planForget, applyForget } = require('./forget');
+const { setSessionPinned, addFact, removeFact, getPinnedMemories } = require('./pins');
+const { resolveProject } = require('./project');
+const { DIGEST_FIELDS, getDigestField } = require('./structured-summary');
+const { t, formatDate, formatTime, formatDateTime } = require('./i18n');
 
 // ═══════════════════════════════════════════════════════════════
 // 유틸리티 함수
 // ═══════════════════════════════════════════════════════════════
 
-function loadBuffer() {
-  try {
-    if (fs.existsSync(BUFFER_FILE)) {
-      return JSON.parse(fs.readFileSync(BUFFER_FILE, 'utf-8'));
+// --name=value / --name value / --flag 형식의 옵션 분리
+function parseArgs(args) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!match) {
+      rest.push(args[i]);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = match[2];
+    } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+      flags[match[1]] = args[++i];
+    } else {
+      flags[match[1]] = true;
     }
-  } catch (e) {}
-  return { observations: [], conversations: [], session_start: null };
+  }
+  return { flags, rest };
 }
 
-function loadAllMemories() {
-  const allSessions = [];
-  try {
-    if (!fs.existsSync(MEMORIES_DIR)) return allSessions;
-
-    const files = fs.readdirSync(MEMORIES_DIR);
-    files.forEach(file => {
-      if (file.endsWith('.json')) {
-        try {
-          const content = fs.readFileSync(path.join(MEMORIES_DIR, file), 'utf-8');
-          const memories = JSON.parse(content);
-          if (memories.sessions) {
-            memories.sessions.forEach(session => {
-              allSessions.push({
-                ...session,
-                project: memories.project
-              });
-            });
-          }
-        } catch (e) {}
-      }
-    });
-  } catch (e) {}
+// 내용이 있는 버퍼만
+function hasBufferContent(buffer) {
+  return buffer.observations.length > 0 || buffer.conversations.length > 0;
+}
 
-  // 날짜순 정렬 (최신 먼저)
-  return allSessions.sort((a, b) => new Date(b.date) - new Date(a.date));
+// 모든 세션 로드 (최신 먼저)
+function loadAllMemories() {
+  return loadAllSessions().sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
-function formatDate(isoString) {
-  const date = new Date(isoString);
-  const now = new Date();
-  const diffDays = Math.floor((now - date) / (1000 * 60 * 60 * 24));
+// ═══════════════════════════════════════════════════════════════
+// search 명령어 - 키워드로 메모리 검색
+// ═══════════════════════════════════════════════════════════════
 
-  if (diffDays === 0) return '오늘';
-  if (diffDays === 1) return '어제';
-  if (diffDays < 7) return `${diffDays}일 전`;
+// --field로 검색할 수 있는 구조화 요약 필드
+const SEARCH_FIELDS = DIGEST_QUERY_FIELDS;
 
-  return date.toLocaleDateString('ko-KR', {
-    month: 'short',
-    day: 'numeric'
+// 세션 digest에서 검색어가 들어간 항목 → [{ field, text }]
+function findDigestMatches(session, matchesTerm, fields = SEARCH_FIELDS) {
+  const found = [];
+  fields.forEach(field => {
+    [].concat(getDigestField(session.digest, field))
+      .filter(text => matchesTerm(text))
+      .forEach(text => found.push({ field, text }));
   });
+  return found;
 }
 
-function formatTime(isoString) {
-  return new Date(isoString).toLocaleTimeString('ko-KR', {
-    hour: '2-digit',
-    minute: '2-digit'
+// 매칭된 필드 이름 (findMatchedFields의 field)
+function matchedFieldLabel(field) {
+  if (SEARCH_FIELDS.includes(field)) return t(`digest.${field}`);
+  const labels = {
+    summary: 'label.summary',
+    conversations: 'label.conversations',
+    observations: 'label.observations',
+    files: 'context.files',
+    commands: 'search.field.commands',
+    tool: 'search.field.tool',
+    keywords: 'session.keywords',
+    project: 'label.project',
+    date: 'label.date'
+  };
+  return t(labels[field] || field);
+}
+
+// --explain: calculateRelevanceScores의 점수 구성
+function formatScoreExplanation(item, weights) {
+  return t('search.explain', {
+    score: item.score.toFixed(3),
+    similarity: item.similarity.toFixed(3),
+    ranker: item.ranker === 'bm25' ? 'BM25' : 'TF-IDF',
+    similarityWeight: weights.similarity,
+    time: item.timeWeight.toFixed(3),
+    timeWeight: weights.time,
+    bonus: item.conversationBonus.toFixed(2)
   });
 }
 
-// ═══════════════════════════════════════════════════════════════
-// search 명령어 - 키워드로 메모리 검색
-// ═══════════════════════════════════════════════════════════════
+// 질의 문법은 search-query.js 참고 (AND, OR, -제외, "구문", 필드:값, 오타 허용)
+function commandSearch(keyword, flags = {}) {
+  const parsed = parseQuery(keyword || '');
+  if (parsed.clauses.length === 0) {
+    console.log(t('search.no_query'));
+    return;
+  }
+  if (parsed.errors.length > 0) {
+    console.log(t('search.bad_date', { value: parsed.errors[0] }));
+    return;
+  }
 
-function commandSearch(keyword) {
-  if (!keyword) {
-    console.log('❌ 검색어를 입력해주세요: /memory search <키워드>');
+  const field = flags.field;
+  if (field !== undefined && !SEARCH_FIELDS.includes(field)) {
+    console.log(t('search.unknown_field', { field, fields: SEARCH_FIELDS.join(', ') }));
+    return;
+  }
+
+  const rankingOptions = getRankingOptions(loadConfig().values);
+  const ranker = flags.ranker || rankingOptions.ranker;
+  if (ranker !== 'tfidf' && ranker !== 'bm25') {
+    console.log(t('search.unknown_ranker', { ranker }));
+    return;
+  }
+
+  // --k1, --b: 값 없이 쓰거나 숫자가 아니면 BM25 점수가 NaN이 됨 (범위는 설정 스키마와 같음)
+  const numberFlag = value => (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+  const k1 = flags.k1 !== undefined ? numberFlag(flags.k1) : rankingOptions.k1;
+  const b = flags.b !== undefined ? numberFlag(flags.b) : rankingOptions.b;
+  if (!Number.isFinite(k1) || k1 < 0) {
+    console.log(t('search.bad_k1', { value: flags.k1 }));
+    return;
+  }
+  if (!Number.isFinite(b) || b < 0 || b > 1) {
+    console.log(t('search.bad_b', { value: flags.b }));
     return;
   }
 
   const sessions = loadAllMemories();
-  const lowerKeyword = keyword.toLowerCase();
-
-  // 키워드가 포함된 세션 찾기
-  const matches = sessions.filter(session => {
-    // 요약에서 검색
-    if (session.summary?.toLowerCase().includes(lowerKeyword)) return true;
-
-    // 키워드 목록에서 검색
-    if (session.keywords?.some(k => k.toLowerCase().includes(lowerKeyword))) return true;
-
-    // 관찰 내용에서 검색
-    if (session.observations?.some(o =>
-      o.summary?.toLowerCase().includes(lowerKeyword) ||
-      o.details?.file?.toLowerCase().includes(lowerKeyword) ||
-      o.details?.command?.toLowerCase().includes(lowerKeyword) ||
-      o.context?.lastUserMessage?.toLowerCase().includes(lowerKeyword)
-    )) return true;
-
-    // 대화 내용에서 검색 (핵심!)
-    if (session.conversations?.some(c =>
-      c.message?.toLowerCase().includes(lowerKeyword)
-    )) return true;
-
-    return false;
-  });
+  const index = getIndex(sessions);
+  const query = compileQuery(parsed, index, { field });
+  const candidates = sessions.filter(session => matchesQuery(session, query));
+
+  // 최신순 대신 검색어와의 관련성 순 (점수가 같으면 최신 먼저)
+  const matches = calculateRelevanceScores({ keywords: rankingKeywords(query) }, candidates, {
+    ...rankingOptions,
+    index,
+    ranker,
+    k1,
+    b
+  }).map(item => ({ ...item.session, _score: item.score, _ranking: item }));
 
   if (matches.length === 0) {
-    console.log(`\n🔍 "${keyword}" 검색 결과: 없음\n`);
+    console.log(`\n${t('search.no_results', { keyword })}\n`);
     return;
   }
 
-  console.log(`\n# 🔍 "${keyword}" 검색 결과 (${matches.length}건)\n`);
+  // 결과에서 보여줄 항목: 검색어(오타 보정 포함)나 구문이 들어간 것, 필드 조건에 맞는 관찰/대화
+  const highlight = highlightTerms(query);
+  const matchesTerm = text => hasHighlight(text, highlight);
+  const snippet = text => makeSnippet(text, highlight);
+  const observationMatches = o => matchesTerm(o.summary) || matchesTerm(o.context?.lastUserMessage) ||
+    highlight.fields.some(term => observationMatchesField(o, term));
+  const conversationMatches = c => matchesTerm(c.message) ||
+    highlight.fields.some(term => conversationMatchesField(c, term));
+
+  const rankLabel = ` | ${t('search.ranked_by', { ranker: ranker === 'bm25' ? 'BM25' : 'TF-IDF' })}`;
+  const fieldLabel = field ? ` | ${t('search.field_only', { field: t(`digest.${field}`) })}` : '';
+  console.log(`\n# ${t('search.title', { keyword, count: matches.length, extra: fieldLabel + rankLabel })}\n`);
+  if (flags.explain) {
+    const expansions = describeExpansions(query);
+    if (expansions.length > 0) console.log(`> ${t('search.explain_terms', { terms: expansions.join(' · ') })}\n`);
+  }
 
   matches.slice(0, 10).forEach((session, index) => {
-    console.log(`## ${index + 1}. ${formatDate(session.date)} (${session.project})`);
-    console.log(`**요약:** ${session.summary}`);
+    const scoreLabel = ` · ${(session._score * 100).toFixed(0)}%`;
+    console.log(`## ${index + 1}. ${formatDate(session.date)} (${session.project}) · \`${session.id}\`${scoreLabel}`);
+    if (flags.explain) console.log(`> ${formatScoreExplanation(session._ranking, rankingOptions.weights)}`);
+    console.log(`**${t('label.summary')}:** ${makeSnippet(session.summary, highlight, 100)}`);
+
+    // 어디에서 맞았는지 (요약, 결정, 대화 ×2, 파일, 키워드 …)
+    const matchedFields = findMatchedFields(session, query, highlight);
+    if (matchedFields.length > 0) {
+      const labels = matchedFields.map(m => `${matchedFieldLabel(m.field)}${m.count > 1 ? ` ×${m.count}` : ''}`);
+      console.log(`**${t('search.matched_in')}:** ${labels.join(', ')}`);
+    }
+
+    // 매칭된 구조화 요약 항목 표시 (결정, 문제, 후속 작업 등)
+    const digestMatches = findDigestMatches(session, matchesTerm, field ? [field] : SEARCH_FIELDS).slice(0, 5);
+    if (digestMatches.length > 0) {
+      console.log(`**${t('search.matched_fields')}:**`);
+      digestMatches.forEach(m => {
+        console.log(`- ${DIGEST_FIELDS[m.field].emoji} ${t(`digest.${m.field}`)}: ${snippet(m.text)}`);
+      });
+    }
 
     // 매칭된 관찰 표시
-    const matchingObs = session.observations?.filter(o =>
-      o.summary?.toLowerCase().includes(lowerKeyword) ||
-      o.context?.lastUserMessage?.toLowerCase().includes(lowerKeyword)
-    ).slice(0, 3);
+    const matchingObs = session.observations?.filter(observationMatches).slice(0, 3);
 
     if (matchingObs?.length > 0) {
-      console.log('**매칭된 작업:**');
+      console.log(`**${t('search.matched_observations')}:**`);
       matchingObs.forEach(o => {
-        console.log(`- ${o.summary}`);
+        console.log(`- ${snippet(o.summary)}`);
         if (o.context?.lastUserMessage) {
-          console.log(`  💬 _"${o.context.lastUserMessage}"_`);
+          console.log(`  💬 "${snippet(o.context.lastUserMessage)}"`);
         }
       });
     }
 
     // 매칭된 대화 표시
-    const matchingConv = session.conversations?.filter(c =>
-      c.message?.toLowerCase().includes(lowerKeyword)
-    ).slice(0, 5);
+    const matchingConv = session.conversations?.filter(conversationMatches).slice(0, 5);
 
     if (matchingConv?.length > 0) {
-      console.log('**매칭된 대화:**');
+      console.log(`**${t('search.matched_conversations')}:**`);
       matchingConv.forEach(c => {
         const typeEmoji = c.type === 'question' ? '❓' : c.type === 'request' ? '📝' : '💬';
-        console.log(`- ${typeEmoji} "${c.message}"`);
+        console.log(`- ${typeEmoji} "${snippet(c.message)}"`);
       });
     }
     console.log('');
   });
 
   if (matches.length > 10) {
-    console.log(`_... 외 ${matches.length - 10}건 더 있음_\n`);
+    console.log(`${t('search.more', { count: matches.length - 10 })}\n`);
   }
 }
 
@@ -173,13 +250,13 @@ function commandTimeline(count = 10) {
   const sessions = loadAllMemories();
 
   if (sessions.length === 0) {
-    console.log('\n📅 저장된 세션이 없습니다.\n');
+    console.log(`\n${t('timeline.empty')}\n`);
     return;
   }
 
   const limit = Math.min(parseInt(count) || 10, 20);
 
-  console.log(`\n# 📅 세션 타임라인 (최근 ${limit}개)\n`);
+  console.log(`\n# ${t('timeline.title', { count: limit })}\n`);
 
   let currentDate = '';
   sessions.slice(0, limit).forEach((session, index) => {
@@ -197,40 +274,55 @@ function commandTimeline(count = 10) {
     const convCount = session.conversation_count || session.conversations?.length || 0;
     const summaryType = session.summary_type === 'ai' ? '🤖' : '📝';
 
-    console.log(`- **${timeLabel}** [${session.project}] ${summaryType} ${session.summary.substring(0, 60)}${session.summary.length > 60 ? '...' : ''}`);
-    console.log(`  _${convCount > 0 ? `💬 ${convCount}개 대화, ` : ''}${obsCount}개 작업_`);
+    console.log(`- **${timeLabel}** \`${session.id}\` [${session.project}] ${summaryType} ${session.summary.substring(0, 60)}${session.summary.length > 60 ? '...' : ''}`);
+    console.log(`  _${convCount > 0 ? `${t('timeline.conversations', { count: convCount })}, ` : ''}${t('timeline.observations', { count: obsCount })}_`);
   });
 
-  console.log(`\n---\n_전체 ${sessions.length}개 세션 저장됨_\n`);
+  console.log(`\n---\n${t('timeline.footer', { count: sessions.length })}\n`);
 }
 
 // ═══════════════════════════════════════════════════════════════
-// show 명령어 - 현재 세션 버퍼 표시
+// show 명령어 - 저장된 세션 상세 / 진행 중인 세션 버퍼 목록/내용 표시
 // ═══════════════════════════════════════════════════════════════
 
-function commandShow() {
-  const buffer = loadBuffer();
-  const hasObservations = buffer.observations && buffer.observations.length > 0;
-  const hasConversations = buffer.conversations && buffer.conversations.length > 0;
+function shortSessionId(sessionId) {
+  return String(sessionId).substring(0, 8);
+}
+
+// 여러 버퍼를 표로 나열
+function printBufferList(buffers, title) {
+  console.log(`\n# 📋 ${title} (${t('common.count', { count: buffers.length })})\n`);
+  console.log(`| ${t('buffer.table_header')} |`);
+  console.log('|---------|----------|------|-----------|------|------|');
+  buffers.forEach(b => {
+    const started = b.session_start ? `${formatDate(b.session_start)} ${formatTime(b.session_start)}` : '-';
+    const updated = `${formatDate(b.updated_at)} ${formatTime(b.updated_at)}`;
+    console.log(`| \`${shortSessionId(b.session_id)}\` | ${b.project || '-'} | ${started} | ${updated} | ${b.conversations.length} | ${b.observations.length} |`);
+  });
+  console.log(`\n${t('buffer.list_footer')}\n`);
+}
+
+// 버퍼 하나의 내용 표시
+function printBuffer(buffer) {
+  const hasObservations = buffer.observations.length > 0;
+  const hasConversations = buffer.conversations.length > 0;
+
+  console.log(`\n# 📋 ${t('buffer.title')} \`${shortSessionId(buffer.session_id)}\`\n`);
+  console.log(`> ${t('label.project')}: ${buffer.project || t('common.unknown')}`);
+  console.log(`> ${t('buffer.started')}: ${buffer.session_start || t('common.unknown')}`);
+  console.log(`> ${t('buffer.conversation_count')}: ${t('common.count', { count: buffer.conversations.length })}`);
+  console.log(`> ${t('buffer.observation_count')}: ${t('common.count', { count: buffer.observations.length })}\n`);
 
   if (!hasObservations && !hasConversations) {
-    console.log('\n📋 현재 세션에 저장된 내용이 없습니다.\n');
+    console.log(`${t('buffer.empty')}\n`);
     return;
   }
 
-  console.log(`\n# 📋 현재 세션 버퍼\n`);
-  console.log(`> 세션 시작: ${buffer.session_start || '알 수 없음'}`);
-  console.log(`> 대화 수: ${buffer.conversations?.length || 0}개`);
-  console.log(`> 관찰 수: ${buffer.observations?.length || 0}개\n`);
-
   // 대화 내용 먼저 표시
   if (hasConversations) {
-    console.log('## 💬 대화 기록\n');
+    console.log(`## 💬 ${t('buffer.conversations')}\n`);
     buffer.conversations.forEach((conv, index) => {
-      const time = new Date(conv.timestamp).toLocaleTimeString('ko-KR', {
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+      const time = formatTime(conv.timestamp);
       const typeEmoji = conv.type === 'question' ? '❓' : conv.type === 'request' ? '📝' : '💬';
       console.log(`${index + 1}. [${time}] ${typeEmoji} "${conv.message}"`);
     });
@@ -239,13 +331,9 @@ function commandShow() {
 
   // 관찰 내용 표시
   if (hasObservations) {
-    console.log('## 🔧 작업 기록\n');
+    console.log(`## 🔧 ${t('buffer.observations')}\n`);
     buffer.observations.forEach((obs, index) => {
-      const time = new Date(obs.timestamp).toLocaleTimeString('ko-KR', {
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-      });
+      const time = formatTime(obs.timestamp, { seconds: true });
 
       console.log(`### ${index + 1}. [${time}] ${obs.tool}`);
       console.log(`${obs.summary}`);
@@ -258,7 +346,146 @@ function commandShow() {
     });
   }
 
-  console.log('---\n_세션 종료 시 자동으로 memories에 저장됩니다_\n');
+  console.log(`---\n${t('buffer.footer')}\n`);
+}
+
+// 저장된 세션이 여러 개 일치할 때
+function printSessionList(sessions, title) {
+  console.log(`\n# 🗂️ ${title} (${t('common.count', { count: sessions.length })})\n`);
+  console.log(`| ${t('session.table_header')} |`);
+  console.log('|---------|----------|------|------|');
+  sessions.forEach(s => {
+    console.log(`| \`${s.id}\` | ${s.project} | ${formatDate(s.date)} ${formatTime(s.date)} | ${truncate(s.summary, 50)} |`);
+  });
+  console.log(`\n${t('session.ambiguous_footer')}\n`);
+}
+
+// 저장된 세션 하나의 전체 내용 표시
+function printSession(session) {
+  const conversations = session.conversations || [];
+  const observations = session.observations || [];
+  const obsTotal = session.observation_count || observations.length;
+  const convTotal = session.conversation_count || conversations.length;
+
+  console.log(`\n# 🗂️ ${t('label.session')} \`${session.id}\`\n`);
+  console.log(`> ${t('label.project')}: ${session.project} (\`${session.project_id}\`)`);
+  console.log(`> ${t('label.date')}: ${formatDateTime(session.date)} (${formatDate(session.date)})`);
+  console.log(`> ${t('session.summary_type')}: ${session.summary_type === 'ai' ? '🤖 AI' : `📝 ${t('session.summary_local')}`}`);
+  if (session.session_id) {
+    console.log(`> ${t('session.claude_session')}: \`${session.session_id}\``);
+  }
+  if (session.redacted) {
+    const total = Object.values(session.redacted).reduce((sum, n) => sum + n, 0);
+    console.log(`> ${t('label.redacted')}: 🔒 ${t('common.count', { count: total })}`);
+  }
+
+  if (session.git) {
+    const { branch, commit, staged_files: staged, modified_files: modified, untracked_files: untracked } = session.git;
+    console.log(`\n## 🔀 ${t('session.git_title')}\n`);
+    console.log(`- ${t('session.git_branch')}: ${branch ? `\`${branch}\`` : '(detached)'}${commit ? ` @ \`${commit}\`` : ''}`);
+    if (staged?.length > 0) console.log(`- ${t('session.git_staged')}: ${staged.join(', ')}`);
+    if (modified?.length > 0) console.log(`- ${t('session.git_modified')}: ${modified.join(', ')}`);
+    if (untracked?.length > 0) console.log(`- ${t('session.git_untracked')}: ${untracked.join(', ')}`);
+  }
+
+  console.log(`\n## 📝 ${t('label.summary')}\n`);
+  console.log(session.summary);
+
+  // 작업 분석 (로컬 요약기의 주제, 작업, 결과, 미해결 오류 + AI 구조화 요약의 결정, 문제, 후속 작업 등)
+  const digest = session.digest;
+  const listFields = ['actions', 'outcomes', 'open_issues', 'decisions', 'problems', 'follow_ups', 'files_changed', 'tags'];
+  if (digest && listFields.some(field => getDigestField(digest, field).length > 0)) {
+    console.log(`\n## 📋 ${t('session.digest_title')}\n`);
+    console.log(`- ${t('digest.topic')}: ${digest.topic}`);
+    (digest.actions || []).forEach((action, index) => console.log(`- ${t('session.action', { number: index + 1 })}: ${action}`));
+    if (digest.outcomes?.length > 0) console.log(`- ✅ ${t('digest.outcomes')}: ${digest.outcomes.join(', ')}`);
+    if (digest.open_issues?.length > 0) console.log(`- ⚠️ ${t('session.open_issues')}: ${digest.open_issues.join(', ')}`);
+    ['decisions', 'problems', 'follow_ups'].forEach(field => {
+      const items = getDigestField(digest, field);
+      if (items.length === 0) return;
+      console.log(`- ${DIGEST_FIELDS[field].emoji} ${t(`digest.${field}`)}:`);
+      items.forEach(item => console.log(`  - ${item}`));
+    });
+    const files = getDigestField(digest, 'files_changed');
+    if (files.length > 0) console.log(`- ${DIGEST_FIELDS.files_changed.emoji} ${t('digest.files_changed')}: ${files.join(', ')}`);
+    if (digest.tags?.length > 0) console.log(`- ${DIGEST_FIELDS.tags.emoji} ${t('digest.tags')}: ${digest.tags.map(tag => `#${tag}`).join(' ')}`);
+  }
+
+  console.log(`\n## 💬 ${t('session.conversations', { count: conversations.length, total: convTotal > conversations.length ? t('session.of_total', { total: convTotal }) : '' })}\n`);
+  if (conversations.length === 0) console.log(t('common.none'));
+  conversations.forEach((conv, index) => {
+    const typeEmoji = conv.type === 'question' ? '❓' : conv.type === 'request' ? '📝' : '💬';
+    const time = conv.timestamp ? `[${formatTime(conv.timestamp)}] ` : '';
+    console.log(`${index + 1}. ${time}${typeEmoji} "${conv.message}"`);
+  });
+
+  console.log(`\n## 🔧 ${t('session.observations', { count: observations.length, total: obsTotal > observations.length ? t('session.of_total', { total: obsTotal }) : '' })}\n`);
+  if (observations.length === 0) console.log(t('common.none'));
+  observations.forEach((obs, index) => {
+    const time = obs.timestamp ? `[${formatTime(obs.timestamp)}] ` : '';
+    console.log(`${index + 1}. ${time}${obs.tool ? `**${obs.tool}** ` : ''}${obs.summary}`);
+    if (obs.details?.error) {
+      console.log(`   ⚠️ ${obs.details.error}`);
+    }
+    if (obs.details?.diff) {
+      console.log('   ```diff');
+      obs.details.diff.split('\n').forEach(line => console.log(`   ${line}`));
+      console.log('   ```');
+    }
+    if (obs.context?.lastUserMessage) {
+      console.log(`   💬 _"${obs.context.lastUserMessage}"_`);
+    }
+    if (obs.context?.lastAssistantMessage) {
+      console.log(`   🤖 _"${obs.context.lastAssistantMessage}"_`);
+    }
+  });
+
+  if (session.keywords?.length > 0) {
+    console.log(`\n## 🏷️ ${t('session.keywords')}\n`);
+    console.log(session.keywords.join(', '));
+  }
+  console.log('');
+}
+
+function commandShow(sessionId) {
+  // 세션 ID(앞부분)를 지정한 경우 저장된 세션 → 진행 중인 버퍼 순으로 찾음
+  if (sessionId) {
+    const sessions = findSessions(sessionId);
+    if (sessions.length === 1) {
+      printSession(sessions[0]);
+      return;
+    }
+    if (sessions.length > 1) {
+      printSessionList(sessions, t('show.matching_sessions', { id: sessionId }));
+      return;
+    }
+
+    const matches = findBuffers(sessionId);
+    if (matches.length === 0) {
+      console.log(`\n${t('show.not_found', { id: sessionId })}\n`);
+      return;
+    }
+    if (matches.length > 1) {
+      printBufferList(matches, t('show.matching_buffers', { id: sessionId }));
+      return;
+    }
+    printBuffer(matches[0]);
+    return;
+  }
+
+  const buffers = listBuffers().filter(hasBufferContent);
+
+  if (buffers.length === 0) {
+    console.log(`\n${t('show.empty')}\n`);
+    return;
+  }
+
+  if (buffers.length === 1) {
+    printBuffer(buffers[0]);
+    return;
+  }
+
+  printBufferList(buffers, t('show.active_buffers'));
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -267,45 +494,333 @@ function commandShow() {
 
 function commandStats() {
   const sessions = loadAllMemories();
-  const buffer = loadBuffer();
+  const buffers = listBuffers();
+  const bufferConvs = buffers.reduce((sum, b) => sum + b.conversations.length, 0);
+  const bufferObs = buffers.reduce((sum, b) => sum + b.observations.length, 0);
 
-  // 프로젝트별 집계
+  // 프로젝트별 집계 (고정 ID 기준, 표시는 alias)
   const projectStats = {};
   sessions.forEach(s => {
-    if (!projectStats[s.project]) {
-      projectStats[s.project] = { count: 0, observations: 0 };
+    if (!projectStats[s.project_id]) {
+      projectStats[s.project_id] = { alias: s.project, count: 0, observations: 0 };
     }
-    projectStats[s.project].count++;
-    projectStats[s.project].observations += s.observation_count || s.observations?.length || 0;
+    projectStats[s.project_id].count++;
+    projectStats[s.project_id].observations += s.observation_count || s.observations?.length || 0;
   });
 
-  console.log('\n# 📊 메모리 통계\n');
-  console.log(`| 항목 | 값 |`);
+  // 같은 alias가 여러 프로젝트에 있으면 ID를 함께 표시
+  const aliasCounts = {};
+  Object.values(projectStats).forEach(p => {
+    aliasCounts[p.alias] = (aliasCounts[p.alias] || 0) + 1;
+  });
+
+  console.log(`\n# 📊 ${t('stats.title')}\n`);
+  console.log(`| ${t('table.item')} | ${t('table.value')} |`);
   console.log(`|------|-----|`);
-  console.log(`| 전체 세션 | ${sessions.length}개 |`);
-  console.log(`| 프로젝트 수 | ${Object.keys(projectStats).length}개 |`);
-  console.log(`| 현재 버퍼 | 💬 ${buffer.conversations?.length || 0}개 대화, 🔧 ${buffer.observations?.length || 0}개 관찰 |`);
+  console.log(`| ${t('stats.sessions')} | ${t('common.count', { count: sessions.length })} |`);
+  console.log(`| ${t('stats.projects')} | ${t('common.count', { count: Object.keys(projectStats).length })} |`);
+  console.log(`| ${t('stats.buffers')} | ${t('stats.buffers_value', { buffers: buffers.length, conversations: bufferConvs, observations: bufferObs })} |`);
 
   const totalObs = sessions.reduce((sum, s) => sum + (s.observation_count || s.observations?.length || 0), 0);
   const totalConv = sessions.reduce((sum, s) => sum + (s.conversation_count || s.conversations?.length || 0), 0);
-  console.log(`| 전체 대화 | ${totalConv}개 |`);
-  console.log(`| 전체 관찰 | ${totalObs}개 |`);
+  console.log(`| ${t('stats.conversations')} | ${t('common.count', { count: totalConv })} |`);
+  console.log(`| ${t('stats.observations')} | ${t('common.count', { count: totalObs })} |`);
+
+  // 저장 전에 가린 민감 정보 (종류별)
+  const redactions = {};
+  sessions.forEach(s => mergeRedactionCounts(redactions, s.redacted));
+  const totalRedacted = Object.values(redactions).reduce((sum, n) => sum + n, 0);
+  if (totalRedacted > 0) {
+    const byType = Object.entries(redactions)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, n]) => `${type} ${n}`)
+      .join(', ');
+    console.log(`| ${t('label.redacted')} | 🔒 ${t('common.count', { count: totalRedacted })} (${byType}) |`);
+  }
+
+  // 구조화 요약 - AI 요약 수, 필드별 항목 수, 자주 쓰인 태그
+  const aiCount = sessions.filter(s => s.summary_type === 'ai').length;
+  const countField = field => sessions.reduce((sum, s) => sum + getDigestField(s.digest, field).length, 0);
+  console.log(`| ${t('session.summary_type')} | ${t('stats.summary_types', { ai: aiCount, local: sessions.length - aiCount })} |`);
+  const fieldCounts = ['decisions', 'problems', 'follow_ups', 'open_issues']
+    .map(field => ({ field, count: countField(field) }))
+    .filter(f => f.count > 0);
+  if (fieldCounts.length > 0) {
+    console.log(`| ${t('stats.structured')} | ${fieldCounts.map(f => `${DIGEST_FIELDS[f.field].emoji} ${t(`digest.${f.field}`)} ${t('common.count', { count: f.count })}`).join(', ')} |`);
+  }
+  const tagCounts = {};
+  sessions.forEach(s => getDigestField(s.digest, 'tags').forEach(tag => {
+    tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+  }));
+  const topTags = Object.entries(tagCounts).sort((a, b) => b[1] - a[1]).slice(0, 10);
+  if (topTags.length > 0) {
+    console.log(`| ${t('stats.top_tags')} | ${topTags.map(([tag, n]) => `#${tag} ${n}`).join(', ')} |`);
+  }
 
   if (Object.keys(projectStats).length > 0) {
-    console.log('\n### 프로젝트별 통계\n');
-    console.log('| 프로젝트 | 세션 수 | 관찰 수 |');
+    console.log(`\n### ${t('stats.by_project')}\n`);
+    console.log(`| ${t('stats.project_header')} |`);
     console.log('|----------|---------|---------|');
     Object.entries(projectStats)
       .sort((a, b) => b[1].count - a[1].count)
       .slice(0, 10)
-      .forEach(([project, stats]) => {
-        console.log(`| ${project} | ${stats.count} | ${stats.observations} |`);
+      .forEach(([projectId, stats]) => {
+        const label = aliasCounts[stats.alias] > 1 ? `${stats.alias} (\`${projectId}\`)` : stats.alias;
+        console.log(`| ${label} | ${stats.count} | ${stats.observations} |`);
       });
   }
 
   console.log('');
 }
 
+// ═══════════════════════════════════════════════════════════════
+// rebuild-index 명령어 - 메모리 파일로부터 검색 인덱스 재생성
+// ═══════════════════════════════════════════════════════════════
+
+function commandRebuildIndex() {
+  const started = Date.now();
+  const index = rebuildIndex();
+  const projects = new Set(Object.values(index.docs).map(d => d.project_id));
+
+  console.log(`\n# 🗂️ ${t('rebuild.title')}\n`);
+  console.log(`| ${t('table.item')} | ${t('table.value')} |`);
+  console.log(`|------|-----|`);
+  console.log(`| ${t('rebuild.docs')} | ${t('common.count', { count: Object.keys(index.docs).length })} |`);
+  console.log(`| ${t('label.projects')} | ${t('common.count', { count: projects.size })} |`);
+  console.log(`| ${t('rebuild.terms')} | ${t('common.count', { count: Object.keys(index.terms).length })} |`);
+  console.log(`| ${t('rebuild.tokenizer')} | \`${index.tokenizer}\` |`);
+  console.log(`| ${t('rebuild.elapsed')} | ${Date.now() - started}ms |`);
+  console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// config 명령어 - 적용 중인 설정 값과 출처
+// ═══════════════════════════════════════════════════════════════
+
+// 설정 출처 이름 (config.source.<layer>)
+const sourceLabel = layer => t(`config.source.${layer}`);
+
+// 설정 설명 - 카탈로그에 번역이 있으면 사용, 없으면 스키마의 (한국어) 설명
+function describeSetting(keyPath) {
+  const key = `config.description.${keyPath}`;
+  const text = t(key);
+  return text === key ? FLAT_SCHEMA[keyPath].description : text;
+}
+
+function formatConfigValue(value) {
+  if (Array.isArray(value)) return value.length === 0 ? '[]' : `\`${JSON.stringify(value)}\``;
+  return `\`${value}\``;
+}
+
+function commandConfig(section) {
+  const config = loadConfig();
+  const keyPaths = Object.keys(FLAT_SCHEMA).filter(k => !section || k.startsWith(`${section}.`));
+
+  if (keyPaths.length === 0) {
+    const sections = [...new Set(Object.keys(FLAT_SCHEMA).map(k => k.split('.')[0]))];
+    console.log(`\n${t('config.unknown_section', { section, sections: sections.join(', ') })}\n`);
+    return;
+  }
+
+  console.log(`\n# ⚙️ ${t('config.title')}\n`);
+  config.files.forEach(({ layer, file, exists }) => {
+    console.log(`> ${sourceLabel(layer)}: \`${file}\`${exists ? '' : ` (${t('config.missing')})`}`);
+  });
+
+  if (config.errors.length > 0) {
+    console.log(`\n## ⚠️ ${t('config.errors')}\n`);
+    config.errors.forEach(e => console.log(`- ${formatConfigError(e)}`));
+  }
+
+  let currentSection = null;
+  keyPaths.forEach(keyPath => {
+    const [group] = keyPath.split('.');
+    if (group !== currentSection) {
+      currentSection = group;
+      console.log(`\n## ${group}\n`);
+      console.log(`| ${t('config.table_header')} |`);
+      console.log('|------|-----|------|------|');
+    }
+
+    const value = keyPath.split('.').reduce((node, key) => node[key], config.values);
+    const source = config.sources[keyPath];
+    const origin = source.layer === 'env'
+      ? `${sourceLabel('env')} (\`${source.file}\`)`
+      : sourceLabel(source.layer);
+    const name = keyPath.substring(group.length + 1);
+    console.log(`| ${name} | ${formatConfigValue(value)} | ${origin} | ${describeSetting(keyPath)} |`);
+  });
+  console.log('');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// forget 명령어 - 세션/관찰/프로젝트 삭제 (기본은 미리보기)
+// ═══════════════════════════════════════════════════════════════
+
+function printForgetPlan(plan) {
+  plan.projects.forEach(target => {
+    if (target.deleteProject) {
+      console.log(`## 🗑️ ${target.alias} (\`${target.projectId}\`) - ${t('forget.whole_project', { count: target.totalSessions })}\n`);
+      return;
+    }
+
+    console.log(`## ${target.alias} (\`${target.projectId}\`)\n`);
+    target.sessions.forEach(({ session, action, observations, conversations, digest }) => {
+      const label = `${formatDate(session.date)} ${formatTime(session.date)} \`${getSessionId({ ...session, project_id: target.projectId })}\``;
+      if (action === 'delete') {
+        console.log(`- 🗑️ **${label}** ${t('forget.delete_session')}: ${truncate(session.summary, 80)}`);
+      } else {
+        const digestNote = digest > 0 ? t('forget.delete_digest', { count: digest }) : '';
+        console.log(`- ✂️ **${label}** ${t('forget.delete_entries', { observations, conversations })}${digestNote}: ${truncate(session.summary, 80)}`);
+      }
+    });
+    console.log('');
+  });
+
+  if (plan.buffers.length > 0) {
+    console.log(`## ${t('show.active_buffers')}\n`);
+    plan.buffers.forEach(b => {
+      console.log(`- 🗑️ \`${shortSessionId(b.session_id)}\` (${b.project || t('common.unknown')}) 💬 ${b.conversations.length} · 🔧 ${b.observations.length}`);
+    });
+    console.log('');
+  }
+
+  // 이전 전 원본, 손상돼 옮겨 둔 파일 (남겨 두는 것은 경로와 함께 알림)
+  if (plan.copies.length > 0) {
+    console.log(`## ${t('forget.copies')}\n`);
+    plan.copies.forEach(copy => {
+      const label = `\`${path.basename(copy.file)}\` ${t(`forget.copy_${copy.kind}`)}`;
+      console.log(copy.action === 'delete' ? `- 🗑️ ${label}` : `- ⚠️ ${label}: ${t('forget.copy_kept', { file: copy.file })}`);
+    });
+    console.log('');
+  }
+}
+
+function commandForget(flags = {}) {
+  const plan = planForget({
+    session: typeof flags.session === 'string' ? flags.session : null,
+    from: flags.from,
+    to: flags.to,
+    keyword: typeof flags.keyword === 'string' ? flags.keyword : null,
+    project: typeof flags.project === 'string' ? flags.project : null,
+    entries: !!flags.entries
+  });
+
+  if (plan.error) {
+    console.log(`\n❌ ${plan.error}\n`);
+    return;
+  }
+
+  if (plan.projects.length === 0 && plan.buffers.length === 0) {
+    console.log(`\n${t('forget.nothing')}\n`);
+    return;
+  }
+
+  const confirmed = flags.yes === true || flags.yes === 'true';
+  console.log(`\n# 🗑️ ${t(confirmed ? 'forget.title' : 'forget.preview_title')}\n`);
+  printForgetPlan(plan);
+
+  if (!confirmed) {
+    console.log(`---\n${t('forget.confirm_hint')}\n`);
+    return;
+  }
+
+  const result = applyForget(plan);
+  console.log(`| ${t('table.item')} | ${t('forget.deleted')} |`);
+  console.log('|------|------|');
+  console.log(`| ${t('label.projects')} | ${t('common.count', { count: result.projects })} |`);
+  console.log(`| ${t('label.sessions')} | ${t('common.count', { count: result.sessions })} |`);
+  console.log(`| ${t('label.observations')} | ${t('common.count', { count: result.observations })} |`);
+  console.log(`| ${t('label.conversations')} | ${t('common.count', { count: result.conversations })} |`);
+  console.log(`| ${t('forget.buffers')} | ${t('common.count', { count: result.buffers })} |`);
+  console.log(`| ${t('forget.copies')} | ${t('common.count', { count: result.copies })} |`);
+  console.log(`\n${t('forget.done_footer')}\n`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// pin / unpin / remember 명령어 - 항상 주입되는 고정된 기억
+// ═══════════════════════════════════════════════════════════════
+
+// 현재 프로젝트의 고정된 기억 목록
+function printPinned() {
+  const project = resolveProject(process.cwd());
+  const pinned = getPinnedMemories(project.id, loadAllSessions());
+
+  console.log(`\n# 📌 ${t('pinned.title')} (${project.alias})\n`);
+  if (pinned.facts.length === 0 && pinned.sessions.length === 0) {
+    console.log(`${t('pin.empty')}\n`);
+    return;
+  }
+
+  if (pinned.facts.length > 0) {
+    console.log(`## ${t('pin.facts')}\n`);
+    pinned.facts.forEach(f => {
+      console.log(`- \`${f.id}\` ${f.scope === 'global' ? `(${t('common.global')}) ` : ''}${f.text}`);
+    });
+    console.log('');
+  }
+
+  if (pinned.sessions.length > 0) {
+    console.log(`## ${t('pin.sessions')}\n`);
+    pinned.sessions.forEach(s => {
+      console.log(`- \`${s.id}\` ${formatDate(s.date)}: ${truncate(s.summary, 80)}`);
+    });
+    console.log('');
+  }
+  console.log(`${t('pin.unpin_hint')}\n`);
+}
+
+function commandPin(sessionId) {
+  if (!sessionId) {
+    printPinned();
+    return;
+  }
+
+  const result = setSessionPinned(sessionId, true);
+  if (result.error) {
+    console.log(`\n❌ ${result.error}\n`);
+    return;
+  }
+  console.log(`\n${t('pin.pinned', { id: result.session.id, project: result.session.project })}\n`);
+}
+
+function commandUnpin(id) {
+  if (!id) {
+    console.log(t('unpin.no_id'));
+    return;
+  }
+
+  const project = resolveProject(process.cwd());
+  const fact = removeFact(id, project.id);
+  if (fact) {
+    console.log(`\n${t('unpin.fact_removed', { id: fact.id, text: fact.text })}\n`);
+    return;
+  }
+
+  const result = setSessionPinned(id, false);
+  if (result.error) {
+    console.log(`\n${t('unpin.not_found', { id })}\n`);
+    return;
+  }
+  console.log(`\n${t('unpin.unpinned', { id: result.session.id })}\n`);
+}
+
+function commandRemember(text, flags = {}) {
+  if (!text || !text.trim()) {
+    console.log(t('remember.no_text'));
+    return;
+  }
+
+  // 사실도 다른 기록처럼 민감 정보를 가린 뒤 저장
+  const config = getConfig(process.cwd());
+  const safeText = createRedactor(config.redaction).redactText(text.trim()).text;
+
+  const project = flags.global ? null : resolveProject(process.cwd());
+  const fact = addFact(safeText, project);
+  const scopeLabel = project ? t('remember.project_scope', { project: project.alias }) : t('common.global');
+  console.log(`\n${t('remember.saved', { scope: scopeLabel, id: fact.id, text: fact.text })}\n`);
+}
+
 // ═══════════════════════════════════════════════════════════════
 // 메인
 // ═══════════════════════════════════════════════════════════════
@@ -313,32 +828,43 @@ function commandStats() {
 const [,, command, ...args] = process.argv;
 
 switch (command) {
-  case 'search':
-    commandSearch(args.join(' '));
+  case 'search': {
+    // --explain은 값을 받지 않는 플래그 (parseArgs는 다음 단어를 값으로 가져감)
+    const explain = args.includes('--explain');
+    const { flags, rest } = parseArgs(args.filter(a => a !== '--explain'));
+    commandSearch(rest.join(' '), { ...flags, explain });
     break;
+  }
   case 'timeline':
     commandTimeline(args[0]);
     break;
   case 'show':
-    commandShow();
+    commandShow(args[0]);
     break;
   case 'stats':
     commandStats();
     break;
+  case 'rebuild-index':
+    commandRebuildIndex();
+    break;
+  case 'config':
+    commandConfig(args[0]);
+    break;
+  case 'forget':
+    commandForget(parseArgs(args).flags);
+    break;
+  case 'pin':
+    commandPin(args[0]);
+    break;
+  case 'unpin':
+    commandUnpin(args[0]);
+    break;
+  case 'remember': {
+    // --global은 값을 받지 않는 플래그 (parseArgs는 다음 단어를 값으로 가져감)
+    const global = args.includes('--global');
+    commandRemember(args.filter(a => a !== '--global').join(' '), { global });
+    break;
+  }
   default:
-    console.log(`
-# 📚 Memory 명령어
-
-사용 가능한 명령어:
-
-- **/memory search <키워드>** - 메모리에서 키워드 검색
-- **/memory timeline [개수]** - 최근 세션 타임라인 (기본 10개)
-- **/memory show** - 현재 세션 버퍼 내용
-- **/memory stats** - 메모리 통계
-
-예시:
-  /memory search jwt
-  /memory timeline 20
-  /memory show
-`);
+    console.log(t('help'));
 }
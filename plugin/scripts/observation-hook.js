@@ -2,22 +2,18 @@
 /**
  * observation-hook.js
  * PostToolUse Hook - 도구 사용 시 관찰 내용을 buffer에 저장
+ *
+ * 도구 입력/출력과 대화 컨텍스트는 포맷하기 전에 민감 정보를 가림 (redact.js)
+ * 도구별 포맷은 formatter-registry.js (내장 formatters/ + ~/.claude-simple-memory/formatters/)
  */
 
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
-
-// 설정
-const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
-const BUFFER_FILE = path.join(DATA_DIR, 'buffer.json');
-
-// 데이터 디렉토리 생성
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-}
+const { updateBuffer, addObservation } = require('./buffer');
+const { createRedactor, hasRedactions } = require('./redact');
+const { getConfig } = require('./config');
+const { setLocale } = require('./i18n');
+const { formatObservation } = require('./formatter-registry');
+const { truncate } = require('./format-helpers');
 
 // ═══════════════════════════════════════════════════════════════
 // Transcript 파싱 - 대화 컨텍스트 추출 (claude-mem 스타일)
@@ -104,202 +100,45 @@ function extractMessageContent(msg) {
   return null;
 }
 
-// 버퍼 파일 로드
-function loadBuffer() {
-  try {
-    if (fs.existsSync(BUFFER_FILE)) {
-      return JSON.parse(fs.readFileSync(BUFFER_FILE, 'utf-8'));
-    }
-  } catch (e) {
-    // 손상된 파일이면 새로 시작
-  }
-  return { observations: [], conversations: [], session_start: new Date().toISOString() };
-}
-
-// 버퍼 파일 저장
-function saveBuffer(buffer) {
-  fs.writeFileSync(BUFFER_FILE, JSON.stringify(buffer, null, 2), 'utf-8');
-}
-
-// 문자열을 최대 길이로 자르기
-function truncate(str, maxLen = 100) {
-  if (!str) return '';
-  str = String(str).trim();
-  return str.length > maxLen ? str.substring(0, maxLen) + '...' : str;
-}
-
-// 파일 경로에서 파일명만 추출 (짧게)
-function shortPath(filePath) {
-  if (!filePath) return 'unknown';
-  // 마지막 2단계만 유지: src/components/Button.js → components/Button.js
-  const parts = filePath.replace(/\\/g, '/').split('/');
-  return parts.slice(-2).join('/');
-}
-
-// 에러 응답인지 확인
-function isError(response) {
-  if (!response) return false;
-  const lower = String(response).toLowerCase();
-  return lower.includes('error') || lower.includes('failed') || lower.includes('not found');
-}
-
-// 관찰 포맷 함수
-function formatObservation(toolData) {
-  const { tool_name, tool_input, tool_response } = toolData;
-  const hasError = isError(tool_response);
-
-  // ═══════════════════════════════════════════════════════════
-  // Edit 도구: 파일 수정
-  // ═══════════════════════════════════════════════════════════
-  if (tool_name === 'Edit') {
-    const file = shortPath(tool_input?.file_path);
-    const newCode = truncate(tool_input?.new_string, 100);
-
-    return {
-      summary: hasError
-        ? `❌ Failed to edit ${file}`
-        : `✏️ Edited ${file}: ${newCode}`,
-      details: {
-        file: tool_input?.file_path,
-        success: !hasError,
-        preview: newCode
-      }
-    };
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // Write 도구: 파일 생성
-  // ═══════════════════════════════════════════════════════════
-  if (tool_name === 'Write') {
-    const file = shortPath(tool_input?.file_path);
-    const content = truncate(tool_input?.content, 100);
-
-    return {
-      summary: hasError
-        ? `❌ Failed to create ${file}`
-        : `📝 Created ${file}: ${content}`,
-      details: {
-        file: tool_input?.file_path,
-        success: !hasError,
-        preview: content
-      }
-    };
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // Bash 도구: 명령어 실행
-  // ═══════════════════════════════════════════════════════════
-  if (tool_name === 'Bash') {
-    const command = tool_input?.command || '';
-    const firstWord = command.split(/\s+/)[0] || 'unknown';
-
-    // 중요한 명령어 카테고리 분류
-    const cmdCategories = {
-      git: '🔀',      // 버전 관리
-      npm: '📦',      // Node.js 패키지
-      yarn: '📦',
-      pnpm: '📦',
-      pip: '🐍',      // Python 패키지
-      python: '🐍',
-      docker: '🐳',   // 컨테이너
-      kubectl: '☸️',  // Kubernetes
-      make: '🔨',     // 빌드
-      cargo: '🦀',    // Rust
-      go: '🐹',       // Go
-    };
-
-    const emoji = cmdCategories[firstWord] || '💻';
-    const shortCmd = truncate(command, 80);
-    const output = truncate(tool_response, 50);
-
-    // git 명령어는 서브커맨드도 포함 (git commit, git push 등)
-    let cmdLabel = firstWord;
-    if (firstWord === 'git' && command.split(/\s+/)[1]) {
-      cmdLabel = `git ${command.split(/\s+/)[1]}`;
-    }
-
-    return {
-      summary: hasError
-        ? `❌ ${cmdLabel} failed: ${shortCmd}`
-        : `${emoji} Ran ${cmdLabel}: ${shortCmd}`,
-      details: {
-        command: command,
-        success: !hasError,
-        output: output
-      }
-    };
-  }
-
-  // ═══════════════════════════════════════════════════════════
-  // Task 도구: 서브에이전트 실행
-  // ═══════════════════════════════════════════════════════════
-  if (tool_name === 'Task') {
-    const agentType = tool_input?.subagent_type || 'unknown';
-    const description = tool_input?.description || '';
-    const prompt = truncate(tool_input?.prompt, 80);
-
-    // 에이전트 타입별 이모지
-    const agentEmojis = {
-      'Explore': '🔍',
-      'Plan': '📋',
-      'Bash': '💻',
-      'general-purpose': '🤖',
-    };
-
-    const emoji = agentEmojis[agentType] || '🤖';
-
-    return {
-      summary: hasError
-        ? `❌ Agent ${agentType} failed: ${description}`
-        : `${emoji} Agent ${agentType}: ${description || prompt}`,
-      details: {
-        agent_type: agentType,
-        description: description,
-        success: !hasError
-      }
-    };
-  }
-
-  return null; // 알 수 없는 도구는 무시
-}
-
 // 메인 함수
 async function main() {
   try {
     // stdin에서 hook 데이터 읽기
     const input = fs.readFileSync(0, 'utf-8'); // stdin
     const hookData = JSON.parse(input);
+    const cwd = hookData.cwd || process.cwd();
+    const config = getConfig(cwd);
+    setLocale(config.ui.locale);
 
-    ensureDataDir();
+    // 민감 정보 제거 - 잘라내기 전에 원본 전체를 대상으로 (counts는 공유)
+    const { redactValue } = createRedactor(config.redaction);
+    const redactions = {};
 
     const observation = formatObservation({
       tool_name: hookData.tool_name,
-      tool_input: hookData.tool_input,
-      tool_response: hookData.tool_response,
-      cwd: hookData.cwd
+      tool_input: redactValue(hookData.tool_input, redactions).value,
+      tool_response: redactValue(hookData.tool_response, redactions).value,
+      cwd: cwd
     });
 
     if (observation) {
-      const buffer = loadBuffer();
-
-      // 대화 컨텍스트 추출 (왜 이 작업을 했는지)
-      const conversationContext = extractConversationContext(hookData.transcript_path);
-
-      buffer.observations.push({
-        ...observation,
-        tool: hookData.tool_name,
-        timestamp: new Date().toISOString(),
-        project: path.basename(hookData.cwd || process.cwd()),
-        // 대화 컨텍스트 추가 (claude-mem 스타일)
-        context: conversationContext
+      // 대화 컨텍스트 추출 (왜 이 작업을 했는지) - 잠금 밖에서 미리 파싱
+      const conversationContext = redactValue(
+        extractConversationContext(hookData.transcript_path), redactions
+      ).value;
+      if (hasRedactions(redactions)) observation.redacted = redactions;
+
+      updateBuffer(hookData.session_id, cwd, buffer => {
+        // 최대 관찰 수만 유지 (메모리 관리, 기본 100개 - 가벼운 관찰부터 버림)
+        addObservation(buffer, {
+          ...observation,
+          tool: hookData.tool_name,
+          timestamp: new Date().toISOString(),
+          project: buffer.project,
+          // 대화 컨텍스트 추가 (claude-mem 스타일)
+          context: conversationContext
+        }, config.buffer.max_observations);
       });
-
-      // 최대 100개 관찰만 유지 (메모리 관리)
-      if (buffer.observations.length > 100) {
-        buffer.observations = buffer.observations.slice(-100);
-      }
-
-      saveBuffer(buffer);
     }
 
     // 성공 출력 (Claude Code가 확인)
@@ -0,0 +1,129 @@
+/**
+ * pins.js
+ * 고정된 기억 - 관련성 점수/시간 감쇠와 관계없이 항상 주입되는 세션과 사실(fact)
+ *
+ * - 세션 고정: 메모리 파일의 세션에 pinned: true (보존 한도로 지워지지 않음)
+ * - 프로젝트 사실: 메모리 파일의 facts 배열
+ * - 전역 사실: ~/.claude-simple-memory/facts.json
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR, readJSON, updateJSON, updateMemories, loadMemories, findSessions } = require('./storage');
+const { getSessionId } = require('./utils');
+const { applyIdentity } = require('./project');
+const { t } = require('./i18n');
+
+const GLOBAL_FACTS_FILE = path.join(DATA_DIR, 'facts.json');
+
+function createFactId(text, date) {
+  return crypto.createHash('sha1').update(`fact:${text}:${date}`).digest('hex').substring(0, 8);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 세션 고정
+// ═══════════════════════════════════════════════════════════════
+
+// 세션 ID(앞부분)로 고정/해제 → { session } 또는 { error }
+function setSessionPinned(idPrefix, pinned) {
+  const matches = findSessions(idPrefix);
+  if (matches.length === 0) return { error: t('pins.not_found', { id: idPrefix }) };
+  if (matches.length > 1) {
+    return { error: t('pins.ambiguous', { id: idPrefix, ids: matches.map(s => s.id).join(', ') }) };
+  }
+
+  const target = matches[0];
+  let updated = null;
+  updateMemories(target.project_id, memories => {
+    memories.sessions.forEach(s => {
+      if (getSessionId({ ...s, project_id: target.project_id }) !== target.id) return;
+      if (pinned) {
+        s.pinned = true;
+        s.pinned_at = new Date().toISOString();
+      } else {
+        delete s.pinned;
+        delete s.pinned_at;
+      }
+      updated = { ...s, id: target.id, project: target.project, project_id: target.project_id };
+    });
+  });
+  return { session: updated };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 사실 (fact)
+// ═══════════════════════════════════════════════════════════════
+
+// 사실 추가 - identity(resolveProject 결과)가 없으면 전역
+function addFact(text, identity = null) {
+  const date = new Date().toISOString();
+  const fact = { id: createFactId(text, date), text, created_at: date };
+
+  if (identity) {
+    updateMemories(identity.id, memories => {
+      applyIdentity(memories, identity);
+      memories.facts = [...(memories.facts || []), fact];
+    });
+  } else {
+    updateJSON(GLOBAL_FACTS_FILE, () => ({ facts: [] }), data => {
+      data.facts = [...(data.facts || []), fact];
+    });
+  }
+  return { ...fact, scope: identity ? 'project' : 'global' };
+}
+
+function loadGlobalFacts() {
+  return (readJSON(GLOBAL_FACTS_FILE, null)?.facts || []).map(f => ({ ...f, scope: 'global' }));
+}
+
+function loadProjectFacts(projectId) {
+  return (loadMemories(projectId).facts || []).map(f => ({ ...f, scope: 'project', project_id: projectId }));
+}
+
+// 사실 삭제 (전역, 그다음 해당 프로젝트에서 ID 앞부분으로 찾음) → 삭제한 사실 또는 null
+function removeFact(idPrefix, projectId = null) {
+  let removed = null;
+  const takeMatch = facts => {
+    const index = (facts || []).findIndex(f => f.id.startsWith(idPrefix));
+    if (index === -1) return facts;
+    removed = facts[index];
+    return facts.filter((_, i) => i !== index);
+  };
+
+  if (loadGlobalFacts().some(f => f.id.startsWith(idPrefix))) {
+    updateJSON(GLOBAL_FACTS_FILE, () => ({ facts: [] }), data => {
+      data.facts = takeMatch(data.facts);
+    });
+  } else if (projectId && loadProjectFacts(projectId).some(f => f.id.startsWith(idPrefix))) {
+    updateMemories(projectId, memories => {
+      memories.facts = takeMatch(memories.facts);
+    });
+  }
+  return removed;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 주입용 목록
+// ═══════════════════════════════════════════════════════════════
+
+// 현재 프로젝트에서 항상 보여줄 기억: 전역 사실, 프로젝트 사실, 고정된 세션 (최신 먼저)
+function getPinnedMemories(projectId, sessions) {
+  const pinnedSessions = sessions
+    .filter(s => s.pinned && s.project_id === projectId)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return {
+    facts: [...loadGlobalFacts(), ...loadProjectFacts(projectId)],
+    sessions: pinnedSessions
+  };
+}
+
+module.exports = {
+  GLOBAL_FACTS_FILE,
+  setSessionPinned,
+  addFact,
+  removeFact,
+  loadGlobalFacts,
+  loadProjectFacts,
+  getPinnedMemories
+};
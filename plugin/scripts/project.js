@@ -0,0 +1,132 @@
+/**
+ * project.js
+ * 프로젝트 식별 - 디렉토리 이름 대신 git 루트/원격 URL 기반의 고정 ID 사용
+ *
+ * - ID: git 원격 URL이 있으면 그 URL, 없으면 절대 경로의 해시 (예: api-3f2a9c1d)
+ *   → 같은 이름의 다른 저장소가 섞이지 않고, 다시 clone해도 기록이 유지됨
+ * - alias: 사람이 읽는 이름 (원격 저장소 이름 또는 루트 디렉토리 이름)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getGitRoot, getRemoteUrl } = require('./git');
+const { MEMORIES_DIR, getMemoryFile, readJSON, updateMemories } = require('./storage');
+const { updateProjectIndex } = require('./search-index');
+const { getConfig } = require('./config');
+const { createSessionId } = require('./utils');
+
+// 원격 URL 정규화: 프로토콜, 인증 정보, .git 접미사 제거
+// git@github.com:Foo/Bar.git, https://user@github.com/foo/bar → github.com/foo/bar
+function normalizeRemoteUrl(url) {
+  if (!url) return null;
+  let normalized = String(url).trim();
+
+  // scp 형식 (git@host:path)
+  const scpMatch = normalized.match(/^[^@/\s]+@([^:/\s]+):(.+)$/);
+  if (scpMatch) {
+    normalized = `${scpMatch[1]}/${scpMatch[2]}`;
+  } else {
+    normalized = normalized
+      .replace(/^[a-z+]+:\/\//i, '')   // 프로토콜
+      .replace(/^[^@/]+@/, '')         // user:password@
+      .replace(/^([^/:]+):\d+\//, '$1/'); // 포트
+  }
+
+  return normalized
+    .replace(/\.git\/?$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+// 파일명으로 쓸 수 있는 짧은 이름
+function slugify(name) {
+  return String(name || 'project')
+    .toLowerCase()
+    .replace(/[^a-z0-9가-힣_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'project';
+}
+
+function shortHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').substring(0, 8);
+}
+
+// cwd로부터 프로젝트 식별 정보 계산
+function resolveProject(cwd) {
+  const absCwd = path.resolve(cwd || process.cwd());
+  const gitRoot = getGitRoot(absCwd);
+  const root = gitRoot || absCwd;
+  const remote = gitRoot ? normalizeRemoteUrl(getRemoteUrl(gitRoot)) : null;
+
+  const alias = remote ? remote.split('/').pop() : path.basename(root);
+  const key = remote ? `git:${remote}` : `path:${root}`;
+
+  return {
+    id: `${slugify(alias)}-${shortHash(key)}`,
+    alias,
+    root,
+    remote
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 기존 basename 기반 메모리 파일 이전
+// ═══════════════════════════════════════════════════════════════
+
+// memories/<basename>.json (project_id 없음) → memories/<id>.json 으로 병합
+// 같은 이름의 저장소가 여럿이면 먼저 열린 쪽이 기존 기록을 가져감
+function migrateLegacyMemories(identity, cwd) {
+  const candidates = new Set([identity.alias, path.basename(identity.root)]);
+  if (cwd) candidates.add(path.basename(path.resolve(cwd)));
+
+  const { storage } = getConfig(cwd || identity.root);
+  const migrated = [];
+  candidates.forEach(name => {
+    const legacyFile = getMemoryFile(name);
+    if (name === identity.id || !fs.existsSync(legacyFile)) return;
+
+    const legacy = readJSON(legacyFile, null);
+    if (!legacy || legacy.project_id || !Array.isArray(legacy.sessions)) return;
+
+    const merged = updateMemories(identity.id, memories => {
+      applyIdentity(memories, identity);
+
+      // 세션 병합 (날짜순, 중복 제거)
+      const seen = new Set(memories.sessions.map(s => s.date));
+      legacy.sessions.forEach(s => {
+        if (!seen.has(s.date)) memories.sessions.push({ ...s, id: s.id || createSessionId(identity.id, s.date) });
+      });
+      memories.sessions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+      const allKeywords = new Set([...(legacy.keywords || []), ...(memories.keywords || [])]);
+      memories.keywords = Array.from(allKeywords).slice(-storage.keywords_per_project);
+    });
+
+    // 원본은 지우지 않고 이름만 바꿔 보관
+    fs.renameSync(legacyFile, path.join(MEMORIES_DIR, `${name}.json.migrated`));
+    migrated.push(name);
+
+    // 인덱스의 문서도 새 ID로 옮김
+    updateProjectIndex(name, []);
+    updateProjectIndex(identity.id, merged.sessions);
+  });
+
+  return migrated;
+}
+
+// 메모리 객체에 프로젝트 메타데이터 기록
+function applyIdentity(memories, identity) {
+  memories.project = identity.alias;
+  memories.project_id = identity.id;
+  memories.root = identity.root;
+  memories.remote = identity.remote;
+  return memories;
+}
+
+module.exports = {
+  normalizeRemoteUrl,
+  resolveProject,
+  migrateLegacyMemories,
+  applyIdentity
+};
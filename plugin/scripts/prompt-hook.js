@@ -4,51 +4,20 @@
  * UserPromptSubmit Hook - 사용자 메시지를 직접 캡처하여 버퍼에 저장
  *
  * 이게 핵심! 툴 사용 여부와 관계없이 모든 사용자 질문/요청을 기록함
+ * + 프롬프트와 관련된 과거 세션이 있으면 additionalContext로 주입 (recall.js)
+ * + 저장 전에 API 키, 토큰 등 민감 정보를 가림 (redact.js)
  */
 
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
-
-// 설정
-const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
-const BUFFER_FILE = path.join(DATA_DIR, 'buffer.json');
-const MAX_MESSAGE_LENGTH = 500; // 메시지 최대 길이
-
-// 데이터 디렉토리 생성
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-}
-
-// 버퍼 파일 로드
-function loadBuffer() {
-  try {
-    if (fs.existsSync(BUFFER_FILE)) {
-      return JSON.parse(fs.readFileSync(BUFFER_FILE, 'utf-8'));
-    }
-  } catch (e) {
-    // 손상된 파일이면 새로 시작
-  }
-  return {
-    observations: [],
-    conversations: [],  // 대화 기록 추가
-    session_start: new Date().toISOString()
-  };
-}
-
-// 버퍼 파일 저장
-function saveBuffer(buffer) {
-  fs.writeFileSync(BUFFER_FILE, JSON.stringify(buffer, null, 2), 'utf-8');
-}
-
-// 문자열을 최대 길이로 자르기
-function truncate(str, maxLen = MAX_MESSAGE_LENGTH) {
-  if (!str) return '';
-  str = String(str).trim();
-  return str.length > maxLen ? str.substring(0, maxLen) + '...' : str;
-}
+const { updateBuffer } = require('./buffer');
+const { loadAllSessions } = require('./storage');
+const { loadIndex } = require('./search-index');
+const { sessionDocId } = require('./utils');
+const { truncate } = require('./format-helpers');
+const { selectRecallCandidates, formatRecallContext, markRecalled } = require('./recall');
+const { createRedactor, hasRedactions } = require('./redact');
+const { getConfig, getRankingOptions } = require('./config');
+const { setLocale } = require('./i18n');
 
 // 메시지 타입 분류
 function classifyMessage(message) {
@@ -85,6 +54,31 @@ function classifyMessage(message) {
   return 'statement';
 }
 
+// 프롬프트와 관련된 과거 세션 회상 (주입할 컨텍스트 또는 null)
+function recallMemories(prompt, buffer, cwd, config) {
+  if (!config.recall.enabled) return null;
+
+  const sessions = loadAllSessions();
+  if (sessions.length === 0) return null;
+
+  // 저장된 인덱스는 읽기만 함 (프롬프트마다 다시 만들지 않고 Stop 훅과 rebuild-index에 맡김)
+  // 없거나 버전이 다르면 인덱스 없이, 아직 색인되지 않은 세션은 그 세션만 직접 토큰화
+  const items = selectRecallCandidates(prompt, sessions, buffer.recall, {
+    ...getRankingOptions(config),
+    sessionId: buffer.session_id,
+    index: loadIndex(),
+    limits: config.recall
+  });
+  if (items.length === 0) return null;
+
+  // 같은 기억이 다시 주입되지 않도록 기록
+  updateBuffer(buffer.session_id, cwd, b => {
+    markRecalled(b, items.map(item => sessionDocId(item.session)));
+  });
+
+  return formatRecallContext(items, prompt, config.recall.summary_length);
+}
+
 // 메인 함수
 async function main() {
   try {
@@ -92,8 +86,6 @@ async function main() {
     const input = fs.readFileSync(0, 'utf-8');
     const hookData = JSON.parse(input);
 
-    ensureDataDir();
-
     // 사용자 메시지 추출
     const userMessage = hookData.prompt || hookData.message || '';
 
@@ -102,39 +94,56 @@ async function main() {
       process.exit(0);
     }
 
-    const buffer = loadBuffer();
+    const cwd = hookData.cwd || process.cwd();
+    const config = getConfig(cwd);
+    setLocale(config.ui.locale);
 
-    // conversations 배열이 없으면 생성
-    if (!buffer.conversations) {
-      buffer.conversations = [];
-    }
+    // 민감 정보 제거 (자르기 전에 해야 잘린 키 조각이 남지 않음)
+    const { text: safeMessage, counts: redactions } = createRedactor(config.redaction).redactText(userMessage);
 
     // 대화 기록 추가
     const conversation = {
       role: 'user',
-      message: truncate(userMessage),
+      message: truncate(safeMessage, config.buffer.max_message_length),
       type: classifyMessage(userMessage),
-      timestamp: new Date().toISOString(),
-      project: path.basename(hookData.cwd || process.cwd())
+      timestamp: new Date().toISOString()
     };
+    if (hasRedactions(redactions)) conversation.redacted = redactions;
 
-    buffer.conversations.push(conversation);
+    const savedBuffer = updateBuffer(hookData.session_id, cwd, buffer => {
+      conversation.project = buffer.project;
+      buffer.conversations.push(conversation);
 
-    // 최대 50개 대화만 유지
-    if (buffer.conversations.length > 50) {
-      buffer.conversations = buffer.conversations.slice(-50);
+      // 최대 대화 수만 유지 (기본 50개)
+      const maxConversations = config.buffer.max_conversations;
+      if (buffer.conversations.length > maxConversations) {
+        buffer.conversations = buffer.conversations.slice(-maxConversations);
+      }
+    });
+
+    // 관련 기억 회상 (실패해도 프롬프트 기록은 유지)
+    let recallContext = null;
+    try {
+      recallContext = recallMemories(safeMessage, savedBuffer, cwd, config);
+    } catch (e) {
+      console.error('Recall error:', e.message);
     }
 
-    saveBuffer(buffer);
-
-    // 성공 출력
-    console.log(JSON.stringify({
+    // 성공 출력 (회상 결과가 있으면 Claude에게 컨텍스트로 주입)
+    const output = {
       success: true,
       captured: {
         type: conversation.type,
         length: userMessage.length
       }
-    }));
+    };
+    if (recallContext) {
+      output.hookSpecificOutput = {
+        hookEventName: 'UserPromptSubmit',
+        additionalContext: recallContext
+      };
+    }
+    console.log(JSON.stringify(output));
     process.exit(0);
 
   } catch (error) {
@@ -0,0 +1,101 @@
+/**
+ * recall.js
+ * 프롬프트별 기억 회상 - UserPromptSubmit 시점에 프롬프트와 관련된 과거 세션을 찾아 주입
+ *
+ * - 시간 가중치/대화 보너스가 아닌 "유사도"가 임계값을 넘을 때만 주입
+ * - 세션 버퍼의 recall 상태로 같은 기억의 반복 주입과 과도한 주입 빈도를 제한
+ */
+
+const { calculateRelevanceScores, extractKeywords, sessionDocId, getSessionId } = require('./utils');
+const { truncate } = require('./format-helpers');
+const { DEFAULTS } = require('./config');
+const { t, formatShortDate } = require('./i18n');
+
+// 설정 (config.js의 recall 항목, 인자로 받지 않으면 기본값)
+// min_similarity: BM25는 이론상 최대값으로 정규화하므로 값이 더 작게 나옴
+const RECALL_DEFAULTS = DEFAULTS.recall;
+
+// 버퍼에 저장된 회상 상태
+function getRecallState(buffer) {
+  if (!buffer.recall) {
+    buffer.recall = { injected: {}, count: 0, last_at: null };
+  }
+  return buffer.recall;
+}
+
+// 주입한 세션 기록
+function markRecalled(buffer, docIds, { countAsInjection = true } = {}) {
+  const state = getRecallState(buffer);
+  const now = new Date().toISOString();
+  docIds.forEach(docId => {
+    state.injected[docId] = now;
+  });
+  if (countAsInjection && docIds.length > 0) {
+    state.count++;
+    state.last_at = now;
+  }
+  return state;
+}
+
+// 빈도 제한 확인
+function isRateLimited(state, limits = RECALL_DEFAULTS, now = Date.now()) {
+  if (!state) return false;
+  if (state.count >= limits.max_per_session) return true;
+  if (state.last_at && now - new Date(state.last_at).getTime() < limits.cooldown_seconds * 1000) return true;
+  return false;
+}
+
+// 프롬프트와 관련된 세션 선택
+// options.sessionId: 현재 세션 ID (이번 세션에서 저장된 기록은 이미 대화 맥락에 있으므로 제외)
+// options.limits: config의 recall 항목
+// 나머지 options는 calculateRelevanceScores로 전달 (index, ranker 등)
+function selectRecallCandidates(prompt, sessions, state, options = {}) {
+  const limits = options.limits || RECALL_DEFAULTS;
+  if (!limits.enabled || isRateLimited(state, limits)) return [];
+  if (extractKeywords(prompt).length === 0) return [];
+
+  const candidates = sessions.filter(s => !options.sessionId || s.session_id !== options.sessionId);
+  if (candidates.length === 0) return [];
+
+  const injected = state?.injected || {};
+  return calculateRelevanceScores({ text: prompt }, candidates, options)
+    .filter(item => item.similarity >= limits.min_similarity[item.ranker])
+    .filter(item => !injected[sessionDocId(item.session)])
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limits.max_results);
+}
+
+// 주입할 컨텍스트 블록 (짧게)
+function formatRecallContext(items, prompt, summaryLength = RECALL_DEFAULTS.summary_length) {
+  if (!items || items.length === 0) return null;
+
+  // 어간/식별자 단위로 비교 (cached ↔ caching, handleUserLogin ↔ handle-user-login)
+  const terms = new Set(extractKeywords(prompt));
+  const mentions = text => !!text && extractKeywords(text).some(token => terms.has(token));
+
+  let context = `# 🧠 ${t('recall.title')} (claude-simple-memory)\n\n`;
+  items.forEach(({ session, similarity }) => {
+    context += `- **${formatShortDate(session.date)} · ${session.project}** \`${getSessionId(session)}\` (${t('recall.similarity', { percent: (similarity * 100).toFixed(0) })}): ${truncate(session.summary, summaryLength)}\n`;
+
+    // 프롬프트와 겹치는 대화/작업만 짧게
+    const convs = (session.conversations || []).filter(c => mentions(c.message)).slice(0, 2);
+    convs.forEach(c => {
+      context += `  - 💬 "${truncate(c.message, 120)}"\n`;
+    });
+    const obs = (session.observations || []).filter(o => mentions(o.summary)).slice(0, 2);
+    obs.forEach(o => {
+      context += `  - ${truncate(o.summary, 120)}\n`;
+    });
+  });
+
+  return context;
+}
+
+module.exports = {
+  RECALL_DEFAULTS,
+  getRecallState,
+  markRecalled,
+  isRateLimited,
+  selectRecallCandidates,
+  formatRecallContext
+};
@@ -0,0 +1,178 @@
+/**
+ * search-index.js
+ * 세션 역색인 - 저장 시 한 번만 토큰화해서 TF/DF를 디스크에 보관
+ *
+ * SessionStart마다 모든 프로젝트의 모든 세션을 다시 토큰화하지 않도록
+ * ~/.claude-simple-memory/index.json 에 다음을 저장함
+ * - terms: 단어 → { 문서 ID: 출현 횟수 }
+ * - df:    단어 → 등장한 문서 수
+ * - docs:  문서 ID → { project_id, date, length }
+ * - tokenizer: 색인할 때의 토큰화 방식 (tokenizer 설정이 바뀌면 재생성)
+ */
+
+const path = require('path');
+const { DATA_DIR, readJSON, updateJSON, loadAllProjects } = require('./storage');
+const { extractSessionKeywords, countTerms, sessionDocId } = require('./utils');
+const { tokenizerSignature } = require('./tokenizer');
+
+// 설정
+const INDEX_FILE = path.join(DATA_DIR, 'index.json');
+const INDEX_VERSION = 8; // 토큰화 방식이 바뀌면 올려서 재생성 유도
+
+function emptyIndex() {
+  return {
+    version: INDEX_VERSION,
+    tokenizer: tokenizerSignature(),
+    updated_at: new Date().toISOString(),
+    docs: {},
+    terms: {},
+    df: {}
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 문서 추가/제거
+// ═══════════════════════════════════════════════════════════════
+
+function addDoc(index, projectId, session) {
+  const docId = sessionDocId({ ...session, project_id: projectId });
+  if (index.docs[docId]) removeDoc(index, docId);
+
+  const counts = countTerms(extractSessionKeywords(session));
+  let length = 0;
+  Object.entries(counts).forEach(([term, count]) => {
+    if (!index.terms[term]) index.terms[term] = {};
+    index.terms[term][docId] = count;
+    index.df[term] = (index.df[term] || 0) + 1;
+    length += count;
+  });
+
+  index.docs[docId] = { project_id: projectId, date: session.date, length };
+  return docId;
+}
+
+function removeDoc(index, docId) {
+  if (!index.docs[docId]) return false;
+
+  Object.keys(index.terms).forEach(term => {
+    const postings = index.terms[term];
+    if (postings[docId] === undefined) return;
+
+    delete postings[docId];
+    index.df[term] = (index.df[term] || 1) - 1;
+    if (index.df[term] <= 0) {
+      delete index.terms[term];
+      delete index.df[term];
+    }
+  });
+
+  delete index.docs[docId];
+  return true;
+}
+
+// 프로젝트의 현재 세션 목록에 맞춰 인덱스 동기화 (추가된 세션 색인, 사라진 세션 제거)
+// reindex: 내용이 바뀐 세션이 있으면 이미 색인된 세션도 다시 색인
+function syncProjectDocs(index, projectId, sessions, { reindex = false } = {}) {
+  const current = new Set();
+  let added = 0;
+  let removed = 0;
+
+  sessions.forEach(session => {
+    const docId = sessionDocId({ ...session, project_id: projectId });
+    current.add(docId);
+    if (reindex || !index.docs[docId]) {
+      addDoc(index, projectId, session);
+      added++;
+    }
+  });
+
+  Object.entries(index.docs).forEach(([docId, doc]) => {
+    if (doc.project_id === projectId && !current.has(docId)) {
+      removeDoc(index, docId);
+      removed++;
+    }
+  });
+
+  return { added, removed };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 로드/저장
+// ═══════════════════════════════════════════════════════════════
+
+// 메모리 파일 전체로부터 인덱스 생성
+function buildIndex() {
+  const index = emptyIndex();
+  loadAllProjects().forEach(memories => {
+    const projectId = memories.project_id || memories.project;
+    memories.sessions.forEach(session => addDoc(index, projectId, session));
+  });
+  return index;
+}
+
+// 인덱스 재생성 후 저장
+function rebuildIndex() {
+  return updateJSON(INDEX_FILE, null, () => buildIndex());
+}
+
+// 현재 버전/토큰화 방식으로 만든 인덱스인지
+function isCurrentIndex(index) {
+  return !!index && index.version === INDEX_VERSION && index.tokenizer === tokenizerSignature() &&
+    !!index.terms && !!index.docs && !!index.df;
+}
+
+// 저장된 인덱스 로드 (없거나 버전/토큰화 방식이 다르면 null)
+function loadIndex() {
+  const index = readJSON(INDEX_FILE, null);
+  return isCurrentIndex(index) ? index : null;
+}
+
+// 인덱스 로드, 없거나 주어진 세션 중 색인되지 않은 것이 있으면 재생성
+// (메모리 파일을 직접 수정한 경우 등)
+function getIndex(sessions) {
+  const index = loadIndex();
+  if (!index) return rebuildIndex();
+  if (sessions && sessions.some(s => !index.docs[sessionDocId(s)])) {
+    return rebuildIndex();
+  }
+  return index;
+}
+
+// 프로젝트 하나의 세션 변경 사항을 인덱스에 반영 (잠금 보호)
+// options.reindex: 세션 내용이 바뀐 경우 (syncProjectDocs 참고)
+// options.purgeBackup: 삭제 후 갱신할 때 이전 색인어가 .bak에 남지 않도록
+function updateProjectIndex(projectId, sessions, options = {}) {
+  let result;
+  // 인덱스 파일이 아직 없으면 메모리 파일 전체로부터 생성
+  updateJSON(INDEX_FILE, buildIndex, index => {
+    const base = isCurrentIndex(index) ? index : buildIndex();
+    result = syncProjectDocs(base, projectId, sessions, options);
+    base.updated_at = new Date().toISOString();
+    return base;
+  }, options);
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 조회
+// ═══════════════════════════════════════════════════════════════
+
+// 부분 문자열로 일치하는 색인어 목록 (예: "auth" → auth, oauth, authentication)
+function findTerms(index, query) {
+  const lower = String(query).toLowerCase();
+  return Object.keys(index.terms).filter(term => term.includes(lower));
+}
+
+module.exports = {
+  INDEX_FILE,
+  INDEX_VERSION,
+  addDoc,
+  removeDoc,
+  syncProjectDocs,
+  buildIndex,
+  rebuildIndex,
+  loadIndex,
+  getIndex,
+  updateProjectIndex,
+  findTerms
+};
@@ -0,0 +1,450 @@
+/**
+ * search-query.js
+ * /mem-search 질의 - 여러 검색어(AND), OR, 제외, 따옴표 구문, 필드 조건, 오타 허용
+ *
+ * 예시:
+ *   jwt refresh                   두 단어가 모두 들어간 세션
+ *   jwt OR oauth                  둘 중 하나 (| 도 가능)
+ *   cache -redis / NOT redis      redis가 들어간 세션 제외
+ *   "token expiry"                구문 그대로
+ *   project:api file:auth.ts cmd:"npm test" tool:Edit type:question
+ *   after:2024-01-01 before:7d    날짜 (YYYY-MM-DD 또는 N일 전: 7d)
+ *   decisions:jwt tags:perf       구조화 요약 필드
+ *
+ * 알 수 없는 필드(예: "error:")는 일반 검색어로 취급
+ * 결과 표시용으로 검색어 강조, 문맥 조각(KWIC), 매칭된 필드 목록도 만듦
+ */
+
+const { extractKeywords, sessionDocId, parseLocalDate } = require('./utils');
+const { findTerms } = require('./search-index');
+const { getDigestField, digestSearchText } = require('./structured-summary');
+
+// 구조화 요약 필드 (--field 와 같은 목록)
+const DIGEST_QUERY_FIELDS = ['topic', 'decisions', 'problems', 'follow_ups', 'tags', 'files_changed', 'open_issues'];
+const QUERY_FIELDS = ['project', 'file', 'cmd', 'tool', 'type', 'before', 'after', ...DIGEST_QUERY_FIELDS];
+
+// ═══════════════════════════════════════════════════════════════
+// 파싱
+// ═══════════════════════════════════════════════════════════════
+
+// -제외? 필드:? "구문" 또는 단어
+const QUERY_TOKEN = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+
+// 질의 문자열 → { clauses, errors }
+// clauses: 절끼리 AND, 절 하나는 OR로 묶인 조건들 [{ field, value, phrase, negate }]
+function parseQuery(input) {
+  const clauses = [];
+  const errors = [];
+  let joinNext = false; // 직전 토큰이 OR
+  let negateNext = false; // 직전 토큰이 NOT
+
+  for (const match of String(input).matchAll(QUERY_TOKEN)) {
+    const [raw, minus, fieldName, quoted, word] = match;
+    if (!raw.trim()) continue;
+    // 혼자 있는 "-" (제외할 대상 없음)
+    if (!fieldName && quoted === undefined && /^-+$/.test(raw)) continue;
+
+    // 연산자 (따옴표 없는 대문자 단어만)
+    if (!minus && !fieldName && quoted === undefined) {
+      if (word === 'OR' || word === '|') {
+        joinNext = clauses.length > 0;
+        continue;
+      }
+      if (word === 'AND') continue;
+      if (word === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    let field = fieldName ? fieldName.toLowerCase() : null;
+    let value = quoted !== undefined ? quoted : word;
+    if (field && !QUERY_FIELDS.includes(field)) {
+      // 알 수 없는 필드는 필드 이름까지 검색어로
+      value = `${fieldName}:${value}`;
+      field = null;
+    }
+    if (!value || !value.trim()) continue;
+
+    const term = { field, value: value.trim(), phrase: quoted !== undefined && !field, negate: !!minus || negateNext };
+    if (field === 'before' || field === 'after') {
+      term.date = parseQueryDate(term.value, field === 'before');
+      if (!term.date) errors.push(term.value);
+    }
+
+    if (joinNext) {
+      clauses[clauses.length - 1].push(term);
+    } else {
+      clauses.push([term]);
+    }
+    joinNext = false;
+    negateNext = false;
+  }
+
+  return { clauses, errors };
+}
+
+// YYYY-MM-DD (before는 그날 끝까지) 또는 Nd (N일 전) - 잘못된 날짜는 null (errors에 기록됨)
+function parseQueryDate(value, endOfDay) {
+  const relative = value.match(/^(\d+)d$/i);
+  if (relative) return new Date(Date.now() - Number(relative[1]) * 24 * 60 * 60 * 1000);
+  return parseLocalDate(value, endOfDay) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 오타 허용
+// ═══════════════════════════════════════════════════════════════
+
+// 편집 거리 (삽입, 삭제, 교체, 인접 문자 바꿈) - max를 넘으면 max + 1
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 허용할 오타 수 (짧은 단어는 오타를 허용하면 엉뚱한 단어와 일치)
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// 검색어와 비슷한 색인어 (부분 일치는 findTerms가 처리)
+function findFuzzyTerms(index, term) {
+  const max = allowedTypos(term);
+  if (max === 0) return [];
+  return Object.keys(index.terms).filter(candidate => editDistance(term, candidate, max) <= max);
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 평가
+// ═══════════════════════════════════════════════════════════════
+
+const lower = value => String(value || '').toLowerCase();
+
+// 원문 포함 또는 토큰화한 원문의 색인어에 포함 (어간, 합친 식별자)
+function containsTerm(text, term) {
+  if (!text) return false;
+  return lower(text).includes(term) || extractKeywords(text).some(token => token.includes(term));
+}
+
+// 구문 검색용 세션 원문 (공백은 하나로)
+function sessionText(session) {
+  const parts = [session.summary, digestSearchText(session.digest)];
+  (session.conversations || []).forEach(c => parts.push(c.message));
+  (session.observations || []).forEach(o => {
+    parts.push(o.summary, o.details?.command, o.context?.lastUserMessage);
+  });
+  return lower(parts.filter(Boolean).join('\n')).replace(/\s+/g, ' ');
+}
+
+// 필드 조건 하나가 관찰/대화 하나에 맞는지 (결과에서 해당 항목을 보여줄 때도 사용)
+function observationMatchesField(obs, term) {
+  const value = lower(term.value);
+  if (term.field === 'file') return lower(obs.details?.file).includes(value);
+  if (term.field === 'cmd') return lower(obs.details?.command).includes(value);
+  if (term.field === 'tool') return lower(obs.tool) === value || lower(obs.tool).includes(value);
+  return false;
+}
+
+function conversationMatchesField(conv, term) {
+  return term.field === 'type' && lower(conv.type) === lower(term.value);
+}
+
+// 질의 하나를 세션 목록에 적용할 준비 (검색어별 문서 집합을 미리 계산)
+// options.field: --field 로 지정한 digest 필드 (필드 없는 검색어를 그 필드에서만 찾음)
+function compileQuery(parsed, index, options = {}) {
+  const compiled = parsed.clauses.map(clause => clause.map(term => {
+    if (term.field || term.phrase || options.field) return { ...term, keywords: keywordsOf(term.value) };
+
+    // 일반 검색어: 색인어별로 부분 일치 + 오타 허용 (제외 조건은 오타 허용 안 함)
+    const keywords = keywordsOf(term.value);
+    const expansions = {};
+    let docs = null;
+    keywords.forEach(keyword => {
+      const matched = new Set(findTerms(index, keyword));
+      if (!term.negate) findFuzzyTerms(index, keyword).forEach(indexTerm => matched.add(indexTerm));
+      expansions[keyword] = [...matched];
+
+      const keywordDocs = new Set();
+      matched.forEach(indexTerm => Object.keys(index.terms[indexTerm]).forEach(docId => keywordDocs.add(docId)));
+      docs = docs === null ? keywordDocs : new Set([...docs].filter(docId => keywordDocs.has(docId)));
+    });
+    return { ...term, keywords, expansions, docs: docs || new Set() };
+  }));
+
+  return { clauses: compiled, field: options.field };
+}
+
+// 검색어 → 색인어 (불용어뿐이면 원문 그대로 부분 일치)
+function keywordsOf(value) {
+  const keywords = extractKeywords(value);
+  return keywords.length > 0 ? keywords : [lower(value)];
+}
+
+function termMatches(session, term, query) {
+  if (term.field === 'project') {
+    return lower(session.project).includes(lower(term.value)) || lower(session.project_id).startsWith(lower(term.value));
+  }
+  if (term.field === 'before') return new Date(session.date) <= term.date;
+  if (term.field === 'after') return new Date(session.date) >= term.date;
+  if (term.field === 'file') {
+    return (session.observations || []).some(o => observationMatchesField(o, term)) ||
+      [].concat(getDigestField(session.digest, 'files_changed') || []).some(f => lower(f).includes(lower(term.value)));
+  }
+  if (term.field === 'cmd' || term.field === 'tool') {
+    return (session.observations || []).some(o => observationMatchesField(o, term));
+  }
+  if (term.field === 'type') {
+    return (session.conversations || []).some(c => conversationMatchesField(c, term));
+  }
+
+  // digest 필드 (필드 조건 또는 --field)
+  const digestField = term.field || query.field;
+  if (digestField) {
+    const text = [].concat(getDigestField(session.digest, digestField) || []).join('\n');
+    return term.phrase ? lower(text).includes(lower(term.value)) : term.keywords.every(k => containsTerm(text, k));
+  }
+
+  if (term.phrase) return sessionText(session).includes(lower(term.value).replace(/\s+/g, ' '));
+  return term.docs.has(sessionDocId(session));
+}
+
+// 모든 절을 만족하는지 (절 안에서는 하나만 맞으면 됨)
+function matchesQuery(session, query) {
+  return query.clauses.every(clause => clause.some(term => {
+    const matched = termMatches(session, term, query);
+    return term.negate ? !matched : matched;
+  }));
+}
+
+// 관련성 순위에 쓸 색인어 (제외하지 않은 일반 검색어와 그 부분 일치/오타 보정 결과)
+// 한 검색어가 너무 많은 색인어로 퍼지지 않도록 검색어당 MAX_EXPANSIONS개까지
+const MAX_EXPANSIONS = 20;
+
+function rankingKeywords(query) {
+  const keywords = [];
+  query.clauses.forEach(clause => clause.forEach(term => {
+    if (term.negate || (term.field && !DIGEST_QUERY_FIELDS.includes(term.field))) return;
+    if (!term.expansions) {
+      keywords.push(...term.keywords);
+      return;
+    }
+    Object.entries(term.expansions).forEach(([keyword, matched]) => {
+      keywords.push(...(matched.length > 0 ? matched.slice(0, MAX_EXPANSIONS) : [keyword]));
+    });
+  }));
+  return keywords;
+}
+
+// 결과에서 강조할 것들: 일반 검색어(오타 보정 포함), 구문, 관찰/대화 필드 조건
+function highlightTerms(query) {
+  const words = new Set();
+  const phrases = [];
+  const fields = [];
+  query.clauses.forEach(clause => clause.forEach(term => {
+    if (term.negate) return;
+    if (term.phrase) {
+      phrases.push(lower(term.value));
+    } else if (['file', 'cmd', 'tool', 'type'].includes(term.field)) {
+      fields.push(term);
+    } else if (!term.field || DIGEST_QUERY_FIELDS.includes(term.field)) {
+      term.keywords.forEach(keyword => words.add(keyword));
+      Object.values(term.expansions || {}).forEach(matched => {
+        matched.slice(0, MAX_EXPANSIONS).forEach(indexTerm => words.add(indexTerm));
+      });
+    }
+  }));
+  return { words: [...words], phrases, fields };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 결과 표시 - 강조, 문맥 조각(KWIC), 매칭된 필드
+// ═══════════════════════════════════════════════════════════════
+
+const WORD = /[\w가-힣][\w가-힣.-]*/g;
+
+// 텍스트에서 강조할 구간 [start, end] (겹치면 합침)
+// 단어 단위로 비교해서 어간/합친 식별자로 맞은 단어도 찾음 ("caching" ← cach, "인증에서" ← 인증)
+function findHighlightRanges(text, highlight) {
+  const ranges = [];
+  const lowerText = text.toLowerCase();
+
+  if (highlight.words.length > 0) {
+    for (const match of text.matchAll(WORD)) {
+      const word = match[0].toLowerCase();
+      const hit = highlight.words.some(term => word.includes(term)) ||
+        extractKeywords(match[0]).some(token => highlight.words.some(term => token.includes(term)));
+      if (hit) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // 구문과 file:/cmd: 값은 그대로 찾음
+  const literals = [...highlight.phrases, ...highlight.fields
+    .filter(term => term.field === 'file' || term.field === 'cmd')
+    .map(term => lower(term.value))];
+  literals.filter(Boolean).forEach(literal => {
+    let from = lowerText.indexOf(literal);
+    while (from !== -1) {
+      ranges.push([from, from + literal.length]);
+      from = lowerText.indexOf(literal, from + literal.length);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+// 구간을 **굵게**
+function applyHighlights(text, ranges, offset = 0) {
+  let result = '';
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    const from = Math.max(start - offset, 0);
+    const to = Math.min(end - offset, text.length);
+    if (to <= position || from >= text.length) return;
+    result += text.slice(position, Math.max(from, position)) + `**${text.slice(Math.max(from, position), to)}**`;
+    position = to;
+  });
+  return result + text.slice(position);
+}
+
+// 첫 번째로 맞은 곳 앞뒤 radius자만 잘라서 강조 (긴 요약, 대화, 작업 내용)
+// 맞은 곳이 없으면 앞부분
+function makeSnippet(text, highlight, radius = 60) {
+  if (!text) return '';
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  const ranges = findHighlightRanges(flat, highlight);
+  if (flat.length <= radius * 2 + 20) return applyHighlights(flat, ranges);
+
+  const first = ranges[0] || [0, 0];
+  let start = Math.max(first[0] - radius, 0);
+  let end = Math.min(first[1] + radius, flat.length);
+  // 강조 구간과 단어 중간에서 자르지 않도록 넓힘
+  ranges.forEach(([s, e]) => {
+    if (s < end && e > end) end = e;
+  });
+  if (start > 0) {
+    const space = flat.lastIndexOf(' ', start);
+    start = space === -1 ? 0 : space + 1;
+  }
+  if (end < flat.length) {
+    const space = flat.indexOf(' ', end);
+    end = space === -1 ? flat.length : space;
+  }
+
+  const body = applyHighlights(flat.slice(start, end), ranges.filter(([s, e]) => e > start && s < end), start);
+  return `${start > 0 ? '…' : ''}${body}${end < flat.length ? '…' : ''}`;
+}
+
+function hasHighlight(text, highlight) {
+  return !!text && findHighlightRanges(String(text), highlight).length > 0;
+}
+
+// 세션의 어느 부분이 질의에 맞았는지 → [{ field, count }]
+// field: summary | <digest 필드> | conversations | observations | files | commands | keywords | project | date | tool | type
+function findMatchedFields(session, query, highlight = highlightTerms(query)) {
+  const found = [];
+  const add = (field, count = 1) => {
+    if (count > 0) found.push({ field, count });
+  };
+  const conversations = session.conversations || [];
+  const observations = session.observations || [];
+
+  add('summary', hasHighlight(session.summary, highlight) ? 1 : 0);
+  DIGEST_QUERY_FIELDS.forEach(field => {
+    add(field, [].concat(getDigestField(session.digest, field) || []).filter(text => hasHighlight(text, highlight)).length);
+  });
+  add('conversations', conversations.filter(c =>
+    hasHighlight(c.message, highlight) || highlight.fields.some(term => conversationMatchesField(c, term))
+  ).length);
+  add('observations', observations.filter(o =>
+    hasHighlight(o.summary, highlight) || hasHighlight(o.context?.lastUserMessage, highlight)
+  ).length);
+  add('files', observations.filter(o =>
+    hasHighlight(o.details?.file, highlight) || highlight.fields.some(term => term.field === 'file' && observationMatchesField(o, term))
+  ).length);
+  add('commands', observations.filter(o =>
+    hasHighlight(o.details?.command, highlight) || highlight.fields.some(term => term.field === 'cmd' && observationMatchesField(o, term))
+  ).length);
+  add('tool', observations.filter(o => highlight.fields.some(term => term.field === 'tool' && observationMatchesField(o, term))).length);
+
+  // 저장된 키워드 (요약이나 대화에는 없고 경로, 포맷터 키워드로만 맞은 경우)
+  const keywords = [...(session.keywords || []), ...observations.flatMap(o => o.keywords || [])];
+  add('keywords', keywords.some(k => highlight.words.some(term => lower(k).includes(term))) ? 1 : 0);
+
+  // 필드 조건
+  query.clauses.forEach(clause => clause.forEach(term => {
+    if (term.negate) return;
+    if (term.field === 'project') add('project');
+    if (term.field === 'before' || term.field === 'after') add('date');
+  }));
+  return found.filter((item, i) => found.findIndex(other => other.field === item.field) === i);
+}
+
+// --explain 용: 일반 검색어별 색인어와 오타 보정 결과 ("refersh" → refresh)
+// 부분 일치(auth → oauth)는 검색어를 포함하므로 따로 표시하지 않음
+function describeExpansions(query, limit = 3) {
+  const described = [];
+  query.clauses.forEach(clause => clause.forEach(term => {
+    if (term.negate || !term.expansions) return;
+    Object.entries(term.expansions).forEach(([keyword, matched]) => {
+      const others = matched.filter(indexTerm => !indexTerm.includes(keyword));
+      if (others.length === 0) {
+        described.push(keyword);
+      } else {
+        const more = others.length > limit ? ` +${others.length - limit}` : '';
+        described.push(`${keyword} → ${others.slice(0, limit).join(', ')}${more}`);
+      }
+    });
+  }));
+  return described;
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  DIGEST_QUERY_FIELDS,
+  parseQuery,
+  parseQueryDate,
+  editDistance,
+  allowedTypos,
+  findFuzzyTerms,
+  containsTerm,
+  compileQuery,
+  matchesQuery,
+  rankingKeywords,
+  highlightTerms,
+  observationMatchesField,
+  conversationMatchesField,
+  findHighlightRanges,
+  applyHighlights,
+  makeSnippet,
+  hasHighlight,
+  findMatchedFields,
+  describeExpansions
+};
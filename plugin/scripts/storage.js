@@ -0,0 +1,274 @@
+/**
+ * storage.js
+ * 공통 저장소 계층 - 파일 잠금, 원자적 쓰기, 백업 복구
+ *
+ * - 쓰기: 임시 파일에 기록 후 rename (중간에 죽어도 JSON이 깨지지 않음)
+ * - 백업: 덮어쓰기 전 마지막 정상본을 <file>.bak 으로 보관
+ * - 복구: JSON이 손상되면 빈 데이터로 초기화하지 않고 .bak 에서 복원
+ * - 잠금: <file>.lock 으로 read-modify-write 구간을 보호 (동시 hook 실행 대비)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createSessionId } = require('./utils');
+
+// 설정
+const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
+const MEMORIES_DIR = path.join(DATA_DIR, 'memories');
+const LOCK_TIMEOUT_MS = 5000;     // 잠금 대기 최대 시간
+const LOCK_STALE_MS = 10000;      // 이보다 오래된 잠금은 죽은 프로세스의 것으로 간주
+const LOCK_RETRY_MS = 20;         // 잠금 재시도 간격
+
+// 디렉토리 생성
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+// 동기 대기 (hook 스크립트는 모두 동기 I/O 기반)
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function resolveFallback(fallback) {
+  return typeof fallback === 'function' ? fallback() : fallback;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 파일 잠금
+// ═══════════════════════════════════════════════════════════════
+
+function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  ensureDir(path.dirname(file));
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx');
+      fs.writeSync(fd, `${process.pid} ${new Date().toISOString()}`);
+      fs.closeSync(fd);
+      return lockFile;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    // 오래된 잠금은 강제로 해제
+    try {
+      if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+        fs.unlinkSync(lockFile);
+        continue;
+      }
+    } catch (e) {
+      // 그 사이 해제되었으면 바로 재시도
+      continue;
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Lock timeout: ${lockFile}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+function releaseLock(lockFile) {
+  try {
+    fs.unlinkSync(lockFile);
+  } catch (e) {
+    // 이미 해제됨
+  }
+}
+
+// 잠금을 잡은 상태로 fn 실행
+function withLock(file, fn) {
+  const lockFile = acquireLock(file);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockFile);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+// JSON 읽기/쓰기
+// ═══════════════════════════════════════════════════════════════
+
+function tryParseFile(file) {
+  try {
+    return { ok: true, data: JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch (e) {
+    return { ok: false, error: e };
+  }
+}
+
+// 원자적 쓰기: 임시 파일 → fsync → 기존 정상본 백업 → rename
+// purgeBackup: 백업도 새 내용으로 교체 (삭제한 데이터가 .bak에 남지 않도록)
+function writeJSON(file, data, { purgeBackup = false } = {}) {
+  ensureDir(path.dirname(file));
+  const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    if (fs.existsSync(file) && tryParseFile(file).ok) {
+      fs.copyFileSync(file, `${file}.bak`);
+    }
+    fs.renameSync(tmpFile, file);
+  } catch (e) {
+    try { fs.unlinkSync(tmpFile); } catch (e2) {}
+    throw e;
+  }
+
+  if (purgeBackup) {
+    fs.copyFileSync(file, `${file}.bak`);
+  }
+}
+
+// JSON 읽기 - 손상 시 백업에서 복구, 둘 다 없으면 fallback
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return resolveFallback(fallback);
+  }
+
+  const result = tryParseFile(file);
+  if (result.ok) return result.data;
+
+  // 손상된 파일은 지우지 않고 옆으로 옮겨 보관 (수동 복구 가능하도록)
+  const corruptFile = `${file}.corrupt-${Date.now()}`;
+  try {
+    fs.renameSync(file, corruptFile);
+  } catch (e) {}
+
+  // storage.js → config.js → i18n.js 순환을 피하려고 여기서 불러옴
+  const { t } = require('./i18n');
+  const names = { file: path.basename(file), corrupt: path.basename(corruptFile) };
+  const backupFile = `${file}.bak`;
+  const backup = fs.existsSync(backupFile) ? tryParseFile(backupFile) : { ok: false };
+  if (backup.ok) {
+    console.error(`[claude-simple-memory] ${t('storage.restored_backup', names)}`);
+    try {
+      fs.copyFileSync(backupFile, file);
+    } catch (e) {}
+    return backup.data;
+  }
+
+  console.error(`[claude-simple-memory] ${t('storage.no_backup', names)}`);
+  return resolveFallback(fallback);
+}
+
+// 잠금 보호된 read-modify-write
+// mutator가 값을 반환하면 그 값을, 아니면 변경된 data를 저장
+function updateJSON(file, fallback, mutator, options) {
+  return withLock(file, () => {
+    const data = readJSON(file, fallback);
+    const result = mutator(data);
+    const next = result === undefined ? data : result;
+    writeJSON(file, next, options);
+    return next;
+  });
+}
+
+// 파일 삭제 (백업 포함)
+function removeJSON(file) {
+  return withLock(file, () => {
+    let removed = false;
+    [file, `${file}.bak`].forEach(f => {
+      try {
+        fs.unlinkSync(f);
+        removed = true;
+      } catch (e) {}
+    });
+    return removed;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 프로젝트 메모리
+// ═══════════════════════════════════════════════════════════════
+
+// 프로젝트 ID별 메모리 파일 경로
+function getMemoryFile(projectId) {
+  return path.join(MEMORIES_DIR, `${projectId}.json`);
+}
+
+function emptyMemories(projectId) {
+  return { project: projectId, project_id: projectId, sessions: [], keywords: [] };
+}
+
+// 메모리 파일 로드
+function loadMemories(projectId) {
+  return readJSON(getMemoryFile(projectId), () => emptyMemories(projectId));
+}
+
+// 메모리 파일 read-modify-write
+function updateMemories(projectId, mutator, options) {
+  return updateJSON(getMemoryFile(projectId), () => emptyMemories(projectId), mutator, options);
+}
+
+// 모든 프로젝트의 메모리 파일 로드
+function loadAllProjects() {
+  const projects = [];
+  try {
+    if (!fs.existsSync(MEMORIES_DIR)) return projects;
+
+    fs.readdirSync(MEMORIES_DIR).forEach(file => {
+      if (!file.endsWith('.json')) return;
+      const memories = readJSON(path.join(MEMORIES_DIR, file), null);
+      if (memories && memories.sessions) {
+        projects.push(memories);
+      }
+    });
+  } catch (e) {
+    // 디렉토리 읽기 에러
+  }
+  return projects;
+}
+
+// 모든 프로젝트의 세션을 project(alias), project_id 필드와 함께 평탄화
+function loadAllSessions() {
+  const allSessions = [];
+  loadAllProjects().forEach(memories => {
+    const projectId = memories.project_id || memories.project;
+    memories.sessions.forEach(session => {
+      allSessions.push({
+        ...session,
+        id: session.id || createSessionId(projectId, session.date),
+        project: memories.project,
+        project_id: projectId
+      });
+    });
+  });
+  return allSessions;
+}
+
+// 세션 ID(앞부분)로 저장된 세션 찾기
+function findSessions(idPrefix) {
+  const prefix = String(idPrefix || '').toLowerCase();
+  if (!prefix) return [];
+  return loadAllSessions().filter(s => s.id.startsWith(prefix));
+}
+
+module.exports = {
+  DATA_DIR,
+  MEMORIES_DIR,
+  ensureDir,
+  withLock,
+  readJSON,
+  writeJSON,
+  updateJSON,
+  removeJSON,
+  getMemoryFile,
+  loadMemories,
+  updateMemories,
+  loadAllProjects,
+  loadAllSessions,
+  findSessions
+};
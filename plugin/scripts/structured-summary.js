@@ -0,0 +1,231 @@
+/**
+ * structured-summary.js
+ * 구조화된 요약 - AI 응답(JSON)을 검증하고 세션의 digest 필드로 합침
+ *
+ * - JSON 그대로 → 코드 블록/앞뒤 설명 안의 JSON → 제목/목록 형식의 텍스트 순으로 해석
+ * - 로컬 요약기의 digest(작업, 결과, 미해결 오류)와 합쳐 session.digest 하나로 저장
+ * - 검색, 세션 시작 컨텍스트, 통계가 필드별로 사용 (DIGEST_FIELDS)
+ */
+
+const MAX_ITEMS = 10;
+const MAX_ITEM_LENGTH = 200;
+const MAX_SUMMARY_LENGTH = 400;
+
+// digest 필드 - 표시 이모지와 텍스트 응답에서 제목으로 인식할 이름들 (표시 이름은 i18n 카탈로그의 digest.<필드>)
+const DIGEST_FIELDS = {
+  topic: { emoji: '🎯', list: false, aliases: ['topic', '주제', '핵심 주제', 'subject'] },
+  decisions: { emoji: '🧭', list: true, aliases: ['decisions', 'decision', '결정', '결정 사항', '결정사항'] },
+  files_changed: { emoji: '📁', list: true, aliases: ['files_changed', 'files changed', 'files', '파일', '변경 파일', '변경된 파일'] },
+  problems: { emoji: '🐛', list: true, aliases: ['problems', 'problem', 'issues', '문제', '문제점', '이슈'] },
+  follow_ups: { emoji: '📌', list: true, aliases: ['follow_ups', 'follow-ups', 'follow ups', 'followups', 'todo', 'todos', 'next steps', '후속 작업', '후속작업', '할 일', '미해결'] },
+  tags: { emoji: '🏷️', list: true, aliases: ['tags', 'tag', '태그'] },
+  actions: { emoji: '🔧', list: true, aliases: [] },
+  outcomes: { emoji: '🏁', list: true, aliases: [] },
+  open_issues: { emoji: '⚠️', list: true, aliases: [] }
+};
+
+// AI에게 요청하는 필드 (summary는 digest가 아니라 session.summary로 저장)
+const AI_FIELDS = ['topic', 'decisions', 'files_changed', 'problems', 'follow_ups', 'tags'];
+
+function cleanText(value, maxLen = MAX_ITEM_LENGTH) {
+  if (value === undefined || value === null) return '';
+  const text = String(typeof value === 'object' ? JSON.stringify(value) : value).replace(/\s+/g, ' ').trim();
+  return text.length > maxLen ? text.substring(0, maxLen) + '...' : text;
+}
+
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/\n|;/) : [];
+  return Array.from(new Set(items.map(v => cleanText(v)).filter(Boolean))).slice(0, MAX_ITEMS);
+}
+
+// 태그는 "a, b" 처럼 한 줄에 여러 개가 올 수 있어 쉼표/공백으로 나눔
+function cleanTags(value) {
+  const items = [].concat(Array.isArray(value) || typeof value === 'string' ? value : [])
+    .flatMap(item => String(item).split(/[,\s]+/));
+  return cleanList(items.map(t => t.replace(/^#/, '').toLowerCase()));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 검증
+// ═══════════════════════════════════════════════════════════════
+
+// 파싱한 객체 → { summary, topic, decisions, files_changed, problems, follow_ups, tags }
+// 모르는 필드는 버리고, 형식이 맞지 않는 값은 정리하거나 비움
+function normalizeStructured(raw) {
+  const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const result = {
+    summary: cleanText(source.summary, MAX_SUMMARY_LENGTH),
+    topic: cleanText(source.topic, 120)
+  };
+  AI_FIELDS.filter(field => DIGEST_FIELDS[field].list).forEach(field => {
+    result[field] = field === 'tags' ? cleanTags(source[field]) : cleanList(source[field]);
+  });
+  return result;
+}
+
+function hasContent(structured) {
+  return !!(structured.summary || structured.topic ||
+    AI_FIELDS.some(field => Array.isArray(structured[field]) && structured[field].length > 0));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 파싱
+// ═══════════════════════════════════════════════════════════════
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// ```json ... ``` 블록 또는 처음 { 부터 마지막 } 까지
+function extractJSON(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    const parsed = tryParseJSON(fenced[1].trim());
+    if (parsed !== undefined) return parsed;
+  }
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    return tryParseJSON(text.substring(start, end + 1));
+  }
+  return undefined;
+}
+
+// 제목 줄 → 필드 이름 (예: "## 결정", "2. Decisions:", "**후속 작업**: ...")
+function matchHeading(line) {
+  const match = line.match(/^\s*(?:#{1,6}\s*|\d+[.)]\s*)?(?:\*\*)?\s*([^:*：]+?)\s*(?:\*\*)?\s*(?:[:：]\s*(.*))?$/);
+  if (!match) return null;
+  const name = match[1].toLowerCase().replace(/\s*\(.*\)$/, '').trim();
+  const field = Object.keys(DIGEST_FIELDS).find(f => DIGEST_FIELDS[f].aliases.includes(name));
+  return field ? { field, rest: (match[2] || '').trim() } : null;
+}
+
+// JSON이 아닌 응답 → 제목과 목록으로 필드 채우기
+function parseTextSummary(text) {
+  const result = {};
+  const prose = [];
+  let current = null;
+
+  text.split('\n').forEach(line => {
+    const heading = matchHeading(line);
+    if (heading) {
+      current = heading.field;
+      if (heading.rest) {
+        result[current] = DIGEST_FIELDS[current].list ? [...(result[current] || []), heading.rest] : heading.rest;
+      }
+      return;
+    }
+
+    const bullet = line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.*)$/);
+    if (current && bullet) {
+      if (DIGEST_FIELDS[current].list) {
+        result[current] = [...(result[current] || []), bullet[1]];
+      } else if (!result[current]) {
+        result[current] = bullet[1];
+      }
+      return;
+    }
+
+    if (line.trim()) {
+      if (current && !DIGEST_FIELDS[current].list && !result[current]) {
+        result[current] = line.trim();
+      } else if (!current) {
+        prose.push(line.trim());
+      }
+    } else {
+      current = null;
+    }
+  });
+
+  // 제목 밖의 문장은 summary로, 주제가 없으면 첫 문장을 주제로
+  const hasSections = Object.keys(result).length > 0;
+  const plain = hasSections ? prose.join(' ') : text.replace(/\s+/g, ' ').trim();
+  if (!result.topic && plain) {
+    result.topic = plain.split(/(?<=[.!?。])\s/)[0];
+  }
+  result.summary = plain;
+  return result;
+}
+
+// AI 응답 텍스트 → { structured, format: 'json' | 'extracted' | 'text' }
+function parseStructuredSummary(text) {
+  const trimmed = String(text || '').trim();
+
+  const direct = tryParseJSON(trimmed);
+  if (direct && typeof direct === 'object') {
+    return { structured: normalizeStructured(direct), format: 'json' };
+  }
+
+  const extracted = extractJSON(trimmed);
+  if (extracted && typeof extracted === 'object') {
+    const structured = normalizeStructured(extracted);
+    if (hasContent(structured)) return { structured, format: 'extracted' };
+  }
+
+  return { structured: normalizeStructured(parseTextSummary(trimmed)), format: 'text' };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 합치기 / 표시
+// ═══════════════════════════════════════════════════════════════
+
+// 로컬 digest + AI 구조화 요약 → session.digest
+function mergeDigest(localDigest = {}, structured = null) {
+  const digest = {
+    topic: localDigest.topic || '',
+    actions: localDigest.actions || [],
+    outcomes: localDigest.outcomes || [],
+    open_issues: localDigest.open_issues || [],
+    files_changed: localDigest.files_changed || [],
+    decisions: [],
+    problems: [],
+    follow_ups: [],
+    tags: []
+  };
+  if (!structured) return digest;
+
+  if (structured.topic) digest.topic = structured.topic;
+  ['decisions', 'problems', 'follow_ups', 'tags'].forEach(field => {
+    digest[field] = structured[field] || [];
+  });
+  digest.files_changed = Array.from(new Set([...digest.files_changed, ...(structured.files_changed || [])])).slice(0, MAX_ITEMS);
+  return digest;
+}
+
+// 구조화 요약에서 session.summary로 쓸 문장 (summary가 없으면 주제와 결정으로 구성)
+function composeSummary(structured) {
+  if (structured.summary) return structured.summary;
+  const parts = [structured.topic, ...(structured.decisions || []).slice(0, 2)].filter(Boolean);
+  return parts.join(' · ');
+}
+
+// digest 필드 값 (예전 세션의 files → files_changed)
+function getDigestField(digest, field) {
+  if (!digest) return DIGEST_FIELDS[field]?.list ? [] : '';
+  const value = field === 'files_changed' ? digest.files_changed || digest.files : digest[field];
+  if (DIGEST_FIELDS[field]?.list) return Array.isArray(value) ? value : [];
+  return value || '';
+}
+
+// 검색/색인용 digest 텍스트 (작업/결과 설명은 요약과 겹치므로 제외)
+function digestSearchText(digest) {
+  if (!digest) return '';
+  return ['topic', 'decisions', 'problems', 'follow_ups', 'tags', 'files_changed']
+    .map(field => [].concat(getDigestField(digest, field)).join(' '))
+    .join(' ');
+}
+
+module.exports = {
+  DIGEST_FIELDS,
+  AI_FIELDS,
+  normalizeStructured,
+  parseStructuredSummary,
+  mergeDigest,
+  composeSummary,
+  getDigestField,
+  digestSearchText
+};
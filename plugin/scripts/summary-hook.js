@@ -4,221 +4,67 @@
  * Stop Hook - 세션 종료 시 buffer를 요약하여 memories에 저장
  *
  * Phase 2 업그레이드: 선택적 AI 요약
- * - ANTHROPIC_API_KEY 있으면 → Claude Haiku로 고품질 요약
- * - 없으면 → 로컬 통계 요약 (기존 방식)
+ * - summary.provider 백엔드를 쓸 수 있으면 (기본: ANTHROPIC_API_KEY 있으면 Claude Haiku) → AI 요약
+ * - 없으면 → 로컬 요약 (local-summarizer.js: 작업 단위 서술형 요약)
+ * - 작업 분석 결과(digest: 주제, 한 일, 결과, 미해결 오류)는 항상 함께 저장
+ * - AI 응답은 JSON(결정, 문제, 후속 작업, 태그 등)으로 받아 digest에 합침 (structured-summary.js)
+ *
+ * 저장 전에 버퍼 내용과 요약을 한 번 더 민감 정보 검사 (이전 버전이 남긴 버퍼 대비)
  */
 
 const fs = require('fs');
-const path = require('path');
-const os = require('os');
-const { extractKeywords, extractPathKeywords } = require('./utils');
-
-// 설정
-const DATA_DIR = path.join(os.homedir(), '.claude-simple-memory');
-const BUFFER_FILE = path.join(DATA_DIR, 'buffer.json');
-const MEMORIES_DIR = path.join(DATA_DIR, 'memories');
-
-// AI 요약 설정
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const SUMMARY_MODEL = 'claude-3-5-haiku-20241022'; // 빠르고 저렴한 모델
-const MAX_TOKENS = 300;
-
-// 디렉토리 생성
-function ensureDir(dir) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
-// 버퍼 파일 로드
-function loadBuffer() {
-  try {
-    if (fs.existsSync(BUFFER_FILE)) {
-      return JSON.parse(fs.readFileSync(BUFFER_FILE, 'utf-8'));
-    }
-  } catch (e) {}
-  return { observations: [], conversations: [], session_start: null };
-}
-
-// 버퍼 파일 초기화
-function clearBuffer() {
-  const emptyBuffer = {
-    observations: [],
-    conversations: [],
-    session_start: new Date().toISOString()
-  };
-  fs.writeFileSync(BUFFER_FILE, JSON.stringify(emptyBuffer, null, 2), 'utf-8');
-}
-
-// 메모리 파일 로드
-function loadMemories(project) {
-  const memoryFile = path.join(MEMORIES_DIR, `${project}.json`);
-  try {
-    if (fs.existsSync(memoryFile)) {
-      return JSON.parse(fs.readFileSync(memoryFile, 'utf-8'));
-    }
-  } catch (e) {}
-  return { project, sessions: [], keywords: [] };
-}
-
-// 메모리 파일 저장
-function saveMemories(project, memories) {
-  ensureDir(MEMORIES_DIR);
-  const memoryFile = path.join(MEMORIES_DIR, `${project}.json`);
-  fs.writeFileSync(memoryFile, JSON.stringify(memories, null, 2), 'utf-8');
-}
-
-// ═══════════════════════════════════════════════════════════════
-// AI 요약 (Phase 2)
-// ═══════════════════════════════════════════════════════════════
-
-async function generateAISummary(observations, conversations, project) {
-  if (!ANTHROPIC_API_KEY) {
-    return null; // API 키 없으면 null 반환 → 로컬 요약 사용
-  }
-
-  try {
-    // 대화 내용 포함
-    const conversationText = (conversations || [])
-      .map(c => `- [${c.type}] "${c.message}"`)
-      .join('\n');
-
-    const observationText = (observations || [])
-      .map(o => {
-        let line = `- [${o.tool}] ${o.summary}`;
-        if (o.context?.lastUserMessage) {
-          line += `\n  사용자 요청: "${o.context.lastUserMessage}"`;
-        }
-        return line;
-      })
-      .join('\n');
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: SUMMARY_MODEL,
-        max_tokens: MAX_TOKENS,
-        messages: [{
-          role: 'user',
-          content: `당신은 개발 세션 요약 전문가입니다.
-
-프로젝트: ${project}
-
-이번 세션의 대화 내용:
-${conversationText || '(대화 없음)'}
-
-이번 세션에서 수행한 작업들:
-${observationText || '(작업 없음)'}
-
-위 대화와 작업을 분석하여 다음 형식으로 요약해주세요:
-1. 핵심 주제 (1-2문장): 이번 세션에서 주로 무엇을 논의/작업했는지
-2. 주요 질문과 답변: 사용자가 물어본 중요한 질문들
-3. 변경/완료된 사항: 작업한 내용이 있다면
-
-간결하고 명확하게 한국어로 답변하세요. 250자 이내로 요약하세요.`
-        }]
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.content[0].text.trim();
-
-  } catch (error) {
-    console.error('AI Summary error:', error.message);
-    return null; // 에러 시 null → 로컬 요약 fallback
-  }
-}
+const { extractKeywords, extractPathKeywords, createSessionId } = require('./utils');
+const { loadBuffer, clearBuffer, gcBuffers, trimObservations } = require('./buffer');
+const { updateMemories } = require('./storage');
+const { resolveProject, migrateLegacyMemories, applyIdentity } = require('./project');
+const { updateProjectIndex } = require('./search-index');
+const { createRedactor, mergeRedactionCounts, hasRedactions } = require('./redact');
+const { getConfig } = require('./config');
+const { getGitContext, getHeadCommit } = require('./git');
+const { summarizeSession } = require('./local-summarizer');
+const { requestSummary } = require('./summary-providers');
+const { t, setLocale } = require('./i18n');
+const { parseStructuredSummary, mergeDigest, composeSummary, digestSearchText } = require('./structured-summary');
 
 // ═══════════════════════════════════════════════════════════════
-// 로컬 요약 (Fallback)
+// AI 요약 (Phase 2) - 백엔드와 재시도는 summary-providers.js
 // ═══════════════════════════════════════════════════════════════
 
-function generateLocalSummary(observations, conversations) {
-  const toolCounts = {};
-  const files = new Set();
-  const commands = [];
-  const questions = [];
-  let hasError = false;
-
-  // 대화에서 질문 추출
-  (conversations || []).forEach(c => {
-    if (c.type === 'question') {
-      questions.push(c.message.substring(0, 50));
-    }
-  });
-
-  (observations || []).forEach(o => {
-    // 도구별 카운트
-    toolCounts[o.tool] = (toolCounts[o.tool] || 0) + 1;
-
-    // 파일 수집
-    if (o.details?.file) {
-      files.add(path.basename(o.details.file));
-    }
-
-    // 주요 명령어 수집
-    if (o.tool === 'Bash' && o.details?.command) {
-      const cmd = o.details.command.split(' ')[0];
-      if (['git', 'npm', 'yarn', 'pip', 'docker'].includes(cmd)) {
-        commands.push(o.details.command.substring(0, 30));
+async function generateAISummary(observations, conversations, project, settings) {
+  // 대화 내용 포함
+  const conversationText = (conversations || [])
+    .map(c => `- [${c.type}] "${c.message}"`)
+    .join('\n');
+
+  const observationText = (observations || [])
+    .map(o => {
+      let line = `- [${o.tool}] ${o.summary}`;
+      if (o.context?.lastUserMessage) {
+        line += `\n  ${t('summary.user_request')}: "${o.context.lastUserMessage}"`;
       }
-    }
-
-    // 에러 여부
-    if (o.details?.success === false) {
-      hasError = true;
-    }
-  });
-
-  // 요약 생성
-  const toolSummary = Object.entries(toolCounts)
-    .map(([tool, count]) => `${tool}(${count})`)
-    .join(', ');
-
-  const fileList = Array.from(files).slice(0, 5).join(', ');
-  const moreFiles = files.size > 5 ? ` 외 ${files.size - 5}개` : '';
-
-  let summary = `작업: ${toolSummary}`;
-
-  if (fileList) {
-    summary += ` | 파일: ${fileList}${moreFiles}`;
-  }
-
-  if (commands.length > 0) {
-    summary += ` | 명령: ${commands.slice(0, 2).join(', ')}`;
-  }
-
-  if (hasError) {
-    summary += ' | ⚠️ 일부 에러 발생';
-  }
-
-  // 질문이 있으면 추가
-  if (questions.length > 0) {
-    summary += ` | 💬 질문: "${questions[0]}"`;
-    if (questions.length > 1) {
-      summary += ` 외 ${questions.length - 1}개`;
-    }
-  }
-
-  return summary;
+      return line;
+    })
+    .join('\n');
+
+  // 백엔드를 쓸 수 없거나 실패하면 null → 로컬 요약 사용
+  return requestSummary({
+    project,
+    conversations: conversationText || t('summary.no_conversations'),
+    observations: observationText || t('summary.no_observations')
+  }, settings);
 }
 
 // ═══════════════════════════════════════════════════════════════
 // 키워드 추출 (검색용)
 // ═══════════════════════════════════════════════════════════════
 
-function extractSessionKeywords(observations, conversations) {
+function extractSessionKeywords(observations, conversations, digest, maxKeywords) {
   const keywords = new Set();
 
+  // 구조화 요약의 태그와 주제, 결정, 후속 작업에서 키워드 추출
+  (digest?.tags || []).forEach(k => keywords.add(k));
+  extractKeywords(digestSearchText(digest)).forEach(k => keywords.add(k));
+
   // 대화에서 키워드 추출
   (conversations || []).forEach(c => {
     extractKeywords(c.message).forEach(k => keywords.add(k));
@@ -237,9 +83,30 @@ function extractSessionKeywords(observations, conversations) {
     if (o.details?.command) {
       extractKeywords(o.details.command).forEach(k => keywords.add(k));
     }
+
+    // 포맷터가 지정한 키워드
+    (o.keywords || []).forEach(k => keywords.add(k));
   });
 
-  return Array.from(keywords).slice(0, 50); // 최대 50개
+  return Array.from(keywords).slice(0, maxKeywords); // 기본 최대 50개
+}
+
+// ═══════════════════════════════════════════════════════════════
+// git 상태 (세션 상세 보기용)
+// ═══════════════════════════════════════════════════════════════
+
+// 저장 시점의 브랜치, 커밋, 변경 파일 - git 저장소가 아니면 undefined
+function captureGitState(cwd) {
+  const gitContext = getGitContext(cwd);
+  if (!gitContext) return undefined;
+
+  return {
+    branch: gitContext.branch,
+    commit: getHeadCommit(gitContext.root),
+    staged_files: gitContext.stagedFiles,
+    modified_files: gitContext.modifiedFiles,
+    untracked_files: gitContext.untrackedFiles
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -252,8 +119,15 @@ async function main() {
     const input = fs.readFileSync(0, 'utf-8');
     const hookData = JSON.parse(input);
 
-    const project = path.basename(hookData.cwd || process.cwd());
-    const buffer = loadBuffer();
+    const cwd = hookData.cwd || process.cwd();
+    const identity = resolveProject(cwd);
+    const config = getConfig(cwd);
+    setLocale(config.ui.locale);
+    const buffer = loadBuffer(hookData.session_id, cwd);
+    const { redactText, redactValue } = createRedactor(config.redaction);
+
+    // 오래 방치된 다른 세션의 버퍼 정리
+    gcBuffers(config.buffer.ttl_days * 24 * 60 * 60 * 1000);
 
     // 관찰도 대화도 없으면 종료
     const hasObservations = buffer.observations && buffer.observations.length > 0;
@@ -264,53 +138,101 @@ async function main() {
       process.exit(0);
     }
 
+    // 민감 정보 제거 - AI 요약 API로 보내기 전에 처리
+    const redactions = {};
+    buffer.observations = redactValue(buffer.observations || [], redactions).value;
+    buffer.conversations = redactValue(buffer.conversations || [], redactions).value;
+
+    // 작업 단위 분석 (주제, 한 일, 결과, 미해결 오류) - AI 요약과 관계없이 항상 저장
+    const local = summarizeSession(buffer.observations, buffer.conversations, {
+      taskGapMinutes: config.summary.task_gap_minutes
+    });
+
     // 요약 생성 (AI 우선, 실패 시 로컬)
-    let summary;
-    let summaryType;
+    let summary = local.summary;
+    let summaryType = 'local';
+    let summaryFormat;
+    let digest = mergeDigest(local.digest);
 
-    const aiSummary = await generateAISummary(buffer.observations, buffer.conversations, project);
+    const aiSummary = await generateAISummary(buffer.observations, buffer.conversations, identity.alias, config.summary);
     if (aiSummary) {
-      summary = aiSummary;
+      // JSON이 아니면 코드 블록 속 JSON → 제목/목록 텍스트 순으로 해석
+      const parsed = parseStructuredSummary(redactText(aiSummary, redactions).text);
+      summary = composeSummary(parsed.structured) || local.summary;
       summaryType = 'ai';
-    } else {
-      summary = generateLocalSummary(buffer.observations, buffer.conversations);
-      summaryType = 'local';
+      summaryFormat = parsed.format;
+      digest = mergeDigest(local.digest, parsed.structured);
     }
 
+    // 세션 전체에서 가린 항목 수 (항목별 기록 + 이번 검사에서 추가로 가린 것)
+    [...buffer.observations, ...buffer.conversations]
+      .forEach(item => mergeRedactionCounts(redactions, item.redacted));
+
     // 키워드 추출 (검색용) - 대화 내용 포함
-    const keywords = extractSessionKeywords(buffer.observations, buffer.conversations);
+    const keywords = extractSessionKeywords(buffer.observations, buffer.conversations, digest, config.storage.keywords_per_session);
+
+    // basename 기반의 기존 메모리 파일이 있으면 먼저 이전
+    migrateLegacyMemories(identity, cwd);
+
+    // 메모리에 세션 저장 (잠금 보호된 read-modify-write)
+    const { storage } = config;
+    const gitState = captureGitState(cwd);
+    const date = new Date().toISOString();
+    const sessionId = createSessionId(identity.id, date);
+    const saved = updateMemories(identity.id, memories => {
+      applyIdentity(memories, identity);
+      memories.sessions.push({
+        id: sessionId,
+        date: date,
+        session_id: buffer.session_id,
+        summary: summary,
+        summary_type: summaryType,
+        summary_format: summaryFormat, // AI 응답 형식: json | extracted | text
+        digest: digest,
+        observation_count: buffer.observations?.length || 0,
+        conversation_count: buffer.conversations?.length || 0,
+        keywords: keywords,
+        observations: trimObservations(buffer.observations || [], storage.observations_per_session), // 최근 관찰만 상세 저장 (기본 20개, 가벼운 관찰부터 제외)
+        conversations: (buffer.conversations || []).slice(-storage.conversations_per_session), // 대화 최근 30개 저장 (기본값)
+        redacted: hasRedactions(redactions) ? redactions : undefined, // 가린 민감 정보 종류별 개수
+        git: gitState
+      });
+
+      // 이전 버전에서 저장된 세션에도 ID 기록
+      memories.sessions.forEach(s => {
+        if (!s.id) s.id = createSessionId(identity.id, s.date);
+      });
+
+      // 최대 세션 수만 유지 (기본 50개) - 고정된 세션은 한도와 관계없이 보존
+      const unpinned = memories.sessions.filter(s => !s.pinned);
+      if (unpinned.length > storage.max_sessions_per_project) {
+        const dropped = new Set(unpinned.slice(0, unpinned.length - storage.max_sessions_per_project));
+        memories.sessions = memories.sessions.filter(s => !dropped.has(s));
+      }
 
-    // 메모리에 세션 저장
-    const memories = loadMemories(project);
-    memories.sessions.push({
-      date: new Date().toISOString(),
-      summary: summary,
-      summary_type: summaryType,
-      observation_count: buffer.observations?.length || 0,
-      conversation_count: buffer.conversations?.length || 0,
-      keywords: keywords,
-      observations: (buffer.observations || []).slice(-20), // 최근 20개만 상세 저장
-      conversations: (buffer.conversations || []).slice(-30) // 대화 최근 30개 저장
+      // 프로젝트 전체 키워드 업데이트
+      const allKeywords = new Set(memories.keywords || []);
+      keywords.forEach(k => allKeywords.add(k));
+      memories.keywords = Array.from(allKeywords).slice(-storage.keywords_per_project); // 기본 최대 200개
     });
 
-    // 최대 50개 세션만 유지
-    if (memories.sessions.length > 50) {
-      memories.sessions = memories.sessions.slice(-50);
+    // 검색 인덱스 갱신 (새 세션 색인, 보존 한도로 밀려난 세션 제거)
+    try {
+      updateProjectIndex(identity.id, saved.sessions);
+    } catch (e) {
+      console.error('Index update error:', e.message);
     }
 
-    // 프로젝트 전체 키워드 업데이트
-    const allKeywords = new Set(memories.keywords || []);
-    keywords.forEach(k => allKeywords.add(k));
-    memories.keywords = Array.from(allKeywords).slice(-200); // 최대 200개
-
-    saveMemories(project, memories);
-
-    // 버퍼 초기화
-    clearBuffer();
+    // 요약한 항목만 버퍼에서 제거 (요약 중 들어온 관찰은 다음 Stop에서 처리)
+    const summarizedUntil = [...buffer.observations, ...buffer.conversations]
+      .map(item => item.timestamp || '')
+      .reduce((max, ts) => (ts > max ? ts : max), '');
+    clearBuffer(hookData.session_id, cwd, summarizedUntil);
 
     console.log(JSON.stringify({
       success: true,
-      message: `Saved session with ${buffer.observations.length} observations`,
+      message: `Saved session ${sessionId} with ${buffer.observations.length} observations`,
+      id: sessionId,
       summary_type: summaryType,
       summary: summary,
       keywords_count: keywords.length
@@ -0,0 +1,274 @@
+/**
+ * summary-providers.js
+ * AI 요약 백엔드 - Anthropic, OpenAI 호환 서버, 일반 HTTP 엔드포인트
+ *
+ * - 설정: config의 summary 항목 (provider, model, base_url, api_key_env, prompt_template, ...)
+ * - 시도마다 timeout_seconds, 전체는 deadline_seconds 안에서 재시도 (Stop hook 제한 60초를 넘지 않도록)
+ * - 실패하면 null → 호출한 쪽에서 로컬 요약 사용
+ * - 기본 프롬프트는 JSON 응답을 요청함 (해석과 검증은 structured-summary.js)
+ */
+
+const { DEFAULTS } = require('./config');
+const { t, getLocale } = require('./i18n');
+
+// 기본 프롬프트 (출력 언어별) - {{project}}, {{conversations}}, {{observations}} 자리에 값이 들어감
+const KO_PROMPT_TEMPLATE = `당신은 개발 세션 요약 전문가입니다.
+
+프로젝트: {{project}}
+
+이번 세션의 대화 내용:
+{{conversations}}
+
+이번 세션에서 수행한 작업들:
+{{observations}}
+
+위 대화와 작업을 분석하여 아래 JSON 형식으로만 답변하세요 (설명이나 코드 블록 없이 JSON 객체 하나):
+{
+  "summary": "이번 세션에서 무엇을 논의/작업했는지 1-2문장 (250자 이내)",
+  "topic": "핵심 주제 (짧은 구)",
+  "decisions": ["내린 결정이나 합의한 방식"],
+  "files_changed": ["변경한 파일 경로"],
+  "problems": ["마주친 문제나 오류와 그 원인"],
+  "follow_ups": ["남은 일, 다음에 이어서 할 작업"],
+  "tags": ["검색용 짧은 태그 (소문자)"]
+}
+
+해당 내용이 없는 항목은 빈 배열로 두세요. 모든 값은 간결하고 명확하게 한국어로 작성하세요 (파일 경로와 태그는 원문 그대로).`;
+
+const EN_PROMPT_TEMPLATE = `You summarize software development sessions.
+
+Project: {{project}}
+
+Conversation in this session:
+{{conversations}}
+
+Actions taken in this session:
+{{observations}}
+
+Analyze the conversation and actions above and answer with only the JSON object below (no explanation, no code fence):
+{
+  "summary": "1-2 sentences on what was discussed or done in this session (under 250 characters)",
+  "topic": "main topic (short phrase)",
+  "decisions": ["decisions made or approaches agreed on"],
+  "files_changed": ["paths of changed files"],
+  "problems": ["problems or errors encountered and their causes"],
+  "follow_ups": ["remaining work to pick up next time"],
+  "tags": ["short lowercase tags for search"]
+}
+
+Use an empty array for fields with nothing to report. Write every value concisely in English (keep file paths and tags verbatim).`;
+
+const DEFAULT_PROMPT_TEMPLATES = { ko: KO_PROMPT_TEMPLATE, en: EN_PROMPT_TEMPLATE };
+
+// 재시도할 HTTP 상태 (요청 제한, 서버 오류)
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const BACKOFF_BASE_MS = 500;
+const MIN_ATTEMPT_MS = 1000; // 남은 시간이 이보다 짧으면 더 시도하지 않음
+
+// ═══════════════════════════════════════════════════════════════
+// 백엔드
+// ═══════════════════════════════════════════════════════════════
+
+const PROVIDERS = {
+  anthropic: {
+    defaultBaseUrl: 'https://api.anthropic.com',
+    defaultKeyEnv: 'ANTHROPIC_API_KEY',
+    requiresKey: true,
+    buildRequest({ prompt, settings, apiKey, baseUrl }) {
+      return {
+        url: `${baseUrl}/v1/messages`,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: {
+          model: settings.model,
+          max_tokens: settings.max_tokens,
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    parseResponse: data => data?.content?.find?.(c => c.type === 'text')?.text
+  },
+
+  // OpenAI Chat Completions 형식 (OpenAI, vLLM, Ollama, LM Studio 등) - 키가 없으면 Authorization 생략
+  openai: {
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultKeyEnv: 'OPENAI_API_KEY',
+    requiresKey: false,
+    buildRequest({ prompt, settings, apiKey, baseUrl }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return {
+        url: `${baseUrl}/chat/completions`,
+        headers,
+        body: {
+          model: settings.model,
+          max_tokens: settings.max_tokens,
+          messages: [{ role: 'user', content: prompt }]
+        }
+      };
+    },
+    parseResponse: data => data?.choices?.[0]?.message?.content
+  },
+
+  // 일반 HTTP: base_url로 { prompt, model, max_tokens, project }를 POST
+  // 응답은 텍스트 또는 { summary | text | content | output } JSON
+  http: {
+    defaultBaseUrl: null,
+    defaultKeyEnv: null,
+    requiresKey: false,
+    buildRequest({ prompt, settings, apiKey, baseUrl, project }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return {
+        url: baseUrl,
+        headers,
+        body: { prompt, model: settings.model, max_tokens: settings.max_tokens, project }
+      };
+    },
+    parseResponse: data => (typeof data === 'string'
+      ? data
+      : data?.summary ?? data?.text ?? data?.content ?? data?.output)
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════
+// 요청
+// ═══════════════════════════════════════════════════════════════
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 재시도하지 않을 오류 (인증 실패, 잘못된 요청 등)
+class FatalRequestError extends Error {}
+
+// Retry-After 헤더 (초) → ms
+function getRetryAfterMs(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+// POST + 시도별 타임아웃 + 전체 마감 시간 안에서 재시도 → 응답 본문 (JSON이면 객체)
+async function postWithRetry(request, { timeoutMs, maxRetries, deadlineMs }) {
+  const deadline = Date.now() + deadlineMs;
+  let lastError = null;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining < MIN_ATTEMPT_MS) break;
+
+    attempts++;
+    let waitMs = BACKOFF_BASE_MS * 2 ** attempt;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Math.min(timeoutMs, remaining));
+
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal: controller.signal
+      });
+      const text = await response.text();
+
+      if (response.ok) {
+        try {
+          return JSON.parse(text);
+        } catch (e) {
+          return text;
+        }
+      }
+      if (!RETRYABLE_STATUS.has(response.status)) {
+        throw new FatalRequestError(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+      }
+      lastError = `HTTP ${response.status}`;
+      waitMs = Math.max(waitMs, getRetryAfterMs(response));
+    } catch (error) {
+      if (error instanceof FatalRequestError) throw error;
+      lastError = error.name === 'AbortError'
+        ? t('summary.error.timeout', { seconds: Math.round(Math.min(timeoutMs, remaining) / 1000) })
+        : error.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    // 다음 시도 전 대기 (마감 시간을 넘기지 않는 만큼만)
+    if (attempt < maxRetries) {
+      const left = deadline - Date.now() - MIN_ATTEMPT_MS;
+      if (left <= 0) break;
+      await sleep(Math.min(waitMs, left));
+    }
+  }
+
+  throw new Error(t('summary.error.attempts', { error: lastError || t('summary.error.deadline'), count: attempts }));
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 요약
+// ═══════════════════════════════════════════════════════════════
+
+// {{name}} 자리 채우기 (template이 비어 있으면 출력 언어의 기본 프롬프트)
+function renderPrompt(template, values) {
+  const fallback = DEFAULT_PROMPT_TEMPLATES[getLocale()] || KO_PROMPT_TEMPLATE;
+  return (template || fallback).replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    (values[name] !== undefined ? String(values[name]) : match));
+}
+
+// settings(config의 summary 항목) → 사용할 백엔드와 키, 주소 (사용할 수 없으면 { skip: 이유 })
+function resolveProvider(settings = DEFAULTS.summary) {
+  if (settings.provider === 'none') return { skip: 'provider: none' };
+
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) return { skip: t('summary.skip.unknown_provider', { provider: settings.provider }) };
+
+  const keyEnv = settings.api_key_env || provider.defaultKeyEnv;
+  const apiKey = keyEnv ? process.env[keyEnv] : undefined;
+  if (provider.requiresKey && !apiKey) return { skip: t('summary.skip.missing_key', { env: keyEnv }) };
+
+  const baseUrl = (settings.base_url || provider.defaultBaseUrl || '').replace(/\/+$/, '');
+  if (!baseUrl) return { skip: t('summary.skip.needs_base_url', { provider: settings.provider }) };
+
+  return { provider, apiKey, baseUrl };
+}
+
+// 프롬프트 값 → 요약 텍스트 (쓸 수 없거나 실패하면 null)
+async function requestSummary(values, settings = DEFAULTS.summary) {
+  const resolved = resolveProvider(settings);
+  if (resolved.skip) return null;
+
+  const prompt = renderPrompt(settings.prompt_template, values);
+  const request = resolved.provider.buildRequest({
+    prompt,
+    settings,
+    apiKey: resolved.apiKey,
+    baseUrl: resolved.baseUrl,
+    project: values.project
+  });
+
+  try {
+    const data = await postWithRetry(request, {
+      timeoutMs: settings.timeout_seconds * 1000,
+      maxRetries: settings.max_retries,
+      deadlineMs: settings.deadline_seconds * 1000
+    });
+    const text = resolved.provider.parseResponse(data);
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error(t('summary.error.empty_response'));
+    }
+    return text.trim();
+  } catch (error) {
+    console.error(`AI Summary error (${settings.provider}):`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROVIDERS,
+  renderPrompt,
+  resolveProvider,
+  postWithRetry,
+  requestSummary
+};
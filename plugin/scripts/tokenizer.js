@@ -0,0 +1,220 @@
+/**
+ * tokenizer.js
+ * 단어 → 색인어 - 코드 식별자 분리, 영어 어간 추출, 한국어 조사/어미 제거
+ *
+ * 코드 식별자는 표기 방식마다 모양이 달라서 "handleUserLogin"과 "handle-user-login.ts"가 일치하지 않음
+ * - camelCase, PascalCase, snake_case, kebab-case, dotted.name을 나누고 약어도 분리 (parseHTTPResponse → parse, http, response)
+ * - 나누기 전 식별자도 구분자를 뺀 한 단어로 함께 색인 (handleuserlogin)
+ * - 가벼운 영어 어간 추출 (sessions → session, caching → cach, cache → cach), 파일 이름은 쓰인 그대로도 (README.md → readm, readme)
+ *
+ * 한국어는 띄어쓰기 단위(어절)에 조사와 어미가 붙어 있어서
+ * "인증을", "인증은", "인증에서"가 모두 다른 단어가 되고 "인증"과 일치하지 않음
+ * - 어절 끝의 흔한 조사/어미를 떼어 어간만 색인 (tokenizer.korean_suffixes)
+ *   받침에 맞지 않는 조사와 조사처럼 끝나는 명사는 떼지 않음 ("전문가", "바나나")
+ * - 선택적으로 한글 어간의 2글자 조각도 색인 (tokenizer.hangul_bigrams, "사용자인증" ↔ "인증")
+ *
+ * 세션 색인과 검색어/컨텍스트가 같은 방식으로 토큰화되어야 하므로
+ * 색인은 tokenizerSignature()를 함께 저장하고, 설정이 바뀌면 다시 생성됨
+ */
+
+// ═══════════════════════════════════════════════════════════════
+// 조사 / 어미
+// ═══════════════════════════════════════════════════════════════
+
+// 조사 (긴 것부터 검사하도록 길이순 정렬)
+const JOSA = [
+  '에서부터', '으로부터', '에게서', '한테서', '이라고', '에서는', '에서도', '으로는', '으로도', '에게는',
+  '이라는', '에서', '에게', '한테', '으로', '부터', '까지', '처럼', '보다', '마다', '이랑', '이나',
+  '이든', '에는', '에도', '로는', '로도', '과는', '와는', '라고', '라는', '이다', '이고',
+  '은', '는', '이', '가', '을', '를', '의', '에', '로', '와', '과', '도', '만', '랑', '나'
+];
+
+// 어미 (용언 + 요청형 - 프롬프트에 자주 나오는 형태)
+const EOMI = [
+  '해주세요', '해주시고', '했습니다', '됐습니다', '되었습니다', '시켜줘', '해줄래', '합니다', '됩니다',
+  '했는데', '하는데', '되는데', '해야', '해줘', '해서', '했고', '했다', '하고', '하는', '하면', '하기',
+  '하지', '되고', '되는', '되면', '되어', '됐다', '된다', '된', '했', '해', '하다', '되다', '시켜',
+  '했어요', '하려고', '해요', '세요', '할', '줘', '요'
+];
+
+const SUFFIXES = [...JOSA, ...EOMI].sort((a, b) => b.length - a.length);
+
+// 받침 유무에 따라 모양이 바뀌는 조사 - 앞 글자와 맞지 않으면 명사의 일부 ("전문가"의 가, "서버가"의 가는 조사)
+const AFTER_BATCHIM = ['이', '은', '을', '과', '과는', '이나', '이랑', '이든', '이고', '이다', '이라고', '이라는', '으로', '으로는', '으로도', '으로부터'];
+const AFTER_VOWEL = ['가', '는', '를', '와', '와는', '나', '랑', '라고', '라는'];
+const AFTER_VOWEL_OR_RIEUL = ['로', '로는', '로도'];
+
+// 조사처럼 끝나지만 받침으로는 가릴 수 없는 명사 (조사가 더 붙은 "바나나를"은 "바나나"가 됨)
+const NOUN_EXCEPTIONS = new Set([
+  '바나나', '고양이', '어린이', '불필요', '재정의', '매크로', '마이크로',
+  '정확도', '유사도', '복잡도', '난이도', '중요도', '신뢰도', '완성도', '만족도', '해상도', '민감도', '선호도'
+]);
+
+// 어간이 이보다 짧아지면 떼지 않음 ("집에서" → "집"은 키워드로 쓰기엔 너무 짧음)
+const MIN_STEM_LENGTH = 2;
+
+const HANGUL = /[가-힣]/;
+const HANGUL_WORD = /^[가-힣]+$/;
+
+// 한글 음절의 받침 (0: 없음, 8: ㄹ) - 한글이 아니면 null
+function finalConsonant(syllable) {
+  const code = syllable.charCodeAt(0) - 0xAC00;
+  return code >= 0 && code < 11172 ? code % 28 : null;
+}
+
+// 조사가 앞 글자의 받침과 맞는지 (영어 등 한글이 아닌 어간은 알 수 없으므로 허용)
+function fitsStem(stem, suffix) {
+  const batchim = finalConsonant(stem[stem.length - 1]);
+  if (batchim === null) return true;
+  if (AFTER_BATCHIM.includes(suffix)) return batchim !== 0;
+  if (AFTER_VOWEL.includes(suffix)) return batchim === 0;
+  if (AFTER_VOWEL_OR_RIEUL.includes(suffix)) return batchim === 0 || batchim === 8;
+  return true;
+}
+
+// 어절 끝의 조사/어미 하나를 뗌 (가장 긴 것 우선)
+// "인증을" → "인증", "redis에서" → "redis", "추가해줘" → "추가"
+function stripKoreanSuffix(word) {
+  if (!word || !HANGUL.test(word[word.length - 1]) || NOUN_EXCEPTIONS.has(word)) return word;
+
+  for (const suffix of SUFFIXES) {
+    if (word.length - suffix.length < MIN_STEM_LENGTH || !word.endsWith(suffix)) continue;
+    const stem = word.slice(0, -suffix.length);
+    if (fitsStem(stem, suffix)) return stem;
+  }
+  return word;
+}
+
+// 한글 단어의 2글자 조각 ("사용자인증" → 사용, 용자, 자인, 인증)
+// 2글자 이하 단어는 단어 자체가 이미 조각이므로 추가하지 않음
+function hangulBigrams(word) {
+  if (!HANGUL_WORD.test(word) || word.length <= 2) return [];
+
+  const bigrams = [];
+  for (let i = 0; i < word.length - 1; i++) {
+    bigrams.push(word.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 코드 식별자 / 영어
+// ═══════════════════════════════════════════════════════════════
+
+const IDENTIFIER_SEPARATORS = /[_.\-]+/;
+
+// 파일 이름의 확장자는 합친 식별자에서 뺌 (redis.ts → redis, redists가 아님)
+const FILE_EXTENSION = /\.(?:[jt]sx?|mjs|cjs|py|rb|go|rs|java|kt|swift|c|h|cc|cpp|cs|php|sh|sql|md|json|ya?ml|toml|html|css|scss|vue|svelte)$/i;
+
+// 구분자 없는 덩어리 안의 단어: 약어(다음 단어 앞까지), 소문자 단어, 대문자 약어, 숫자, 한글
+// 숫자는 앞 단어에 붙임 (md5, utf8, base64)
+const IDENTIFIER_PART = /[A-Z]+(?=[A-Z][a-z])|[A-Z]?[a-z]+\d*|[A-Z]+\d*|\d+|[가-힣]+/g;
+
+// 식별자 → 구성 단어 (대소문자 유지)
+// handleUserLogin → handle, User, Login / parseHTTPResponse → parse, HTTP, Response / user.profile_id → user, profile, id
+function splitIdentifier(word) {
+  const parts = [];
+  String(word).split(IDENTIFIER_SEPARATORS).forEach(chunk => {
+    parts.push(...(chunk.match(IDENTIFIER_PART) || []));
+  });
+  return parts;
+}
+
+const VOWEL = /[aeiouy]/;
+
+// 가벼운 영어 어간 추출 (복수형, -ing, -ed, 끝의 e)
+// 같은 단어의 변형이 같은 어간이 되는 것만 목표 (update/updates/updated/updating → updat)
+function stemEnglish(word) {
+  if (!/^[a-z]+$/.test(word) || word.length < 4) return word;
+
+  let stem = word;
+  if (stem.endsWith('ies') && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(ss|x|z|ch|sh)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // -ing / -ed (남는 어간에 모음이 있을 때만: string, need 등은 그대로)
+  const verbSuffix = stem.match(/(ing|ed)$/);
+  if (verbSuffix && !stem.endsWith('eed')) {
+    const base = stem.slice(0, -verbSuffix[1].length);
+    if (base.length >= 3 && VOWEL.test(base)) {
+      // running → run, logging → log (ll, ss, zz와 add 같은 짧은 단어는 원래 겹자음)
+      stem = base.length > 3 && /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+    }
+  }
+
+  // cache / cached / caching → cach
+  if (stem.length >= 5 && stem.endsWith('e')) stem = stem.slice(0, -1);
+  return stem;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 설정
+// ═══════════════════════════════════════════════════════════════
+
+const DEFAULT_OPTIONS = { koreanSuffixes: true, hangulBigrams: false };
+
+let currentOptions = null;
+
+// 설정의 tokenizer 항목 (사용자 설정 / 환경 변수만 - 색인이 모든 프로젝트에 하나라서)
+// config.js → storage.js → utils.js → tokenizer.js 순환을 피하려고 처음 쓸 때 불러옴
+function getTokenizerOptions() {
+  if (!currentOptions) {
+    try {
+      const { getConfig } = require('./config');
+      const tokenizer = getConfig(process.cwd()).tokenizer;
+      currentOptions = { koreanSuffixes: tokenizer.korean_suffixes, hangulBigrams: tokenizer.hangul_bigrams };
+    } catch (e) {
+      currentOptions = { ...DEFAULT_OPTIONS };
+    }
+  }
+  return currentOptions;
+}
+
+// 색인에 저장하는 토큰화 방식 (다르면 색인을 다시 만듦)
+function tokenizerSignature(options = getTokenizerOptions()) {
+  return ['ident-stem', options.koreanSuffixes ? 'ko-suffix' : 'ko-raw', options.hangulBigrams ? 'bigram' : 'no-bigram'].join('+');
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 토큰화
+// ═══════════════════════════════════════════════════════════════
+
+// 단어 하나 (대소문자 유지) → 소문자 색인어들
+// 구성 단어의 어간, 여러 단어로 된 식별자는 구분자를 뺀 전체, 설정에 따라 한글 2글자 조각
+// "handleUserLogin을" → handle, user, login, handleuserlogin
+function tokenizeWord(word, options = getTokenizerOptions()) {
+  const base = options.koreanSuffixes ? stripKoreanSuffix(word) : word;
+  // 파일 이름은 어간과 함께 쓰인 그대로도 색인 (README.md → readm, readme)
+  // 어간만 있으면 검색 결과와 --explain에 readm처럼 잘린 이름이 보임 (프롬프트의 readme와는 어간끼리 맞음)
+  const isFileName = FILE_EXTENSION.test(base);
+  const parts = splitIdentifier(base.replace(FILE_EXTENSION, '')).map(part => part.toLowerCase());
+
+  const tokens = [];
+  parts.forEach(part => {
+    const stem = stemEnglish(part);
+    tokens.push(stem);
+    if (isFileName && stem !== part) tokens.push(part);
+    if (options.hangulBigrams) tokens.push(...hangulBigrams(part));
+  });
+  // e.g, v1.2.3 처럼 한 글자 조각뿐인 것은 식별자로 보지 않음
+  if (parts.filter(part => part.length > 1).length > 1) tokens.push(parts.join(''));
+  return tokens;
+}
+
+module.exports = {
+  FILE_EXTENSION,
+  JOSA,
+  EOMI,
+  NOUN_EXCEPTIONS,
+  stripKoreanSuffix,
+  hangulBigrams,
+  splitIdentifier,
+  stemEnglish,
+  getTokenizerOptions,
+  tokenizerSignature,
+  tokenizeWord
+};
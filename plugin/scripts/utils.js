@@ -3,6 +3,10 @@
  * 공통 유틸리티 함수들 - 키워드 추출, TF-IDF, 관련성 점수 계산
  */
 
+const crypto = require('crypto');
+const { digestSearchText } = require('./structured-summary');
+const { FILE_EXTENSION, tokenizeWord } = require('./tokenizer');
+
 // ═══════════════════════════════════════════════════════════════
 // 텍스트 전처리
 // ═══════════════════════════════════════════════════════════════
@@ -21,81 +25,86 @@ const STOPWORDS = new Set([
   // 한국어
   '이', '그', '저', '것', '수', '등', '들', '및', '에', '의', '를', '을',
   '은', '는', '이', '가', '와', '과', '로', '으로', '에서', '까지', '부터',
+  '그리고', '그래서', '하지만', '그런데', '이거', '그거', '저거', '여기', '거기', '이제',
+  '어떻게', '무엇', '뭐가', '정말', '그냥', '하는', '있는', '없는', '같은', '있다', '없다', '한다',
   // 코드 관련
   'const', 'let', 'var', 'function', 'return', 'import', 'export', 'from',
   'true', 'false', 'null', 'undefined', 'new', 'class', 'extends',
   'async', 'await', 'try', 'catch', 'if', 'else', 'for', 'while',
 ]);
 
+// 색인어로 쓸 수 있는지 (너무 짧은 단어, 불용어, 숫자만 있는 단어 제외)
+function isKeyword(word) {
+  if (word.length < 2) return false;
+  if (STOPWORDS.has(word)) return false;
+  if (/^\d+$/.test(word)) return false;
+  return true;
+}
+
 // 텍스트에서 키워드 추출
 function extractKeywords(text) {
   if (!text) return [];
 
-  // 소문자 변환 및 특수문자 제거
-  const normalized = String(text)
-    .toLowerCase()
-    .replace(/[^\w\s가-힣]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  // 단어 분리
-  const words = normalized.split(' ');
-
-  // 불용어 제거 및 필터링
-  const keywords = words.filter(word => {
-    if (word.length < 2) return false;           // 너무 짧은 단어
-    if (STOPWORDS.has(word)) return false;       // 불용어
-    if (/^\d+$/.test(word)) return false;        // 숫자만
-    return true;
-  });
-
-  return keywords;
+  // 특수문자 제거 (민감 정보 자리표시자 [REDACTED:type]는 키워드가 아님)
+  // 식별자를 나눌 수 있도록 대소문자와 _ . - 는 유지 (handleUserLogin, user.profile_id, handle-user-login)
+  const words = String(text)
+    .replace(/\[REDACTED:[\w-]+\]/g, ' ')
+    .replace(/[^\w\s가-힣.-]/g, ' ')
+    .split(/\s+/)
+    .map(word => word.replace(/^[._-]+|[._-]+$/g, ''))
+    .filter(word => word && !STOPWORDS.has(word.toLowerCase()));
+
+  // 식별자 분리, 영어 어간, 한국어 조사/어미 제거 (tokenizer.js)
+  const tokens = [];
+  words.forEach(word => tokens.push(...tokenizeWord(word)));
+  return tokens.filter(isKeyword);
 }
 
 // 파일 경로에서 의미 있는 키워드 추출
 function extractPathKeywords(filePath) {
   if (!filePath) return [];
 
-  // 경로를 분리하고 확장자 제거
+  // 경로를 분리하고 확장자 제거 (아는 확장자는 tokenizeWord가 떼면서 파일 이름으로 다룸)
   const parts = filePath
     .replace(/\\/g, '/')
     .split('/')
-    .map(part => part.replace(/\.[^.]+$/, '')) // 확장자 제거
+    .map(part => (FILE_EXTENSION.test(part) ? part : part.replace(/\.[^.]+$/, '')))
     .filter(part => part && part.length > 1);
 
-  // camelCase, snake_case, kebab-case 분리
+  // camelCase, snake_case, kebab-case 분리: handleUserLogin → handle, user, login, handleuserlogin
   const keywords = [];
-  parts.forEach(part => {
-    // camelCase 분리: handleUserLogin → handle, user, login
-    const camelSplit = part.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
-    // snake_case, kebab-case 분리
-    const words = camelSplit.split(/[-_\s]+/);
-    keywords.push(...words.filter(w => w.length > 1 && !STOPWORDS.has(w)));
-  });
-
-  return keywords;
+  parts.forEach(part => keywords.push(...tokenizeWord(part)));
+  return keywords.filter(isKeyword);
 }
 
 // ═══════════════════════════════════════════════════════════════
 // TF-IDF 계산
 // ═══════════════════════════════════════════════════════════════
 
-// 단어 빈도 계산 (Term Frequency)
-function calculateTF(keywords) {
-  const tf = {};
+// 단어별 출현 횟수
+function countTerms(keywords) {
+  const counts = {};
   keywords.forEach(word => {
-    tf[word] = (tf[word] || 0) + 1;
+    counts[word] = (counts[word] || 0) + 1;
   });
+  return counts;
+}
 
-  // 정규화
-  const maxFreq = Math.max(...Object.values(tf), 1);
-  Object.keys(tf).forEach(word => {
-    tf[word] = tf[word] / maxFreq;
+// 출현 횟수 → 정규화된 단어 빈도
+function normalizeTF(counts) {
+  const tf = {};
+  const maxFreq = Math.max(...Object.values(counts), 1);
+  Object.keys(counts).forEach(word => {
+    tf[word] = counts[word] / maxFreq;
   });
-
   return tf;
 }
 
+// 단어 빈도 계산 (Term Frequency)
+function calculateTF(keywords) {
+  return normalizeTF(countTerms(keywords));
+}
+
 // 문서 빈도 계산 (Document Frequency)
 function calculateDF(documents) {
   const df = {};
@@ -110,7 +119,12 @@ function calculateDF(documents) {
 
 // TF-IDF 점수 계산
 function calculateTFIDF(keywords, df, totalDocs) {
-  const tf = calculateTF(keywords);
+  return calculateTFIDFFromCounts(countTerms(keywords), df, totalDocs);
+}
+
+// 미리 계산된 출현 횟수로 TF-IDF 점수 계산 (인덱스 사용 시)
+function calculateTFIDFFromCounts(counts, df, totalDocs) {
+  const tf = normalizeTF(counts);
   const tfidf = {};
 
   Object.keys(tf).forEach(word => {
@@ -154,6 +168,12 @@ function extractSessionKeywords(session) {
     keywords.push(...extractKeywords(session.summary));
   }
 
+  // 구조화 요약 필드 (주제, 결정, 문제, 후속 작업, 태그, 변경 파일)
+  if (session.digest) {
+    keywords.push(...extractKeywords(digestSearchText(session.digest)));
+    (session.digest.tags || []).forEach(tag => keywords.push(tag));
+  }
+
   // ★ 대화 내용에서 키워드 추출 (핵심!)
   if (session.conversations && session.conversations.length > 0) {
     session.conversations.forEach(conv => {
@@ -173,6 +193,10 @@ function extractSessionKeywords(session) {
       if (obs.details?.command) {
         keywords.push(...extractKeywords(obs.details.command));
       }
+      // 포맷터가 지정한 키워드
+      if (Array.isArray(obs.keywords)) {
+        keywords.push(...obs.keywords);
+      }
       // 관찰 내 lastUserMessage도 추출
       if (obs.context?.lastUserMessage) {
         keywords.push(...extractKeywords(obs.context.lastUserMessage));
@@ -183,57 +207,212 @@ function extractSessionKeywords(session) {
   return keywords;
 }
 
-// 현재 컨텍스트와 세션들의 관련성 점수 계산
-function calculateRelevanceScores(currentContext, sessions) {
-  if (!sessions || sessions.length === 0) return [];
+// 저장된 세션의 짧은 고정 ID (8자리 hex) - 프로젝트 ID와 저장 시각으로 계산
+function createSessionId(projectId, date) {
+  return crypto.createHash('sha1').update(`${projectId}:${date}`).digest('hex').substring(0, 8);
+}
 
-  // 현재 컨텍스트 키워드 추출
+// 세션 ID (저장 시 기록된 값, 이전 버전 세션은 같은 방식으로 계산)
+function getSessionId(session) {
+  return session.id || createSessionId(session.project_id || session.project, session.date);
+}
+
+// 인덱스에서 세션을 가리키는 문서 ID
+function sessionDocId(session) {
+  return getSessionId(session);
+}
+
+// 현재 컨텍스트에서 키워드 추출 (경로, 작업 중인 파일, git 상태, 자유 텍스트, 색인어)
+function extractContextKeywords(currentContext) {
   const contextKeywords = [];
   if (currentContext.cwd) {
     contextKeywords.push(...extractPathKeywords(currentContext.cwd));
   }
+
+  // 지금 진행 중인 작업(브랜치, 수정 중인 파일)은 두 번 넣어 가중치를 높임
+  if (currentContext.branch) {
+    const branchKeywords = extractPathKeywords(currentContext.branch);
+    contextKeywords.push(...branchKeywords, ...branchKeywords);
+  }
   if (currentContext.recentFiles) {
     currentContext.recentFiles.forEach(file => {
+      const fileKeywords = extractPathKeywords(file);
+      contextKeywords.push(...fileKeywords, ...fileKeywords);
+    });
+  }
+
+  // 최근 커밋 제목과 변경 파일
+  if (currentContext.commitSubjects) {
+    currentContext.commitSubjects.forEach(subject => {
+      contextKeywords.push(...extractKeywords(subject));
+    });
+  }
+  if (currentContext.commitFiles) {
+    currentContext.commitFiles.forEach(file => {
       contextKeywords.push(...extractPathKeywords(file));
     });
   }
 
-  // 모든 세션의 키워드 추출
-  const sessionKeywordsList = sessions.map(s => extractSessionKeywords(s));
+  if (currentContext.text) {
+    contextKeywords.push(...extractKeywords(currentContext.text));
+  }
+
+  // 이미 토큰화된 색인어 (/mem-search 질의의 검색어와 오타 보정 결과)
+  if (currentContext.keywords) {
+    contextKeywords.push(...currentContext.keywords);
+  }
+  return contextKeywords;
+}
 
-  // DF 계산
-  const df = calculateDF([contextKeywords, ...sessionKeywordsList]);
-  const totalDocs = sessions.length + 1;
+// 세션 시간 가중치 (최근일수록 높은 점수) - 더 급격한 감쇠
+function calculateTimeWeight(date, decayDays = 14) {
+  const daysSinceSession = (Date.now() - new Date(date).getTime()) / (1000 * 60 * 60 * 24);
+  const hoursSinceSession = (Date.now() - new Date(date).getTime()) / (1000 * 60 * 60);
 
-  // 현재 컨텍스트의 TF-IDF
-  const contextTFIDF = calculateTFIDF(contextKeywords, df, totalDocs);
+  // ★ 24시간 이내 세션은 시간 가중치 크게 부여
+  if (hoursSinceSession < 24) {
+    return 1.0 - (hoursSinceSession / 48); // 24시간 이내: 1.0 → 0.5
+  }
+  return Math.exp(-daysSinceSession / decayDays); // 기본 14일 (더 급격)
+}
 
-  // 각 세션의 관련성 점수 계산
-  const scores = sessions.map((session, index) => {
-    const sessionTFIDF = calculateTFIDF(sessionKeywordsList[index], df, totalDocs);
-    const similarity = cosineSimilarity(contextTFIDF, sessionTFIDF);
-
-    // 시간 가중치 (최근일수록 높은 점수) - 더 급격한 감쇠
-    const daysSinceSession = (Date.now() - new Date(session.date).getTime()) / (1000 * 60 * 60 * 24);
-    const hoursSinceSession = (Date.now() - new Date(session.date).getTime()) / (1000 * 60 * 60);
-
-    // ★ 24시간 이내 세션은 시간 가중치 크게 부여
-    let timeWeight;
-    if (hoursSinceSession < 24) {
-      timeWeight = 1.0 - (hoursSinceSession / 48); // 24시간 이내: 1.0 → 0.5
+// ═══════════════════════════════════════════════════════════════
+// 날짜
+// ═══════════════════════════════════════════════════════════════
+
+// YYYY-MM-DD (로컬 시간) → Date, endOfDay면 그날의 마지막 순간
+// 값이 없으면 null, 형식이 틀리거나 없는 날짜(2024-02-31, 2024-13-45)면 undefined
+// new Date()는 없는 날짜를 다음 달로 넘기므로 연/월/일이 그대로인지 확인
+function parseLocalDate(value, endOfDay = false) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return undefined;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return undefined;
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// BM25
+// ═══════════════════════════════════════════════════════════════
+
+const BM25_DEFAULTS = { k1: 1.2, b: 0.75 };
+
+// 최종 점수 비중: 유사도 40% + 시간 45% + 대화보너스 15%
+const SCORE_WEIGHTS = { similarity: 0.4, time: 0.45, conversation: 0.15 };
+
+// BM25 IDF (음수가 나오지 않는 Lucene 방식)
+function bm25IDF(docFreq, totalDocs) {
+  return Math.log(1 + (totalDocs - docFreq + 0.5) / (docFreq + 0.5));
+}
+
+// 질의 키워드에 대한 문서들의 BM25 점수 (0~1로 정규화)
+// 긴 세션(관찰이 많은 세션)은 문서 길이 정규화(b)로 불이익을 받음
+function calculateBM25Similarities(queryKeywords, docCountsList, df, totalDocs, avgDocLength, params = {}) {
+  const k1 = params.k1 ?? BM25_DEFAULTS.k1;
+  const b = params.b ?? BM25_DEFAULTS.b;
+  const queryCounts = countTerms(queryKeywords);
+  const queryTerms = Object.keys(queryCounts);
+
+  // 모든 질의어가 무한히 등장하는 문서의 점수를 상한으로 삼아 정규화
+  const idf = {};
+  let upperBound = 0;
+  queryTerms.forEach(term => {
+    idf[term] = bm25IDF(df[term] || 0, totalDocs);
+    upperBound += queryCounts[term] * idf[term] * (k1 + 1);
+  });
+  if (upperBound === 0) return docCountsList.map(() => 0);
+
+  const avgdl = avgDocLength || 1;
+  return docCountsList.map(counts => {
+    const docLength = Object.values(counts).reduce((sum, c) => sum + c, 0);
+    let score = 0;
+    queryTerms.forEach(term => {
+      const tf = counts[term] || 0;
+      if (tf === 0) return;
+      const norm = tf + k1 * (1 - b + b * (docLength / avgdl));
+      score += queryCounts[term] * idf[term] * (tf * (k1 + 1)) / norm;
+    });
+    return score / upperBound;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// 관련성 점수
+// ═══════════════════════════════════════════════════════════════
+
+// 현재 컨텍스트와 세션들의 관련성 점수 계산
+// options.index  : 있으면 세션을 다시 토큰화하지 않고 인덱스의 TF/DF를 사용
+// options.ranker : 'tfidf' (기본, 코사인 유사도) | 'bm25'
+// options.k1, options.b : BM25 파라미터
+// options.weights, options.timeDecayDays : 최종 점수 비중과 시간 감쇠 기간 (config.js의 ranking)
+function calculateRelevanceScores(currentContext, sessions, options = {}) {
+  if (!sessions || sessions.length === 0) return [];
+
+  const ranker = options.ranker === 'bm25' ? 'bm25' : 'tfidf';
+  const weights = { ...SCORE_WEIGHTS, ...options.weights };
+
+  // 현재 컨텍스트 키워드 추출
+  const contextKeywords = extractContextKeywords(currentContext);
+
+  // 모든 세션의 단어 출현 횟수 (인덱스에 없는 세션만 직접 추출)
+  const index = options.index;
+  const docVectors = index ? getIndexDocVectors(index) : {};
+  const sessionCountsList = sessions.map(s =>
+    docVectors[sessionDocId(s)] || countTerms(extractSessionKeywords(s))
+  );
+
+  // 유사도 계산
+  let similarities;
+  if (ranker === 'bm25') {
+    // BM25: 세션 문서 집합 기준 DF, 평균 문서 길이
+    const df = index ? index.df : calculateDF(sessionCountsList.map(counts => Object.keys(counts)));
+    const totalDocs = index ? Math.max(Object.keys(index.docs).length, sessions.length) : sessions.length;
+    const lengths = index
+      ? Object.values(index.docs).map(d => d.length)
+      : sessionCountsList.map(counts => Object.values(counts).reduce((sum, c) => sum + c, 0));
+    const avgDocLength = lengths.reduce((sum, l) => sum + l, 0) / Math.max(lengths.length, 1);
+
+    similarities = calculateBM25Similarities(contextKeywords, sessionCountsList, df, totalDocs, avgDocLength, options);
+  } else {
+    // DF 계산 (인덱스가 있으면 미리 계산된 DF에 현재 컨텍스트만 더함)
+    let df;
+    let totalDocs;
+    if (index) {
+      df = { ...index.df };
+      new Set(contextKeywords).forEach(word => {
+        df[word] = (df[word] || 0) + 1;
+      });
+      totalDocs = Math.max(Object.keys(index.docs).length, sessions.length) + 1;
     } else {
-      timeWeight = Math.exp(-daysSinceSession / 14); // 14일 반감기 (더 급격)
+      df = calculateDF([contextKeywords, ...sessionCountsList.map(counts => Object.keys(counts))]);
+      totalDocs = sessions.length + 1;
     }
 
+    // 현재 컨텍스트의 TF-IDF와 각 세션의 코사인 유사도
+    const contextTFIDF = calculateTFIDF(contextKeywords, df, totalDocs);
+    similarities = sessionCountsList.map(counts =>
+      cosineSimilarity(contextTFIDF, calculateTFIDFFromCounts(counts, df, totalDocs))
+    );
+  }
+
+  // 각 세션의 관련성 점수 계산
+  const scores = sessions.map((session, i) => {
+    const similarity = similarities[i];
+    const timeWeight = calculateTimeWeight(session.date, options.timeDecayDays);
+
     // ★ 대화(conversations)가 있는 세션에 보너스
     const hasConversations = session.conversations && session.conversations.length > 0;
-    const conversationBonus = hasConversations ? 0.15 : 0;
+    const conversationBonus = hasConversations ? weights.conversation : 0;
 
-    // 최종 점수: 유사도 40% + 시간 45% + 대화보너스 15%
-    const finalScore = similarity * 0.4 + timeWeight * 0.45 + conversationBonus;
+    // 최종 점수: 유사도 40% + 시간 45% + 대화보너스 15% (기본값)
+    const finalScore = similarity * weights.similarity + timeWeight * weights.time + conversationBonus;
 
     return {
       session,
+      ranker,
       similarity,
       timeWeight,
       conversationBonus,
@@ -245,6 +424,23 @@ function calculateRelevanceScores(currentContext, sessions) {
   return scores.sort((a, b) => b.score - a.score);
 }
 
+// 인덱스의 역색인(term → {docId: tf})을 문서별 벡터(docId → {term: tf})로 변환
+function getIndexDocVectors(index) {
+  if (index._docVectors) return index._docVectors;
+
+  const vectors = {};
+  Object.entries(index.terms).forEach(([term, postings]) => {
+    Object.entries(postings).forEach(([docId, count]) => {
+      if (!vectors[docId]) vectors[docId] = {};
+      vectors[docId][term] = count;
+    });
+  });
+
+  // 한 프로세스 안에서 여러 번 호출돼도 한 번만 계산 (저장되지 않는 필드)
+  Object.defineProperty(index, '_docVectors', { value: vectors, enumerable: false });
+  return vectors;
+}
+
 // ═══════════════════════════════════════════════════════════════
 // Export
 // ═══════════════════════════════════════════════════════════════
@@ -253,10 +449,23 @@ module.exports = {
   extractKeywords,
   extractPathKeywords,
   extractSessionKeywords,
+  createSessionId,
+  getSessionId,
+  sessionDocId,
+  countTerms,
   calculateTF,
   calculateDF,
   calculateTFIDF,
+  calculateTFIDFFromCounts,
+  getIndexDocVectors,
   cosineSimilarity,
+  extractContextKeywords,
+  calculateTimeWeight,
+  parseLocalDate,
+  bm25IDF,
+  calculateBM25Similarities,
   calculateRelevanceScores,
+  BM25_DEFAULTS,
+  SCORE_WEIGHTS,
   STOPWORDS
 };
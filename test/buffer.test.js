@@ -0,0 +1,38 @@
+/**
+ * buffer.js - 버려진 버퍼 정리가 설정의 buffer.ttl_days를 따르는지
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 저장 위치가 모듈을 불러올 때 정해지므로 먼저 임시 HOME으로 바꿈
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-buffer-'));
+process.env.HOME = HOME;
+const { BUFFERS_DIR, gcBuffers } = require('../plugin/scripts/buffer');
+const { USER_CONFIG_FILE } = require('../plugin/scripts/config');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 마지막 갱신이 ageMs 전인 버퍼 파일
+function writeBuffer(sessionId, ageMs) {
+  const file = path.join(BUFFERS_DIR, `${sessionId}.json`);
+  fs.writeFileSync(file, JSON.stringify({ session_id: sessionId, observations: [], conversations: [] }));
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(file, time, time);
+}
+
+test('TTL을 주지 않으면 호출할 때의 설정(buffer.ttl_days)을 씀', () => {
+  fs.mkdirSync(BUFFERS_DIR, { recursive: true });
+  // 기본값(3일)이면 남았을 버퍼
+  fs.writeFileSync(USER_CONFIG_FILE, JSON.stringify({ buffer: { ttl_days: 1 } }));
+  writeBuffer('stale', 36 * HOUR_MS);
+  writeBuffer('fresh', HOUR_MS);
+
+  assert.deepEqual(gcBuffers(), ['stale']);
+  assert.deepEqual(fs.readdirSync(BUFFERS_DIR), ['fresh.json']);
+});
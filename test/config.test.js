@@ -0,0 +1,45 @@
+/**
+ * config.js - 검증 오류와 출력 언어
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-config-'));
+process.env.HOME = HOME;
+const { validateLayer, formatConfigError } = require('../plugin/scripts/config');
+const { setLocale } = require('../plugin/scripts/i18n');
+
+test.after(() => {
+  setLocale('auto');
+  fs.rmSync(HOME, { recursive: true, force: true });
+});
+
+test('잘못된 값은 버리고 오류로 모음', () => {
+  const errors = [];
+  const values = validateLayer({ bogus: 1, ranking: { bm25_k1: 'x', rankr: 'bm25', ranker: 'bm25' } }, 'user', 'config.json', errors);
+
+  assert.deepEqual(values, { 'ranking.ranker': 'bm25' });
+  assert.deepEqual(errors.map(e => e.key), [
+    'config.error.unknown_key',
+    'config.error.not_number',
+    'config.error.unknown_key_suggest'
+  ]);
+});
+
+test('오류 문장은 출력 언어를 따름', () => {
+  const errors = [];
+  validateLayer({ summary: { max_retries: 9 }, redaction: { enabled: false } }, 'project', '.claude-simple-memory.json', errors);
+
+  setLocale('en');
+  assert.deepEqual(errors.map(formatConfigError), [
+    ".claude-simple-memory.json: 'summary.max_retries' must be at most 5 (got 9)",
+    ".claude-simple-memory.json: 'redaction.enabled' can't be set in a project config (set it in ~/.claude-simple-memory/config.json)"
+  ]);
+
+  setLocale('ko');
+  assert.equal(formatConfigError(errors[0]), ".claude-simple-memory.json: 'summary.max_retries' 5 이하여야 합니다 (받은 값: 9)");
+});
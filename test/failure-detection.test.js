@@ -0,0 +1,34 @@
+/**
+ * format-helpers.js detectFailure - 기록된 PostToolUse payload로 실패 판별 확인
+ *
+ * fixtures/post-tool-use.json의 각 payload에 대해
+ * - detectFailure가 기대한 결과를 내는지
+ * - 포맷터를 거친 관찰의 요약이 실패(❌)로 표시되는지
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 사용자 포맷터 폴더가 HOME 아래에 있으므로 빈 임시 HOME 사용
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-failure-'));
+process.env.HOME = HOME;
+const { detectFailure } = require('../plugin/scripts/format-helpers');
+const { formatObservation } = require('../plugin/scripts/formatter-registry');
+
+const { payloads } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'post-tool-use.json'), 'utf8'));
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+payloads.forEach(({ name, failed, payload }) => {
+  test(`${failed ? '실패' : '성공'}: ${name}`, () => {
+    const failure = detectFailure(payload.tool_name, payload.tool_response);
+    assert.equal(failure.failed, failed);
+    if (failed) assert.ok(failure.reason, '실패 이유가 있어야 함');
+
+    const observation = formatObservation(payload);
+    assert.equal(observation.summary.startsWith('❌'), failed, observation.summary);
+  });
+});
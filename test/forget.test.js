@@ -0,0 +1,148 @@
+/**
+ * forget.js - 날짜 조건, 키워드 삭제가 digest와 남은 사본(.migrated, .corrupt-*)까지 지우는지
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 저장 위치가 모듈을 불러올 때 정해지므로 먼저 임시 HOME으로 바꿈
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-forget-'));
+process.env.HOME = HOME;
+const { planForget, applyForget } = require('../plugin/scripts/forget');
+const { MEMORIES_DIR, updateMemories, loadMemories } = require('../plugin/scripts/storage');
+const { updateProjectIndex } = require('../plugin/scripts/search-index');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+test('없는 날짜로는 삭제 범위를 만들지 않음', () => {
+  assert.ok(planForget({ to: '2024-02-31' }).error);
+  assert.ok(planForget({ from: '2024-13-45' }).error);
+});
+
+// HOME 아래 모든 파일 내용 (백업, 인덱스 포함)
+function readAllFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).map(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? readAllFiles(file) : fs.readFileSync(file, 'utf8');
+  }).join('\n');
+}
+
+test('--entries는 digest에 남은 요청 문장도 지움', () => {
+  const projectId = 'test-project';
+  const saved = updateMemories(projectId, memories => {
+    memories.project = 'billing';
+    memories.sessions.push({
+      id: 'aaaa1111',
+      date: new Date(2024, 4, 1).toISOString(),
+      session_id: 'sess-1',
+      summary: 'Fixed rounding in invoice totals',
+      summary_type: 'ai',
+      digest: {
+        topic: '"fix the acme-corp invoice bug"',
+        actions: ['"fix the acme-corp invoice bug" → 수정 src/billing.js'],
+        outcomes: [],
+        open_issues: [],
+        files_changed: ['src/billing.js'],
+        decisions: ['round per line for acme-corp', 'use integer cents'],
+        problems: [],
+        follow_ups: [],
+        tags: ['billing', 'acme-corp']
+      },
+      keywords: ['invoice', 'billing'],
+      observations: [{ summary: '✏️ Edited billing.js', details: { file: 'src/billing.js' } }],
+      conversations: [{ type: 'request', message: 'fix the acme-corp invoice bug' }]
+    });
+  });
+  updateProjectIndex(projectId, saved.sessions, { reindex: true });
+  assert.match(readAllFiles(HOME), /acme-corp/);
+
+  const plan = planForget({ keyword: 'acme-corp', entries: true });
+  const [item] = plan.projects[0].sessions;
+  assert.equal(item.action, 'trim');
+  assert.equal(item.conversations, 1);
+  assert.equal(item.digest, 4);
+
+  applyForget(plan);
+  assert.doesNotMatch(readAllFiles(HOME), /acme-corp/i);
+
+  const [session] = loadMemories(projectId).sessions;
+  assert.equal(session.digest.topic, '');
+  assert.deepEqual(session.digest.decisions, ['use integer cents']);
+  assert.deepEqual(session.digest.files_changed, ['src/billing.js']);
+  assert.equal(session.observations.length, 1);
+});
+
+test('digest만 일치해도 키워드 조건에 걸림', () => {
+  const projectId = 'test-project-2';
+  updateMemories(projectId, memories => {
+    memories.project = 'web';
+    memories.sessions.push({
+      id: 'bbbb2222',
+      date: new Date(2024, 4, 2).toISOString(),
+      summary: 'Reworked the login form',
+      digest: { topic: 'login', actions: [], tags: ['globex'] },
+      keywords: ['login'],
+      observations: [],
+      conversations: []
+    });
+  });
+
+  const plan = planForget({ keyword: 'globex', project: 'web' });
+  assert.equal(plan.projects[0].sessions[0].action, 'delete');
+});
+
+test('이전 전 원본(.migrated)에 지울 세션이 있으면 통째로 삭제', () => {
+  const date = new Date(2024, 4, 3).toISOString();
+  const session = {
+    id: 'cccc3333',
+    date,
+    summary: 'Rotated the initech api key',
+    keywords: ['initech'],
+    observations: [],
+    conversations: []
+  };
+  updateMemories('test-project-3', memories => {
+    memories.project = 'payments';
+    memories.sessions.push(session);
+  });
+  const migrated = path.join(MEMORIES_DIR, 'payments.json.migrated');
+  fs.writeFileSync(migrated, JSON.stringify({ project: 'payments', sessions: [session] }));
+
+  const plan = planForget({ keyword: 'initech' });
+  assert.deepEqual(plan.copies, [{ file: migrated, kind: 'migrated', action: 'delete' }]);
+
+  assert.equal(applyForget(plan).copies, 1);
+  assert.equal(fs.existsSync(migrated), false);
+  assert.doesNotMatch(readAllFiles(HOME), /initech/);
+});
+
+test('손상돼 옮겨 둔 파일은 프로젝트 전체 삭제일 때만 지움', () => {
+  const projectId = 'test-project-4';
+  updateMemories(projectId, memories => {
+    memories.project = 'crm';
+    memories.sessions.push({
+      id: 'dddd4444',
+      date: new Date(2024, 4, 4).toISOString(),
+      summary: 'Imported the hooli contacts',
+      keywords: ['hooli'],
+      observations: [],
+      conversations: []
+    });
+  });
+  const corrupt = path.join(MEMORIES_DIR, `${projectId}.json.corrupt-1714780800000`);
+  fs.writeFileSync(corrupt, '{"sessions": [{"summary": "Imported the hooli');
+
+  // 세션만 지울 때는 읽을 수 없는 사본을 남겨 두고 알림
+  const plan = planForget({ keyword: 'hooli' });
+  assert.deepEqual(plan.copies, [{ file: corrupt, kind: 'corrupt', action: 'keep' }]);
+  assert.equal(applyForget(plan).copies, 0);
+  assert.equal(fs.existsSync(corrupt), true);
+
+  const wholeProject = planForget({ project: projectId });
+  assert.deepEqual(wholeProject.copies, [{ file: corrupt, kind: 'corrupt', action: 'delete' }]);
+  applyForget(wholeProject);
+  assert.equal(fs.existsSync(corrupt), false);
+});
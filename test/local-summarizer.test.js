@@ -0,0 +1,126 @@
+/**
+ * local-summarizer.js - 작업 묶기, 결과/미해결 오류, 한 줄 요약
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 설정 파일을 읽으므로 기본값만 쓰도록 빈 임시 HOME 사용
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-local-'));
+process.env.HOME = HOME;
+const { groupTasks, collectOutcomes, formatDigest, summarizeSession } = require('../plugin/scripts/local-summarizer');
+const { setLocale } = require('../plugin/scripts/i18n');
+
+setLocale('en');
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const START = new Date(2024, 4, 1, 10, 0).getTime();
+const MINUTE = 60 * 1000;
+const GAP = 10 * MINUTE;
+
+function at(minutes) {
+  return new Date(START + minutes * MINUTE).toISOString();
+}
+
+function edit(minutes, file, extra = {}) {
+  return { tool: 'Edit', timestamp: at(minutes), details: { file, ...extra.details }, ...extra.fields };
+}
+
+function bash(minutes, command, success = true, error) {
+  return { tool: 'Bash', timestamp: at(minutes), details: { command, success, ...(error ? { error } : {}) } };
+}
+
+test('오래 쉬면 새 작업으로 나눔', () => {
+  const tasks = groupTasks([edit(0, 'src/a.js'), edit(5, 'src/b.js'), edit(30, 'src/c.js')], [], GAP);
+  assert.deepEqual(tasks.map(task => task.observations.length), [2, 1]);
+});
+
+test('요청이 같은 채로 나뉘면 요청을 이어받음', () => {
+  const request = { context: { lastUserMessage: 'fix the login bug' } };
+  const tasks = groupTasks([
+    edit(0, 'src/auth.js', { fields: request }),
+    edit(40, 'src/auth.js', { fields: request })
+  ], [], GAP);
+  assert.equal(tasks.length, 2);
+  assert.deepEqual(tasks.map(task => task.request.text), ['fix the login bug', 'fix the login bug']);
+});
+
+test('요청 프롬프트 뒤의 관찰은 그 요청의 작업에 붙음', () => {
+  const conversations = [
+    { type: 'request', message: 'fix the login bug', timestamp: at(0) },
+    { type: 'question', message: 'why is the cache slow?', timestamp: at(3) }
+  ];
+  const observations = [
+    edit(1, 'src/auth.js', { fields: { context: { lastUserMessage: 'fix the login bug' } } }),
+    bash(2, 'npm test'),
+    { tool: 'Read', timestamp: at(4), details: { file: 'src/cache.js' } },
+    // 버퍼마다 잘린 길이가 달라도 같은 요청
+    edit(5, 'src/cache.js', { fields: { context: { lastUserMessage: 'why is the cache slow?...' } } })
+  ];
+  const tasks = groupTasks(observations, conversations, GAP);
+  assert.deepEqual(tasks.map(task => task.request.text), ['fix the login bug', 'why is the cache slow?']);
+  assert.deepEqual(tasks.map(task => task.observations.length), [2, 2]);
+  assert.equal(tasks[1].request.type, 'question');
+});
+
+test('요청을 모르는 작업은 디렉토리가 바뀌면 나눔', () => {
+  const tasks = groupTasks([edit(0, 'src/a.js'), edit(1, 'src/b.js'), edit(2, 'docs/guide.md')], [], GAP);
+  assert.deepEqual(tasks.map(task => task.observations.length), [2, 1]);
+});
+
+test('나중에 성공하면 이전 실패는 미해결이 아님', () => {
+  const { outcomes, open_issues } = collectOutcomes([
+    bash(0, 'npm test', false, '2 failing'),
+    bash(5, 'npm test'),
+    bash(6, 'git commit -m "fix login"'),
+    bash(7, 'git push')
+  ]);
+  assert.deepEqual(outcomes, ['tests passed', 'commit "fix login"', 'push']);
+  assert.deepEqual(open_issues, []);
+});
+
+test('마지막 시도가 실패로 끝나면 미해결 오류', () => {
+  const { outcomes, open_issues } = collectOutcomes([
+    bash(0, 'npm run build'),
+    bash(5, 'npm run build', false, 'TS2345'),
+    edit(6, 'src/components/Button.js', { details: { success: false, error: 'old_string not found' } })
+  ]);
+  assert.deepEqual(outcomes, []);
+  assert.deepEqual(open_issues, [
+    'npm run build failed (TS2345)',
+    'components/Button.js failed (old_string not found)'
+  ]);
+  // 실패한 commit은 결과가 아님
+  assert.deepEqual(collectOutcomes([bash(0, 'git commit -m "wip"', false)]).outcomes, []);
+});
+
+test('formatDigest는 주제만 되풀이하는 작업을 빼고 작업은 4개까지', () => {
+  const digest = {
+    topic: 'fix the login bug',
+    actions: ['"fix the login bug"', 'a', 'b', 'c', 'd', 'e'],
+    outcomes: ['tests passed'],
+    open_issues: ['npm run lint failed'],
+    files_changed: []
+  };
+  assert.equal(formatDigest(digest),
+    'Topic: fix the login bug | Tasks: 1) a 2) b 3) c 4) d +1 more task | Outcomes: tests passed | ⚠️ Open: npm run lint failed');
+  assert.equal(formatDigest({ ...digest, actions: [], outcomes: [], open_issues: [] }), 'Topic: fix the login bug');
+});
+
+test('summarizeSession은 작업, 결과, 바뀐 파일을 digest로', () => {
+  const { summary, digest } = summarizeSession([
+    edit(1, 'src/auth.js', { details: { lines_added: 12, lines_removed: 3 }, fields: { context: { lastUserMessage: 'fix the login bug' } } }),
+    bash(2, 'npm test', false, '1 failing'),
+    bash(3, 'npm test')
+  ], [{ type: 'request', message: 'fix the login bug', timestamp: at(0) }]);
+
+  assert.equal(digest.topic, 'fix the login bug');
+  assert.deepEqual(digest.actions, ['"fix the login bug" → modified src/auth.js(+12/-3), ran npm test']);
+  assert.deepEqual(digest.outcomes, ['tests passed']);
+  assert.deepEqual(digest.open_issues, []);
+  assert.deepEqual(digest.files_changed, ['src/auth.js']);
+  assert.match(summary, /^Topic: fix the login bug \| Tasks: 1\) "fix the login bug" → modified/);
+});
@@ -0,0 +1,75 @@
+/**
+ * memory-commands.js search - 결과 순서, --explain 출력, 랭킹 옵션 검사
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// 저장 위치가 모듈을 불러올 때 정해지므로 먼저 임시 HOME으로 바꿈
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-commands-'));
+process.env.HOME = HOME;
+const { updateMemories } = require('../plugin/scripts/storage');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const SCRIPT = path.join(__dirname, '..', 'plugin', 'scripts', 'memory-commands.js');
+const DAY = 24 * 60 * 60 * 1000;
+
+// 하루 차이: 오래된 쪽은 redis만 다루고, 최신 쪽은 redis를 한 번 스치듯 언급
+updateMemories('infra-1a2b', memories => {
+  memories.project = 'infra';
+  memories.sessions.push(
+    {
+      id: 'older001',
+      date: new Date(Date.now() - 2 * DAY).toISOString(),
+      summary: 'redis sentinel failover: redis replica promotion and redis sentinel quorum',
+      observations: [],
+      conversations: []
+    },
+    {
+      id: 'newer001',
+      date: new Date(Date.now() - DAY).toISOString(),
+      summary: 'Reworked invoice export, pagination, csv headers, currency rounding and retry logic (redis mentioned)',
+      observations: [],
+      conversations: []
+    }
+  );
+});
+
+function runCommand(...args) {
+  const result = spawnSync(process.execPath, [SCRIPT, ...args], {
+    env: { ...process.env, HOME, CLAUDE_MEMORY_LOCALE: 'en' },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return result.stdout;
+}
+
+// 결과 제목 줄의 세션 id 순서
+function resultIds(output) {
+  return [...output.matchAll(/^## \d+\. [^`\n]*`([^`\n]+)`/gm)].map(match => match[1]);
+}
+
+test('검색 결과는 최신순이 아니라 관련성 순', () => {
+  assert.deepEqual(resultIds(runCommand('search', 'redis')), ['older001', 'newer001']);
+});
+
+test('--explain은 점수 구성과 오타 보정 결과를 보여줌', () => {
+  const output = runCommand('search', '--explain', 'redsi');
+  assert.match(output, /^> 🔤 Terms: redsi → redis$/m);
+  const explanations = output.match(/^> 🔎 score .*$/gm);
+  assert.equal(explanations.length, 2);
+  assert.match(explanations[0], /similarity [\d.]+ \(TF-IDF\) × 0\.4 \+ time weight [\d.]+ × 0\.45 \+ conversation bonus 0\.00$/);
+});
+
+test('--k1, --b가 숫자가 아니거나 범위를 벗어나면 검색하지 않음', () => {
+  assert.match(runCommand('search', '--ranker=bm25', '--k1=abc', 'redis'), /--k1 must be a number of 0 or more: abc/);
+  assert.match(runCommand('search', '--ranker=bm25', '--k1=-1', 'redis'), /--k1 must be/);
+  assert.match(runCommand('search', '--ranker=bm25', '--b=1.5', 'redis'), /--b must be a number between 0 and 1: 1\.5/);
+  assert.match(runCommand('search', '--ranker=bm25', '--b=', 'redis'), /--b must be/);
+  assert.deepEqual(resultIds(runCommand('search', '--ranker=bm25', '--k1=2', '--b=0', 'redis')), ['older001', 'newer001']);
+});
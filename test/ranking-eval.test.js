@@ -0,0 +1,24 @@
+/**
+ * eval/ranking-eval.js의 회귀 검사 - fixture마다 관련 세션이 상위 K개 안에 있고 MRR이 min_mrr 이상인지
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 토큰화 설정을 HOME의 설정 파일에서 읽으므로 기본값만 쓰도록 빈 임시 HOME 사용
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-eval-'));
+process.env.HOME = HOME;
+const { loadFixture, checkFixture } = require('../eval/ranking-eval');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'eval', 'fixtures');
+
+fs.readdirSync(FIXTURES_DIR).filter(name => name.endsWith('.json')).forEach(name => {
+  test(`랭킹 회귀 검사: ${name}`, () => {
+    assert.deepEqual(checkFixture(loadFixture(path.join(FIXTURES_DIR, name))), []);
+  });
+});
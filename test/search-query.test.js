@@ -0,0 +1,228 @@
+/**
+ * search-query.js - 질의 파싱, 작은 색인에 대한 조건 적용, 오타 허용, 결과 강조
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 토큰화 설정을 HOME의 설정 파일에서 읽으므로 기본값만 쓰도록 빈 임시 HOME 사용
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-query-'));
+process.env.HOME = HOME;
+const {
+  parseQuery, compileQuery, matchesQuery, editDistance, allowedTypos, findFuzzyTerms,
+  highlightTerms, findHighlightRanges, applyHighlights, makeSnippet, findMatchedFields, describeExpansions
+} = require('../plugin/scripts/search-query');
+const { addDoc } = require('../plugin/scripts/search-index');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+const SESSIONS = [
+  {
+    id: 'redis01',
+    project: 'billing',
+    project_id: 'billing-1a2b',
+    date: '2024-05-01T10:00:00.000Z',
+    summary: 'Added redis cache for invoice lookups',
+    observations: [
+      { tool: 'Edit', summary: 'Edit cache.js', details: { file: 'src/cache.js' } },
+      { tool: 'Bash', summary: 'npm test', details: { command: 'npm test' } }
+    ],
+    conversations: [{ type: 'request', message: 'please add a redis cache' }]
+  },
+  {
+    id: 'auth0001',
+    project: 'billing',
+    project_id: 'billing-1a2b',
+    date: '2024-05-02T10:00:00.000Z',
+    summary: 'Fixed jwt token refresh',
+    observations: [
+      { tool: 'Edit', summary: 'Edit auth.js', details: { file: 'src/auth.js' } }
+    ],
+    conversations: [{ type: 'question', message: 'why does the token expire early?' }]
+  },
+  {
+    id: 'docs0001',
+    project: 'website',
+    project_id: 'website-9f8e',
+    date: '2024-05-03T10:00:00.000Z',
+    summary: 'Documented redis setup and jwt login',
+    observations: [
+      { tool: 'Write', summary: 'Write setup.md', details: { file: 'docs/setup.md' } }
+    ],
+    conversations: [{ type: 'request', message: 'write the setup guide' }]
+  }
+];
+
+const INDEX = { docs: {}, terms: {}, df: {} };
+SESSIONS.forEach(session => addDoc(INDEX, session.project_id, session));
+
+// 질의에 맞는 세션 id
+function search(input) {
+  const query = compileQuery(parseQuery(input), INDEX);
+  return SESSIONS.filter(session => matchesQuery(session, query)).map(session => session.id);
+}
+
+test('날짜 조건을 읽음', () => {
+  const { clauses, errors } = parseQuery('redis after:2024-01-01 before:7d');
+  assert.deepEqual(errors, []);
+  const dates = clauses.flat().filter(term => term.date);
+  assert.equal(dates.length, 2);
+  assert.equal(dates[0].date.getTime(), new Date(2024, 0, 1).getTime());
+});
+
+test('없는 날짜는 errors로 알림', () => {
+  assert.deepEqual(parseQuery('before:2024-13-45').errors, ['2024-13-45']);
+  assert.deepEqual(parseQuery('after:2024-02-30').errors, ['2024-02-30']);
+  assert.deepEqual(parseQuery('after:yesterday').errors, ['yesterday']);
+});
+
+test('공백은 AND, OR와 |는 같은 절로 묶음', () => {
+  assert.deepEqual(search('redis jwt'), ['docs0001']);
+  assert.deepEqual(search('redis OR token'), ['redis01', 'auth0001', 'docs0001']);
+  assert.deepEqual(search('invoice | refresh'), ['redis01', 'auth0001']);
+  assert.equal(parseQuery('a OR b c').clauses.length, 2);
+});
+
+test('-x와 NOT x는 제외', () => {
+  assert.deepEqual(search('redis -jwt'), ['redis01']);
+  assert.deepEqual(search('jwt NOT redis'), ['auth0001']);
+  assert.equal(parseQuery('NOT redis').clauses[0][0].negate, true);
+});
+
+test('따옴표 구문은 붙어 있는 순서 그대로만 일치', () => {
+  assert.deepEqual(search('"redis cache"'), ['redis01']);
+  assert.deepEqual(search('"cache redis"'), []);
+  assert.equal(parseQuery('"redis cache"').clauses[0][0].phrase, true);
+});
+
+test('필드 조건: project, file, cmd, tool, type', () => {
+  assert.deepEqual(search('project:website'), ['docs0001']);
+  assert.deepEqual(search('project:billing-1a'), ['redis01', 'auth0001']);
+  assert.deepEqual(search('file:auth.js'), ['auth0001']);
+  assert.deepEqual(search('cmd:"npm test"'), ['redis01']);
+  assert.deepEqual(search('tool:write'), ['docs0001']);
+  assert.deepEqual(search('type:question'), ['auth0001']);
+  assert.deepEqual(search('redis -project:website'), ['redis01']);
+});
+
+test('알 수 없는 필드는 필드 이름까지 일반 검색어', () => {
+  const term = parseQuery('error:timeout').clauses[0][0];
+  assert.equal(term.field, null);
+  assert.equal(term.value, 'error:timeout');
+  assert.equal(term.phrase, false);
+});
+
+test('맨 앞의 OR와 혼자 있는 -는 무시', () => {
+  assert.deepEqual(parseQuery('OR jwt').clauses.map(c => c.map(t => t.value)), [['jwt']]);
+  assert.deepEqual(parseQuery('jwt - redis -- NOT').clauses.map(c => c.map(t => t.value)), [['jwt'], ['redis']]);
+  assert.deepEqual(parseQuery('-').clauses, []);
+  assert.deepEqual(search('jwt - redis'), ['docs0001']);
+});
+
+test('editDistance는 삽입, 삭제, 교체, 인접 자리바꿈을 1로 셈', () => {
+  assert.equal(editDistance('redis', 'redis'), 0);
+  assert.equal(editDistance('redis', 'rediss'), 1);
+  assert.equal(editDistance('redis', 'reds'), 1);
+  assert.equal(editDistance('redis', 'redos'), 1);
+  assert.equal(editDistance('redis', 'rdeis'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  // max를 넘으면 max + 1에서 멈춤
+  assert.equal(editDistance('kitten', 'sitting', 1), 2);
+});
+
+test('allowedTypos: 4자 미만 0, 8자 미만 1, 그 이상 2', () => {
+  assert.equal(allowedTypos('jwt'), 0);
+  assert.equal(allowedTypos('auth'), 1);
+  assert.equal(allowedTypos('refresh'), 1);
+  assert.equal(allowedTypos('database'), 2);
+});
+
+test('오타가 있는 검색어도 비슷한 색인어로 찾음', () => {
+  assert.ok(findFuzzyTerms(INDEX, 'refersh').includes('refresh'));
+  assert.deepEqual(findFuzzyTerms(INDEX, 'jwz'), []);
+  assert.deepEqual(search('refersh'), ['auth0001']);
+  // 제외 조건은 오타 허용 안 함
+  assert.deepEqual(search('token -refersh'), ['auth0001']);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// 결과 표시
+// ═══════════════════════════════════════════════════════════════
+
+function compile(input) {
+  return compileQuery(parseQuery(input), INDEX);
+}
+
+test('겹치거나 맞닿은 강조 구간은 하나로 합침', () => {
+  const text = 'use redis cache now';
+  const highlight = highlightTerms(compile('redis "redis cache"'));
+  assert.deepEqual(findHighlightRanges(text, highlight), [[4, 15]]);
+  assert.deepEqual(findHighlightRanges('redis redis', { words: ['redis'], phrases: ['s r'], fields: [] }), [[0, 11]]);
+  assert.equal(applyHighlights(text, [[4, 15]]), 'use **redis cache** now');
+});
+
+test('잘라낸 조각에는 offset만큼 옮긴 구간만 강조', () => {
+  assert.equal(applyHighlights('cache now', [[4, 15]], 10), '**cache** now');
+  assert.equal(applyHighlights('cache now', [[0, 3]], 10), 'cache now');
+});
+
+test('창보다 짧은 텍스트는 자르지 않음', () => {
+  const highlight = highlightTerms(compile('redis'));
+  assert.equal(makeSnippet('Added  redis\ncache', highlight), 'Added **redis** cache');
+  assert.equal(makeSnippet('', highlight), '');
+});
+
+test('맞은 곳이 앞이나 끝에 가까우면 그쪽은 말줄임표 없이 자름', () => {
+  const highlight = highlightTerms(compile('redis'));
+  const filler = Array.from({ length: 40 }, (_, i) => `word${i}`).join(' ');
+
+  const atStart = makeSnippet(`redis ${filler}`, highlight, 20);
+  assert.ok(atStart.startsWith('**redis** '));
+  assert.ok(atStart.endsWith('…'));
+
+  const atEnd = makeSnippet(`${filler} redis`, highlight, 20);
+  assert.ok(atEnd.startsWith('…'));
+  assert.ok(atEnd.endsWith('**redis**'));
+  // 단어 중간에서 자르지 않음
+  assert.match(atEnd, /^…word\d+ /);
+
+  // 맞은 곳이 없으면 앞부분
+  assert.ok(makeSnippet(filler, highlight, 20).startsWith('word0 '));
+});
+
+test('findMatchedFields는 맞은 곳과 개수를 알려줌', () => {
+  const [redis, auth] = SESSIONS;
+  assert.deepEqual(findMatchedFields(redis, compile('redis')), [
+    { field: 'summary', count: 1 },
+    { field: 'conversations', count: 1 }
+  ]);
+  // file: 값은 관찰 요약("Edit auth.js")에서도 강조됨
+  assert.deepEqual(findMatchedFields(auth, compile('file:auth.js project:billing')), [
+    { field: 'observations', count: 1 },
+    { field: 'files', count: 1 },
+    { field: 'project', count: 1 }
+  ]);
+});
+
+test('저장된 keywords로만 맞은 세션은 keywords로 표시', () => {
+  const session = {
+    id: 'kube0001',
+    summary: 'Deployed the new worker',
+    keywords: ['kubernetes', 'helm'],
+    observations: [],
+    conversations: []
+  };
+  assert.deepEqual(findMatchedFields(session, compile('kubernetes')), [{ field: 'keywords', count: 1 }]);
+});
+
+test('describeExpansions는 오타 보정만 따로 보여줌', () => {
+  assert.deepEqual(describeExpansions(compile('redis')), ['redis']);
+  assert.deepEqual(describeExpansions(compile('refersh -jwt')), ['refersh → refresh']);
+
+  const index = { docs: { d1: {} }, terms: { cart: { d1: 1 }, card: { d1: 1 }, care: { d1: 1 } }, df: {} };
+  const query = compileQuery(parseQuery('carx'), index);
+  assert.deepEqual(describeExpansions(query, 2), ['carx → cart, card +1']);
+});
@@ -0,0 +1,123 @@
+/**
+ * structured-summary.js - AI 응답 해석(JSON, 코드 블록, 제목 형식), digest 합치기
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStructuredSummary, mergeDigest, getDigestField } = require('../plugin/scripts/structured-summary');
+
+const RESPONSE = {
+  summary: 'Moved login to JWT',
+  topic: 'JWT login',
+  decisions: ['use short-lived access tokens'],
+  files_changed: ['src/auth.js'],
+  problems: [],
+  follow_ups: ['rotate the signing key'],
+  tags: ['auth']
+};
+
+test('JSON 그대로인 응답', () => {
+  const { structured, format } = parseStructuredSummary(JSON.stringify(RESPONSE));
+  assert.equal(format, 'json');
+  assert.deepEqual(structured, RESPONSE);
+});
+
+test('코드 블록이나 앞뒤 설명 안의 JSON', () => {
+  const fenced = parseStructuredSummary(`Here is the summary:\n\`\`\`json\n${JSON.stringify(RESPONSE, null, 2)}\n\`\`\`\nLet me know if you need more.`);
+  assert.equal(fenced.format, 'extracted');
+  assert.deepEqual(fenced.structured, RESPONSE);
+
+  const trailing = parseStructuredSummary(`${JSON.stringify(RESPONSE)}\n\nI kept the tags short.`);
+  assert.equal(trailing.format, 'extracted');
+  assert.equal(trailing.structured.topic, 'JWT login');
+});
+
+test('모르는 필드는 버리고 형식이 맞지 않는 값은 정리하거나 비움', () => {
+  const { structured } = parseStructuredSummary(JSON.stringify({
+    topic: '  JWT\n login ',
+    decisions: 'use JWT; drop session cookies',
+    problems: 42,
+    follow_ups: ['rotate keys', 'rotate keys', '', null],
+    tags: '#Auth, jwt  #JWT',
+    mood: 'happy'
+  }));
+  assert.equal(structured.topic, 'JWT login');
+  assert.deepEqual(structured.decisions, ['use JWT', 'drop session cookies']);
+  assert.deepEqual(structured.problems, []);
+  assert.deepEqual(structured.follow_ups, ['rotate keys']);
+  assert.deepEqual(structured.tags, ['auth', 'jwt']);
+  assert.equal(structured.summary, '');
+  assert.equal('mood' in structured, false);
+});
+
+test('내용 없는 JSON이나 깨진 JSON은 텍스트로 해석', () => {
+  const empty = parseStructuredSummary('Result: {"mood": "happy"}');
+  assert.equal(empty.format, 'text');
+
+  const broken = parseStructuredSummary('{"topic": "JWT login", "decisions": [');
+  assert.equal(broken.format, 'text');
+  assert.deepEqual(broken.structured.decisions, []);
+});
+
+test('JSON이 아니면 제목과 목록으로 필드를 채움', () => {
+  const { structured, format } = parseStructuredSummary([
+    'Reworked authentication.',
+    '',
+    '## 주제',
+    '인증 개선',
+    '',
+    '## 결정',
+    '- JWT 사용',
+    '- 세션 쿠키 제거',
+    '',
+    '2. Follow-ups:',
+    '* 키 교체',
+    '',
+    '**Tags**: auth, jwt'
+  ].join('\n'));
+  assert.equal(format, 'text');
+  assert.equal(structured.topic, '인증 개선');
+  assert.deepEqual(structured.decisions, ['JWT 사용', '세션 쿠키 제거']);
+  assert.deepEqual(structured.follow_ups, ['키 교체']);
+  assert.deepEqual(structured.tags, ['auth', 'jwt']);
+  assert.equal(structured.summary, 'Reworked authentication.');
+});
+
+test('제목이 없는 글은 첫 문장을 주제로', () => {
+  const { structured } = parseStructuredSummary('Fixed the cache bug. Also bumped deps.');
+  assert.equal(structured.topic, 'Fixed the cache bug.');
+  assert.equal(structured.summary, 'Fixed the cache bug. Also bumped deps.');
+});
+
+test('mergeDigest는 로컬 digest에 AI 필드를 덮어쓰고 파일은 합침', () => {
+  const local = {
+    topic: '"add jwt login"',
+    actions: ['edit src/auth.js'],
+    outcomes: ['tests passed'],
+    open_issues: [],
+    files_changed: ['src/auth.js', 'src/app.js']
+  };
+
+  const localOnly = mergeDigest(local);
+  assert.equal(localOnly.topic, '"add jwt login"');
+  assert.deepEqual(localOnly.decisions, []);
+  assert.deepEqual(localOnly.tags, []);
+
+  const merged = mergeDigest(local, { ...RESPONSE, files_changed: ['src/auth.js', 'README.md'] });
+  assert.equal(merged.topic, 'JWT login');
+  assert.deepEqual(merged.actions, ['edit src/auth.js']);
+  assert.deepEqual(merged.outcomes, ['tests passed']);
+  assert.deepEqual(merged.decisions, ['use short-lived access tokens']);
+  assert.deepEqual(merged.files_changed, ['src/auth.js', 'src/app.js', 'README.md']);
+
+  // AI 주제가 비어 있으면 로컬 주제 유지
+  assert.equal(mergeDigest(local, { ...RESPONSE, topic: '' }).topic, '"add jwt login"');
+});
+
+test('getDigestField는 없는 digest와 예전 files 필드도 다룸', () => {
+  assert.deepEqual(getDigestField(null, 'decisions'), []);
+  assert.equal(getDigestField(undefined, 'topic'), '');
+  assert.deepEqual(getDigestField({ files: ['a.js'] }, 'files_changed'), ['a.js']);
+  assert.deepEqual(getDigestField({ decisions: 'not a list' }, 'decisions'), []);
+  assert.equal(getDigestField({ topic: 'JWT' }, 'topic'), 'JWT');
+});
@@ -0,0 +1,191 @@
+/**
+ * summary-providers.js - 로컬 mock 서버로 재시도, 타임아웃, 마감 시간, 응답 해석 확인
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// 설정을 HOME에서 읽으므로 빈 임시 HOME 사용
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'csm-summary-'));
+process.env.HOME = HOME;
+const { DEFAULTS } = require('../plugin/scripts/config');
+const { PROVIDERS, postWithRetry, requestSummary } = require('../plugin/scripts/summary-providers');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+// ═══════════════════════════════════════════════════════════════
+// mock 서버
+// ═══════════════════════════════════════════════════════════════
+
+// handlers[i]가 i번째 요청에 응답 (모자라면 마지막 것 반복)
+// 응답하지 않는 handler는 요청을 붙잡고 있어서 타임아웃을 만듦
+async function startServer(handlers) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      handlers[Math.min(requests.length - 1, handlers.length - 1)](req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+const json = (status, data, headers = {}) => (req, res) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+};
+const hang = () => {};
+
+function withServer(handlers, fn) {
+  return async () => {
+    const server = await startServer(handlers);
+    try {
+      await fn(server);
+    } finally {
+      await server.close();
+    }
+  };
+}
+
+const request = url => ({ url, headers: { 'Content-Type': 'application/json' }, body: { prompt: 'p' } });
+
+// ═══════════════════════════════════════════════════════════════
+// 재시도
+// ═══════════════════════════════════════════════════════════════
+
+test('429는 Retry-After만큼 기다린 뒤 다시 시도', withServer([
+  json(429, { error: 'rate limited' }, { 'Retry-After': '1' }),
+  json(200, { summary: 'ok' })
+], async server => {
+  const started = Date.now();
+  const data = await postWithRetry(request(server.url), { timeoutMs: 2000, maxRetries: 2, deadlineMs: 5000 });
+
+  assert.deepEqual(data, { summary: 'ok' });
+  assert.equal(server.requests.length, 2);
+  assert.ok(Date.now() - started >= 1000, 'Retry-After 1초를 기다려야 함');
+}));
+
+test('401은 재시도하지 않음', withServer([
+  json(401, { error: 'invalid x-api-key' })
+], async server => {
+  await assert.rejects(
+    postWithRetry(request(server.url), { timeoutMs: 2000, maxRetries: 5, deadlineMs: 5000 }),
+    /HTTP 401/
+  );
+  assert.equal(server.requests.length, 1);
+}));
+
+test('시도 하나가 시간을 넘기면 끊고 다시 시도', withServer([
+  hang,
+  json(200, { summary: 'second try' })
+], async server => {
+  const data = await postWithRetry(request(server.url), { timeoutMs: 300, maxRetries: 1, deadlineMs: 5000 });
+
+  assert.deepEqual(data, { summary: 'second try' });
+  assert.equal(server.requests.length, 2);
+}));
+
+test('재시도 횟수가 남아도 마감 시간을 넘기지 않음', withServer([
+  json(503, { error: 'overloaded' })
+], async server => {
+  const deadlineMs = 2500;
+  const started = Date.now();
+  await assert.rejects(postWithRetry(request(server.url), { timeoutMs: 2000, maxRetries: 5, deadlineMs }));
+
+  assert.ok(Date.now() - started < deadlineMs, `${Date.now() - started}ms`);
+  assert.ok(server.requests.length < 6, '모든 재시도를 다 쓰지 않아야 함');
+}));
+
+test('응답 없는 서버: requestSummary는 deadline_seconds 안에 null', withServer([hang], async server => {
+  const settings = {
+    ...DEFAULTS.summary,
+    provider: 'http',
+    base_url: server.url,
+    timeout_seconds: 1,
+    max_retries: 5,
+    deadline_seconds: 2
+  };
+  const silenced = test.mock.method(console, 'error', () => {});
+  const started = Date.now();
+  try {
+    assert.equal(await requestSummary({ project: 'api' }, settings), null);
+  } finally {
+    silenced.mock.restore();
+  }
+
+  assert.ok(Date.now() - started < settings.deadline_seconds * 1000, `${Date.now() - started}ms`);
+  assert.equal(silenced.mock.callCount(), 1);
+}));
+
+// ═══════════════════════════════════════════════════════════════
+// 백엔드별 요청 / 응답
+// ═══════════════════════════════════════════════════════════════
+
+test('parseResponse: 백엔드별 응답 형식', () => {
+  assert.equal(PROVIDERS.anthropic.parseResponse({
+    content: [{ type: 'thinking', thinking: '...' }, { type: 'text', text: 'anthropic summary' }]
+  }), 'anthropic summary');
+  assert.equal(PROVIDERS.anthropic.parseResponse({ content: [] }), undefined);
+
+  assert.equal(PROVIDERS.openai.parseResponse({
+    choices: [{ message: { role: 'assistant', content: 'openai summary' } }]
+  }), 'openai summary');
+  assert.equal(PROVIDERS.openai.parseResponse({ choices: [] }), undefined);
+
+  assert.equal(PROVIDERS.http.parseResponse('plain text summary'), 'plain text summary');
+  assert.equal(PROVIDERS.http.parseResponse({ summary: 'a' }), 'a');
+  assert.equal(PROVIDERS.http.parseResponse({ text: 'b' }), 'b');
+  assert.equal(PROVIDERS.http.parseResponse({ content: 'c' }), 'c');
+  assert.equal(PROVIDERS.http.parseResponse({ output: 'd' }), 'd');
+  assert.equal(PROVIDERS.http.parseResponse(null), undefined);
+});
+
+test('anthropic: /v1/messages에 x-api-key로 요청', withServer([
+  json(200, { content: [{ type: 'text', text: '  anthropic summary  ' }] })
+], async server => {
+  process.env.CSM_TEST_ANTHROPIC_KEY = 'test-key';
+  const settings = { ...DEFAULTS.summary, provider: 'anthropic', base_url: server.url, api_key_env: 'CSM_TEST_ANTHROPIC_KEY' };
+
+  assert.equal(await requestSummary({ project: 'api' }, settings), 'anthropic summary');
+  const [sent] = server.requests;
+  assert.equal(sent.url, '/v1/messages');
+  assert.equal(sent.headers['x-api-key'], 'test-key');
+  assert.equal(sent.body.model, settings.model);
+}));
+
+test('openai: /chat/completions에 키 없이 요청', withServer([
+  json(200, { choices: [{ message: { content: 'openai summary' } }] })
+], async server => {
+  const settings = { ...DEFAULTS.summary, provider: 'openai', base_url: `${server.url}/v1/`, api_key_env: 'CSM_TEST_NO_SUCH_KEY' };
+
+  assert.equal(await requestSummary({ project: 'api' }, settings), 'openai summary');
+  const [sent] = server.requests;
+  assert.equal(sent.url, '/v1/chat/completions');
+  assert.equal(sent.headers.authorization, undefined);
+}));
+
+test('http: base_url에 텍스트 응답', withServer([
+  (req, res) => { res.writeHead(200, { 'Content-Type': 'text/plain' }); res.end('http summary'); }
+], async server => {
+  const settings = { ...DEFAULTS.summary, provider: 'http', base_url: `${server.url}/summarize` };
+
+  assert.equal(await requestSummary({ project: 'api' }, settings), 'http summary');
+  const [sent] = server.requests;
+  assert.equal(sent.url, '/summarize');
+  assert.equal(sent.body.project, 'api');
+}));
@@ -0,0 +1,83 @@
+/**
+ * tokenizer.js - 식별자 분리, 합친 식별자, 영어 어간, 파일 이름, 한국어 조사/어미
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIdentifier, stemEnglish, stripKoreanSuffix, tokenizeWord } = require('../plugin/scripts/tokenizer');
+
+// 설정 파일을 읽지 않도록 기본값을 직접 넘김
+const OPTIONS = { koreanSuffixes: true, hangulBigrams: false };
+
+test('camelCase, snake_case, kebab-case, dotted.name을 나눔', () => {
+  assert.deepEqual(splitIdentifier('handleUserLogin'), ['handle', 'User', 'Login']);
+  assert.deepEqual(splitIdentifier('user_profile_id'), ['user', 'profile', 'id']);
+  assert.deepEqual(splitIdentifier('handle-user-login'), ['handle', 'user', 'login']);
+  assert.deepEqual(splitIdentifier('user.profile_id'), ['user', 'profile', 'id']);
+});
+
+test('약어는 다음 단어 앞에서 나누고 숫자는 앞 단어에 붙임', () => {
+  assert.deepEqual(splitIdentifier('parseHTTPResponse'), ['parse', 'HTTP', 'Response']);
+  assert.deepEqual(splitIdentifier('XMLHttpRequest'), ['XML', 'Http', 'Request']);
+  assert.deepEqual(splitIdentifier('md5Hash'), ['md5', 'Hash']);
+});
+
+test('여러 단어로 된 식별자는 구분자를 뺀 전체도 색인', () => {
+  assert.deepEqual(tokenizeWord('parseHTTPResponse', OPTIONS), ['pars', 'http', 'respons', 'parsehttpresponse']);
+  assert.deepEqual(tokenizeWord('handleUserLogin', OPTIONS), ['handl', 'user', 'login', 'handleuserlogin']);
+  assert.deepEqual(tokenizeWord('handle-user-login.ts', OPTIONS), ['handl', 'handle', 'user', 'login', 'handleuserlogin']);
+  // 한 글자 조각뿐이면 식별자로 보지 않음
+  assert.deepEqual(tokenizeWord('v1.2.3', OPTIONS), ['v1', '2', '3']);
+});
+
+test('같은 단어의 변형은 같은 어간', () => {
+  assert.equal(stemEnglish('cache'), 'cach');
+  assert.equal(stemEnglish('caching'), 'cach');
+  assert.equal(stemEnglish('cached'), 'cach');
+  assert.equal(stemEnglish('update'), 'updat');
+  assert.equal(stemEnglish('updated'), 'updat');
+  assert.equal(stemEnglish('updates'), 'updat');
+  assert.equal(stemEnglish('sessions'), 'session');
+  assert.equal(stemEnglish('running'), 'run');
+  // 어간이 너무 짧아지거나 원래 모양인 단어는 그대로
+  assert.equal(stemEnglish('string'), 'string');
+  assert.equal(stemEnglish('need'), 'need');
+  assert.equal(stemEnglish('status'), 'status');
+});
+
+test('파일 이름은 어간과 함께 쓰인 그대로도 색인', () => {
+  assert.deepEqual(tokenizeWord('README.md', OPTIONS), ['readm', 'readme']);
+  assert.deepEqual(tokenizeWord('redis.ts', OPTIONS), ['redis']);
+  // 파일 이름이 아니면 어간만
+  assert.deepEqual(tokenizeWord('README', OPTIONS), ['readm']);
+});
+
+test('어절 끝의 조사/어미를 뗌', () => {
+  assert.equal(stripKoreanSuffix('인증을'), '인증');
+  assert.equal(stripKoreanSuffix('인증에서'), '인증');
+  assert.equal(stripKoreanSuffix('서버가'), '서버');
+  assert.equal(stripKoreanSuffix('설정으로'), '설정');
+  assert.equal(stripKoreanSuffix('경로로'), '경로');
+  assert.equal(stripKoreanSuffix('redis에서'), 'redis');
+  assert.equal(stripKoreanSuffix('추가해줘'), '추가');
+  assert.equal(stripKoreanSuffix('해결했습니다'), '해결');
+  // 어간이 한 글자가 되면 떼지 않음
+  assert.equal(stripKoreanSuffix('집에서'), '집에서');
+});
+
+test('받침과 맞지 않는 조사는 명사의 일부로 봄', () => {
+  assert.equal(stripKoreanSuffix('전문가'), '전문가');
+  assert.equal(stripKoreanSuffix('전문가가'), '전문가');
+  assert.equal(stripKoreanSuffix('테스트을'), '테스트을');
+  assert.equal(stripKoreanSuffix('결과과'), '결과과');
+});
+
+test('조사처럼 끝나는 명사는 그대로', () => {
+  assert.equal(stripKoreanSuffix('바나나'), '바나나');
+  assert.equal(stripKoreanSuffix('바나나를'), '바나나');
+  assert.equal(stripKoreanSuffix('고양이'), '고양이');
+  assert.equal(stripKoreanSuffix('정확도'), '정확도');
+  assert.equal(stripKoreanSuffix('정확도가'), '정확도');
+  assert.deepEqual(tokenizeWord('바나나', OPTIONS), ['바나나']);
+  assert.deepEqual(tokenizeWord('바나나', { ...OPTIONS, koreanSuffixes: false }), ['바나나']);
+});
@@ -0,0 +1,19 @@
+/**
+ * utils.js - 날짜 파싱
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocalDate } = require('../plugin/scripts/utils');
+
+test('YYYY-MM-DD를 로컬 날짜로 읽음', () => {
+  assert.equal(parseLocalDate(''), null);
+  assert.equal(parseLocalDate('2024-02-29').getTime(), new Date(2024, 1, 29).getTime());
+  assert.equal(parseLocalDate('2024-02-29', true).getTime(), new Date(2024, 1, 29, 23, 59, 59, 999).getTime());
+});
+
+test('없는 날짜는 다음 달로 넘기지 않고 undefined', () => {
+  ['2024-02-31', '2023-02-29', '2024-13-45', '2024-00-10', '2024-04-31', '24-1-1'].forEach(value => {
+    assert.equal(parseLocalDate(value), undefined, value);
+  });
+});